@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+
+// 请求审计日志：每次翻译请求（/api/translate、流式、自动修复）追加一行 JSON 到 AUDIT_LOG_FILE，
+// 记录提示词、历史哈希、提供方/模型、提示词模板版本、耗时、模型原始输出、最终下发的命令、被丢弃的行和是否需要澄清，
+// 用于排查问题和把真实请求整理成回放语料（见 auditQuery.js）。
+//
+//   AUDIT_LOG            off 关闭（默认开启）
+//   AUDIT_LOG_FILE       日志文件，默认 data/audit/requests.jsonl（data/ 不进版本库）
+//   AUDIT_LOG_MAX_BYTES  单个文件的大小上限，超过后轮转为 requests.1.jsonl、requests.2.jsonl…（默认 10MB）
+//   AUDIT_LOG_MAX_FILES  保留的轮转文件数（默认 5）
+//   AUDIT_LOG_REDACT     默认把用户原话和错误信息里的邮箱、手机号、身份证号等替换成占位符；off 时保留原文。
+//                        模型输出与命令不脱敏：其中的长小数会被误认成号码，回放语料（toCorpus）需要原样的命令
+//   AUDIT_TOKEN          设置后开放 GET /api/audit 查询/导出接口，请求需带 Authorization: Bearer <token>
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const MAX_FIELD_CHARS = 20000;
+
+// 脱敏规则：[正则, 占位符]，按顺序替换（身份证号要在手机号之前，避免被部分匹配）；
+// 号码类规则不匹配紧跟在小数点后的数字（0.3333333333333333 不是卡号）
+const REDACTIONS = [
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[邮箱]'],
+  [/(?<![\d.])\d{17}[\dXx](?![\d.])/g, '[身份证号]'],
+  [/(?<![\d.])(?:\+?86[- ]?)?1[3-9]\d{9}(?![\d.])/g, '[手机号]'],
+  [/(?<![\d.])(?:\d[ -]?){15,18}\d(?![\d.])/g, '[卡号]'],
+  [/\b(?:sk|key|token)-[A-Za-z0-9_-]{16,}\b/g, '[密钥]']
+];
+
+function intEnv(name, fallback, min) {
+  const n = Number(process.env[name]);
+  return process.env[name] && Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+function flagEnv(name) {
+  return String(process.env[name] || '').trim().toLowerCase();
+}
+
+function config() {
+  return {
+    enabled: flagEnv('AUDIT_LOG') !== 'off',
+    file: path.resolve(process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'data', 'audit', 'requests.jsonl')),
+    maxBytes: intEnv('AUDIT_LOG_MAX_BYTES', DEFAULT_MAX_BYTES, 1),
+    maxFiles: intEnv('AUDIT_LOG_MAX_FILES', DEFAULT_MAX_FILES, 0),
+    redact: flagEnv('AUDIT_LOG_REDACT') !== 'off'
+  };
+}
+
+/** 把文本里的个人信息替换成占位符 */
+function redact(text) {
+  if (typeof text !== 'string') return text;
+  return REDACTIONS.reduce((s, [re, label]) => s.replace(re, label), text);
+}
+
+function clip(text) {
+  return typeof text === 'string' && text.length > MAX_FIELD_CHARS ? `${text.slice(0, MAX_FIELD_CHARS)}…` : text;
+}
+
+/** 对话历史的短哈希：相同的历史得到相同的值，便于归并同一会话的请求而不保存历史原文 */
+function hashHistory(history) {
+  const messages = Array.isArray(history) ? history : [];
+  if (!messages.length) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+}
+
+// requests.jsonl → requests.1.jsonl
+function rotatedName(file, n) {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.${n}${ext}`;
+}
+
+/** 按时间从旧到新排列的日志文件（轮转文件在前） */
+function logFiles({ file, maxFiles } = config()) {
+  const files = [];
+  for (let n = maxFiles; n >= 1; n -= 1) files.push(rotatedName(file, n));
+  files.push(file);
+  return files;
+}
+
+async function rotate({ file, maxFiles }) {
+  if (maxFiles === 0) {
+    await fsp.rm(file, { force: true });
+    return;
+  }
+  await fsp.rm(rotatedName(file, maxFiles), { force: true });
+  for (let n = maxFiles - 1; n >= 1; n -= 1) {
+    await fsp.rename(rotatedName(file, n), rotatedName(file, n + 1)).catch((e) => {
+      if (e?.code !== 'ENOENT') throw e;
+    });
+  }
+  await fsp.rename(file, rotatedName(file, 1));
+}
+
+async function append(line, cfg) {
+  await fsp.mkdir(path.dirname(cfg.file), { recursive: true });
+  const size = await fsp.stat(cfg.file).then((s) => s.size, () => 0);
+  if (size > 0 && size + Buffer.byteLength(line) > cfg.maxBytes) await rotate(cfg);
+  await fsp.appendFile(cfg.file, line, 'utf8');
+}
+
+// 追加与轮转串行执行，避免并发请求同时轮转或写乱行
+let queue = Promise.resolve();
+
+/**
+ * 整理一条审计记录并追加到日志；不会抛出异常（写失败只打日志），调用方无需等待。
+ *
+ * @param {object} entry
+ * @param {string} entry.endpoint translate | stream | repair
+ * @param {string} entry.prompt 用户原话
+ * @param {Array} [entry.history] 请求带的对话历史（只记哈希与条数）
+ * @param {number} entry.startedAt 开始处理的时间戳，用于计算耗时
+ * @param {object} [entry.result] callLLM / streamLLM 的结果（provider、model、mode、format、prompt、raw）
+ * @param {object} [entry.response] buildTranslateResponse 的结果（commands、diagnostics、needClarification）
+ * @param {Error} [entry.error] 请求失败时的错误
+ */
+function recordRequest({ endpoint, prompt, history, startedAt, result = null, response = null, error = null, provider, model }) {
+  const cfg = config();
+  if (!cfg.enabled) return Promise.resolve();
+
+  const scrub = cfg.redact ? redact : (s) => s;
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    endpoint,
+    prompt: scrub(clip(prompt || '')),
+    historyHash: hashHistory(history),
+    historyMessages: Array.isArray(history) ? history.length : 0,
+    provider: result?.provider || provider || null,
+    model: result?.model || model || null,
+    mode: result?.mode || null,
+    format: result?.format || null,
+    promptVersion: result?.prompt?.version || null,
+    subjects: result?.prompt?.subjects || [],
+    latencyMs: Date.now() - startedAt,
+    raw: typeof result?.raw === 'string' ? clip(result.raw) : null,
+    commands: response?.commands || [],
+    dropped: (response?.diagnostics || [])
+      .filter((d) => d.rejected)
+      .map((d) => ({ line: d.line, command: d.command, kind: d.kind || 'syntax', message: d.message })),
+    operations: (response?.operations || []).map((op) => op.summary),
+    needClarification: !!response?.needClarification,
+    error: error ? scrub(error.message || String(error)) : null
+  };
+
+  const line = `${JSON.stringify(record)}\n`;
+  queue = queue
+    .then(() => append(line, cfg))
+    .catch((e) => console.warn(`[audit] 写入审计日志失败：${e?.message || e}`));
+  return queue;
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) {
+    const err = new Error(`无法识别的时间：${value}`);
+    err.status = 400;
+    throw err;
+  }
+  return t;
+}
+
+function matcher({ since, until, endpoint, provider, model, promptVersion, q, dropped, clarification, errors } = {}) {
+  const from = toTime(since);
+  const to = toTime(until);
+  const needle = q ? String(q).toLowerCase() : '';
+  return (r) => {
+    const t = Date.parse(r.timestamp);
+    if (from !== null && t < from) return false;
+    if (to !== null && t > to) return false;
+    if (endpoint && r.endpoint !== endpoint) return false;
+    if (provider && r.provider !== provider) return false;
+    if (model && r.model !== model) return false;
+    if (promptVersion && r.promptVersion !== promptVersion) return false;
+    if (needle && !String(r.prompt || '').toLowerCase().includes(needle)) return false;
+    if (dropped && !r.dropped?.length) return false;
+    if (clarification && !r.needClarification) return false;
+    if (errors && !r.error) return false;
+    return true;
+  };
+}
+
+/**
+ * 按条件查询审计记录（含轮转文件），按时间从旧到新返回最近的 limit 条（0 为不限）。
+ * 条件：since / until（ISO 时间或日期）、endpoint、provider、model、promptVersion、q（提示词包含的文字）、
+ * dropped（只看有丢弃行的）、clarification（只看需要澄清的）、errors（只看失败的）。
+ */
+async function queryAudit(filters = {}) {
+  const cfg = config();
+  const match = matcher(filters);
+  const limit = Number.isInteger(Number(filters.limit)) && Number(filters.limit) >= 0 ? Number(filters.limit) : 100;
+  const records = [];
+  let total = 0;
+
+  for (const file of logFiles(cfg)) {
+    if (!fs.existsSync(file)) continue;
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // 跳过写到一半的行
+      }
+      if (!match(record)) continue;
+      total += 1;
+      records.push(record);
+      if (limit && records.length > limit) records.shift();
+    }
+  }
+  return { records, total };
+}
+
+/**
+ * 导出为回放语料：与 rules/corpus.json 相同的 { text, commands } 结构，附带提供方与原始输出，
+ * 可以用来重放真实请求、比对提示词或规则改动前后的结果。
+ */
+function toCorpus(records) {
+  return records
+    .filter((r) => r.prompt && !r.error)
+    .map((r) => ({ text: r.prompt, commands: r.commands, provider: r.provider, model: r.model, raw: r.raw }));
+}
+
+/**
+ * 查询接口的鉴权：未设置 AUDIT_TOKEN 时接口不开放（404），token 不对时 401。
+ */
+function checkAuditToken(authorization) {
+  const token = process.env.AUDIT_TOKEN || '';
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+  if (!token) throw fail(404, '审计日志查询未开启（需设置 AUDIT_TOKEN）');
+  const given = Buffer.from(String(authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw fail(401, '审计日志 token 不正确');
+}
+
+module.exports = { recordRequest, queryAudit, toCorpus, redact, hashHistory, logFiles, checkAuditToken };
@@ -0,0 +1,58 @@
+// 在命令行查询/导出审计日志（见 audit.js），读取与服务端相同的 .env 配置。
+// 用法：npm run audit -- [--since 2026-10-01] [--until ...] [--endpoint stream] [--provider deepseek] [--model ...]
+//                        [--prompt-version v2] [--q 圆] [--dropped] [--clarification] [--errors] [--limit 20] [--format table|jsonl|json|corpus]
+// 默认按表格输出最近 20 条；导出时把 --format jsonl / corpus 的输出重定向到文件，--limit 0 为全部。
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+const { queryAudit, toCorpus } = require('./audit');
+
+dotenv.config();
+
+const FORMATS = new Set(['table', 'jsonl', 'json', 'corpus']);
+
+function formatRow(r) {
+  const time = r.timestamp.replace('T', ' ').slice(0, 19);
+  const who = [r.provider, r.model, r.promptVersion].filter(Boolean).join('/') || '-';
+  const flags = [r.dropped?.length ? `丢弃 ${r.dropped.length}` : '', r.needClarification ? '澄清' : '', r.error ? `失败：${r.error}` : '']
+    .filter(Boolean)
+    .join('，');
+  const prompt = r.prompt.length > 40 ? `${r.prompt.slice(0, 39)}…` : r.prompt;
+  return `${time}  ${r.endpoint.padEnd(9)} ${who}  ${r.latencyMs}ms  命令 ${r.commands.length}${flags ? `（${flags}）` : ''}  ${prompt}`;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      since: { type: 'string' },
+      until: { type: 'string' },
+      endpoint: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      'prompt-version': { type: 'string' },
+      q: { type: 'string' },
+      dropped: { type: 'boolean' },
+      clarification: { type: 'boolean' },
+      errors: { type: 'boolean' },
+      limit: { type: 'string', default: '20' },
+      format: { type: 'string', default: 'table' }
+    }
+  });
+  if (!FORMATS.has(values.format)) throw new Error(`未知的输出格式：${values.format}（可选：${[...FORMATS].join(', ')}）`);
+
+  const { records, total } = await queryAudit({ ...values, promptVersion: values['prompt-version'] });
+  if (values.format === 'jsonl') {
+    for (const r of records) console.log(JSON.stringify(r));
+  } else if (values.format === 'json') {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (values.format === 'corpus') {
+    console.log(JSON.stringify(toCorpus(records), null, 2));
+  } else {
+    for (const r of records) console.log(formatRow(r));
+    console.log(`共 ${total} 条匹配，显示 ${records.length} 条`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,147 @@
+const { getShared } = require('./shared');
+
+// 对象重名检测：本轮命令重新定义了画布上已有的对象（如再写一次 `A = (1, 2)`）时，
+// GeoGebra 会直接覆盖原对象，用户的点就被悄悄挪走了。这里按用户原话判断是有意修改还是误撞名字：
+//   modify   有意修改：原话里“改/移/设为…”之类的说法紧挨着这个名字（把A移到…、A的半径改为…、move A），或新定义引用了自身（A = A + (1, 0)）
+//   confirm  拿不准：原话提到了这个名字但看不出要修改；先改名，前端提示用户确认是否改回覆盖
+//   renamed  误撞：原话没提到这个名字；直接改名
+// 改名在本轮命令中保持一致：定义行及之后引用这个名字的地方一并改成新名字。
+
+const MODIFY_VERBS = '(?:改|移|挪|换|变|调|设为|设成|设置|更新|替换|覆盖|重新定义|redefine|move|change|update|modify|replace|set)';
+// 动词只在同一分句里、与名字之间隔得很近时才算作用在这个名字上
+const CLAUSE_SEPARATORS = /[,，。；;！!？?\n]/;
+const NAME_TO_VERB_GAP = 6; // A的坐标改为…、A的半径调成…
+const VERB_TO_NAME_GAP = 3; // 移动点A、change A
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 单独出现的名字：前后不是 ASCII 字母数字，中文紧挨着也算，如“把点A移到…”
+function namePattern(name) {
+  return `(?:^|(?<=[^A-Za-z0-9_']))${escapeRegExp(name)}(?![A-Za-z0-9_'])`;
+}
+
+function mentions(text, name) {
+  return new RegExp(namePattern(name)).test(text);
+}
+
+// 原话里有没有修改这个名字的说法：动词要紧挨着名字，出现在句子别处（“变化过程用动画”）不算
+function modifies(text, name) {
+  const n = namePattern(name);
+  const after = new RegExp(`${n}.{0,${NAME_TO_VERB_GAP}}?${MODIFY_VERBS}`, 'i');
+  const before = new RegExp(`${MODIFY_VERBS}.{0,${VERB_TO_NAME_GAP}}?${n}`, 'i');
+  return text.split(CLAUSE_SEPARATORS).some((clause) => after.test(clause) || before.test(clause));
+}
+
+function selfReferences(command, name) {
+  try {
+    return getShared().syntax.tokenize(command).filter((t) => t.type === 'ident' && t.value === name).length > 1;
+  } catch {
+    return false;
+  }
+}
+
+function classify(name, command, userText) {
+  if (selfReferences(command, name)) return 'modify';
+  if (!mentions(userText, name)) return 'renamed';
+  return modifies(userText, name) ? 'modify' : 'confirm';
+}
+
+// A → A_1、A_2 …（GeoGebra 自动命名也用下标）；已有下标的名字在原名基础上继续编号
+function freeName(name, taken) {
+  const base = name.replace(/_(?:\{[^}]*\}|[\p{L}\p{Nd}]+)'*$/u, '');
+  for (let n = 1; ; n += 1) {
+    const candidate = n < 10 ? `${base}_${n}` : `${base}_{${n}}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+function collisionMessage({ name, renamedTo, kind }) {
+  if (kind === 'modify') return `将重新定义画布上已有的 ${name}`;
+  if (kind === 'confirm') {
+    return `画布上已有 ${name}，为避免覆盖已改名为 ${renamedTo}；如果就是要修改原来的 ${name}，请在对话记录中确认`;
+  }
+  return `画布上已有 ${name}，本轮新建的对象改名为 ${renamedTo}（后续命令中的引用一并修改）`;
+}
+
+/**
+ * 逐行检查一轮命令（流式与整批共用，保证两边结果一致）：
+ * check(command) → { command: 改名后的命令, collision: { name, renamedTo?, kind } | null }
+ *
+ * @param {object} options
+ * @param {string[]} options.existingNames 本轮开始前画布上已有的对象名
+ * @param {string} options.userText 用户本轮的原话，用于判断是否有意修改
+ */
+function createCollisionGuard({ existingNames = [], userText = '' } = {}) {
+  const { syntax } = getShared();
+  const existing = new Set(existingNames);
+  const taken = new Set(existingNames);
+  const renames = new Map(); // 原名 → 新名，作用于定义行及之后的命令
+  const renamedTargets = new Set(); // 改名用掉的名字，本轮后面再定义同名对象也要避开
+  const kept = new Set(); // 有意修改、保留原名的已有对象
+
+  function check(command) {
+    const [name] = syntax.definedNames([command]);
+    let collision = null;
+
+    if (name && !renames.has(name) && !kept.has(name)) {
+      if (existing.has(name)) {
+        const kind = classify(name, command, userText);
+        if (kind === 'modify') {
+          kept.add(name);
+          collision = { name, kind };
+        } else {
+          collision = { name, renamedTo: freeName(name, taken), kind };
+        }
+      } else if (renamedTargets.has(name)) {
+        collision = { name, renamedTo: freeName(name, taken), kind: 'renamed' };
+      }
+      if (collision?.renamedTo) {
+        renames.set(name, collision.renamedTo);
+        renamedTargets.add(collision.renamedTo);
+        taken.add(collision.renamedTo);
+      }
+    }
+
+    const renamed = renames.size ? syntax.renameIdentifiers(command, renames) : command;
+    if (name) taken.add(renames.get(name) || name);
+    return { command: renamed, collision };
+  }
+
+  return { check };
+}
+
+/**
+ * 整批检查：返回 { commands, collisions: [{ line, name, renamedTo?, kind }], diagnostics }。
+ * diagnostics 与校验诊断同形（kind 为 collision，不拦截）。
+ */
+function resolveCollisions(lines, options) {
+  const guard = createCollisionGuard(options);
+  const commands = [];
+  const collisions = [];
+  const diagnostics = [];
+  lines.forEach((line, index) => {
+    const { command, collision } = guard.check(line);
+    commands.push(command);
+    if (collision) {
+      collisions.push({ line: index, ...collision });
+      diagnostics.push(collisionDiagnostic(index, command, collision));
+    }
+  });
+  return { commands, collisions, diagnostics };
+}
+
+function collisionDiagnostic(line, command, collision) {
+  return {
+    line,
+    command,
+    level: collision.kind === 'confirm' ? 'warning' : 'info',
+    kind: 'collision',
+    message: collisionMessage(collision),
+    collision,
+    rejected: false
+  };
+}
+
+module.exports = { createCollisionGuard, resolveCollisions, collisionDiagnostic };
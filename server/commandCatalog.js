@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 命令目录：从随项目分发的 GeoGebra HTML5 5.0 构建里的语言包（properties_keys_<lang>.js）提取。
+// 语言包的 command 分类里，`<内部名>` 是该语言下的命令名，`<内部名>.Syntax` / `.Syntax3D` / `.SyntaxCAS`
+// 是语法提示（每行一种参数组合）。英文名就是 evalCommand 接受的命令名。
+const KEYS_DIR = path.resolve(
+  process.env.GEOGEBRA_KEYS_DIR || path.join(__dirname, '..', 'public', 'geogebra', 'HTML5', '5.0', 'web3d', 'js')
+);
+
+// 语法提示不区分可选参数，个别命令需要手工修正参数个数
+const ARITY_OVERRIDES = {
+  Slider: [2, 9] // 语法只列出全部 9 个参数，实际最少 2 个（最小值、最大值）
+};
+
+let cached = null;
+
+function loadKeys(lang) {
+  const file = path.join(KEYS_DIR, `properties_keys_${lang}.js`);
+  const context = { window: {} };
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), context, { filename: file, timeout: 5000 });
+  const keys = (context.window.__GGB__keysVar || context.__GGB__keysVar || {})[lang];
+  if (!keys?.command) throw new Error(`语言包 ${file} 中没有命令表`);
+  return keys.command;
+}
+
+function syntaxLines(value) {
+  return typeof value === 'string'
+    ? value
+        .split('\n')
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : [];
+}
+
+// "[ <Point>, ..., <Point> ]" → [2, Infinity]；"[ ]" → [0, 0]
+function lineArity(line) {
+  const inner = line.replace(/^\[/, '').replace(/\]$/, '').trim();
+  if (!inner) return [0, 0];
+  const parts = inner.split(',').map((s) => s.trim());
+  const variadic = parts.some((p) => p === '...' || p === '…');
+  const count = parts.filter((p) => p !== '...' && p !== '…').length;
+  return [count, variadic ? Infinity : count];
+}
+
+function arityOf(name, lines) {
+  if (ARITY_OVERRIDES[name]) return ARITY_OVERRIDES[name];
+  let min = Infinity;
+  let max = 0;
+  for (const line of lines) {
+    const [a, b] = lineArity(line);
+    min = Math.min(min, a);
+    max = Math.max(max, b);
+  }
+  return [min, max];
+}
+
+function buildCatalog() {
+  const en = loadKeys('en');
+  let zh = {};
+  try {
+    zh = loadKeys('zh-CN');
+  } catch {
+    // 没有中文语言包时只缺少中文名与中文语法
+  }
+
+  const commands = [];
+  for (const key of Object.keys(en)) {
+    if (key.includes('.')) continue;
+    const syntax = syntaxLines(en[`${key}.Syntax`]);
+    const syntax3D = syntaxLines(en[`${key}.Syntax3D`]);
+    // 只有 CAS 语法的命令不能在绘图区输入框中使用，不收录
+    if (!syntax.length && !syntax3D.length) continue;
+
+    const name = en[key];
+    commands.push({
+      name,
+      internalName: key,
+      zhName: zh[key] && zh[key] !== name ? zh[key] : null,
+      syntax,
+      syntax3D,
+      zhSyntax: syntaxLines(zh[`${key}.Syntax`]),
+      arity: arityOf(name, [...syntax, ...syntax3D])
+    });
+  }
+  commands.sort((a, b) => a.name.localeCompare(b.name));
+  return { source: path.relative(path.join(__dirname, '..'), KEYS_DIR), commands };
+}
+
+/**
+ * 读取命令目录（首次调用时解析语言包并缓存）：
+ * { source, commands: [{ name, internalName, zhName, syntax, syntax3D, zhSyntax, arity: [min, max] }] }
+ * max 为 Infinity 表示参数个数不限。语言包缺失或解析失败时返回 null，调用方退回内置命令表。
+ */
+function getCommandCatalog() {
+  if (cached === null) {
+    try {
+      cached = buildCatalog();
+    } catch (e) {
+      console.warn(`[commands] 无法从 GeoGebra 语言包提取命令目录，使用内置命令表：${e?.message || e}`);
+      cached = false;
+    }
+  }
+  return cached || null;
+}
+
+/**
+ * 校验器使用的参数个数表：命令目录覆盖 base（内置的 KNOWN_COMMANDS），base 里独有的命令保留。
+ */
+function commandArity(base = {}) {
+  const catalog = getCommandCatalog();
+  if (!catalog) return base;
+  const table = { ...base };
+  for (const cmd of catalog.commands) table[cmd.name] = cmd.arity;
+  return table;
+}
+
+function findCommand(name) {
+  const catalog = getCommandCatalog();
+  if (!catalog || typeof name !== 'string') return null;
+  const lower = name.toLowerCase();
+  return catalog.commands.find((c) => c.name.toLowerCase() === lower || c.zhName === name) || null;
+}
+
+/**
+ * 中文命令名 → 英文命令名，供输入规范化把 `圆周(A, 3)` 改写成 `Circle(A, 3)`。
+ */
+function localizedNames() {
+  const catalog = getCommandCatalog();
+  return new Map((catalog?.commands || []).filter((c) => c.zhName).map((c) => [c.zhName, c.name]));
+}
+
+// JSON 不能表示 Infinity，接口里用 null 表示参数个数不限
+function toJson(cmd) {
+  return { ...cmd, arity: [cmd.arity[0], Number.isFinite(cmd.arity[1]) ? cmd.arity[1] : null] };
+}
+
+module.exports = { KEYS_DIR, getCommandCatalog, commandArity, findCommand, localizedNames, toJson };
@@ -0,0 +1,43 @@
+// 脚本命令（RunClickScript、Execute、Button…）不在这里过滤：由命令策略（policy.js）按部署配置与请求决定，
+// 并在 diagnostics 中说明拦截原因
+function sanitizeCommands(lines) {
+  return (Array.isArray(lines) ? lines : [])
+    .map((l) => String(l || '').trim())
+    .filter(Boolean)
+    // 基础注释过滤（按你的规范：代码块内不应有注释）
+    .filter((l) => !/^\/\//.test(l))
+    .filter((l) => !/^#/.test(l))
+    .filter((l) => !/^\/\*/.test(l))
+    .filter((l) => !/^\*\//.test(l));
+}
+
+function extractGeoGebraBlock(text) {
+  if (!text) return { commands: [], explanation: '' };
+
+  const s = String(text);
+  // 兼容：```geogebra\n...``` / ```geogebra\r\n...```（结尾可能不带换行）
+  const fence = /```\s*geogebra\s*\r?\n([\s\S]*?)```/i;
+  const m = s.match(fence);
+
+  const commands = m
+    ? sanitizeCommands(
+        m[1]
+          .split(/\r?\n/)
+          .map((l) => l.trim())
+          .filter(Boolean)
+      )
+    : [];
+
+  // explanation：去掉代码块后剩余内容
+  const explanation = m ? (s.replace(m[0], '').trim() || '') : s.trim();
+
+  return { commands, explanation };
+}
+
+// 把解释与命令重新拼成模型的代码块格式（用于回放兜底/结构化结果）
+function toFenceText(explanation, commands) {
+  const block = commands.length ? `\n\n\`\`\`geogebra\n${commands.join('\n')}\n\`\`\`` : '';
+  return `${explanation || ''}${block}`;
+}
+
+module.exports = { sanitizeCommands, extractGeoGebraBlock, toFenceText };
@@ -0,0 +1,79 @@
+// 前端随请求上传的画布状态：对象列表 + 可见范围。
+// 多轮编辑以它为准（用户拖动点、在代数区修改后，聊天历史里的旧命令已经不可信）。
+
+// 注入提示词的摘要最多列出的对象数；对象名不截断，重名检查与校验器需要完整的名字集合
+const MAX_SUMMARY_OBJECTS = 150;
+const MAX_FIELD_CHARS = 200;
+
+function clip(value) {
+  const s = typeof value === 'string' ? value.trim() : '';
+  return s.length > MAX_FIELD_CHARS ? `${s.slice(0, MAX_FIELD_CHARS)}…` : s;
+}
+
+function toBounds(view) {
+  if (!view || typeof view !== 'object') return null;
+  const bounds = ['xmin', 'xmax', 'ymin', 'ymax'].map((k) => Number(view[k]));
+  if (!bounds.every(Number.isFinite)) return null;
+  const [xmin, xmax, ymin, ymax] = bounds;
+  return xmin < xmax && ymin < ymax ? { xmin, xmax, ymin, ymax } : null;
+}
+
+/**
+ * 校验并裁剪客户端上传的画布状态，返回 { objects, view }；格式不对时返回 null。
+ * objects：[{ name, type, command, value, visible }]，command 为空表示自由对象；只裁剪过长的字段，对象全部保留。
+ */
+function normalizeConstruction(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.objects)) return null;
+
+  const objects = raw.objects
+    .filter((o) => o && typeof o.name === 'string' && o.name.trim())
+    .map((o) => ({
+      name: o.name.trim(),
+      type: clip(o.type) || 'object',
+      command: clip(o.command),
+      value: clip(o.value),
+      visible: o.visible !== false
+    }));
+
+  return { objects, view: toBounds(raw.view) };
+}
+
+function formatBound(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * 生成注入提示词的画布摘要；每个对象一行：名称、类型、当前值，依赖对象附上定义命令。
+ * 超过 MAX_SUMMARY_OBJECTS 个对象时只列出前面的部分。
+ */
+function summarizeConstruction(construction) {
+  if (!construction) return '';
+  const { view } = construction;
+  const objects = construction.objects.slice(0, MAX_SUMMARY_OBJECTS);
+  const truncated = construction.objects.length - objects.length;
+
+  const header = [`当前画布状态（共 ${construction.objects.length} 个对象`];
+  if (view) {
+    header.push(
+      `，可见范围 x∈[${formatBound(view.xmin)}, ${formatBound(view.xmax)}]，y∈[${formatBound(view.ymin)}, ${formatBound(view.ymax)}]`
+    );
+  }
+  header.push('）：');
+
+  const lines = objects.map((o) => {
+    const parts = [`- ${o.name}（${o.type}${o.visible ? '' : '，隐藏'}）`];
+    if (o.value) parts.push(o.value);
+    if (o.command) parts.push(`定义：${o.command}`);
+    return parts.join(' ');
+  });
+  if (!objects.length) lines.push('（空白画布）');
+  if (truncated) lines.push(`……另有 ${truncated} 个对象未列出`);
+
+  return [header.join(''), ...lines].join('\n');
+}
+
+function constructionNames(construction) {
+  return construction ? construction.objects.map((o) => o.name) : [];
+}
+
+module.exports = { normalizeConstruction, summarizeConstruction, constructionNames };
@@ -0,0 +1,259 @@
+// 离线评测：把一批请求（精选用例或审计日志）送进与 /api/translate 相同的处理流水线，逐条打分（见 score.js），
+// 并比较两组配置（提示词版本、提供方/模型）或与之前保存的报告比较。
+//
+// 用法：npm run eval -- [选项]
+//   --cases <file>        用例文件（JSON 数组或 JSONL），默认 server/eval/cases.json
+//   --audit               改用审计日志里的请求作为用例（见 audit.js，可配合 --since / --until）
+//   --recorded            不调用模型，直接使用用例里录制的原始输出（raw），无需联网
+//   --provider / --model / --prompt-version / --subject / --output-mode   配置 A
+//   --prompt <file>       用文件内容整段替换提示词模板正文（试验还没有存成模板版本的改动）
+//   --provider-b / --model-b / --prompt-version-b / --subject-b / --prompt-b / --output-mode-b
+//                         配置 B，未写的项沿用 A（但不沿用 --recorded）；比较两个模板版本：--prompt-version v1 --prompt-version-b v2
+//   --baseline <report>   与之前 --out 保存的报告比较
+//   --out <file>          保存本次（配置 B 存在时为 B 的）报告
+//   --filter <text> / --limit <n>   只跑请求包含该文字的 / 前 n 条用例
+//   --verbose             列出每条用例未通过的检查项
+// 不联网跑真实流水线可以设置 MOCK_LLM_MODE=replay 并用 --provider mock（先用 MOCK_LLM_MODE=record 录制，见 providers/mock.js）。
+// 用例格式：{ "text": "...", "history"?: [], "construction"?: {}, "subject"?: "学科", "raw"?: "录制的模型输出",
+//            "expect"?: { objects, commands, numeric, clarification } }（用例的 subject 在配置没有指定 --subject 时使用）
+// 对比结果中配置 B 的平均分低于 A（或基线）时退出码为 1，方便在 CI 里拦截变差的改动。
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+const { loadShared } = require('../shared');
+const { callLLM, parseCompletion } = require('../providers');
+const { buildTranslateResponse } = require('../pipeline');
+const { normalizeConstruction } = require('../construction');
+const { queryAudit, toCorpus } = require('../audit');
+const { scoreCase } = require('./score');
+
+dotenv.config();
+
+const DEFAULT_CASES = path.join(__dirname, 'cases.json');
+
+function readCases(file) {
+  const text = fs.readFileSync(path.resolve(file), 'utf8').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text
+    .split(/\r?\n/)
+    .filter((l) => l.trim())
+    .map((l) => JSON.parse(l));
+}
+
+async function loadCases(options) {
+  const cases = options.audit
+    ? toCorpus((await queryAudit({ since: options.since, until: options.until, limit: 0 })).records)
+    : readCases(options.cases || DEFAULT_CASES);
+  const needle = options.filter || '';
+  const selected = cases.filter((c) => c && typeof c.text === 'string' && c.text.includes(needle));
+  return options.limit ? selected.slice(0, Number(options.limit)) : selected;
+}
+
+function variantOf(options, suffix) {
+  const pick = (key) => options[`${key}${suffix}`] ?? (suffix ? options[key] : undefined);
+  const promptFile = pick('prompt');
+  const variant = {
+    provider: pick('provider'),
+    model: pick('model'),
+    promptVersion: pick('prompt-version'),
+    subject: pick('subject'),
+    outputMode: pick('output-mode'),
+    promptFile,
+    basePrompt: promptFile ? fs.readFileSync(path.resolve(promptFile), 'utf8') : undefined,
+    recorded: !suffix && !!options.recorded
+  };
+  variant.label = variant.recorded
+    ? '录制输出'
+    : [
+        variant.provider || '默认提供方',
+        variant.model,
+        variant.promptVersion && `提示词 ${variant.promptVersion}`,
+        variant.subject && `学科 ${variant.subject}`,
+        promptFile && path.basename(promptFile)
+      ]
+        .filter(Boolean)
+        .join(' / ');
+  return variant;
+}
+
+async function runCase(testCase, variant) {
+  const startedAt = Date.now();
+  const construction = normalizeConstruction(testCase.construction);
+  try {
+    let result;
+    if (variant.recorded) {
+      if (typeof testCase.raw !== 'string') throw new Error('用例没有录制的输出（raw）');
+      result = { mode: 'recorded', ...parseCompletion(testCase.raw, variant.outputMode) };
+    } else {
+      result = await callLLM({
+        userText: testCase.text,
+        history: testCase.history,
+        construction,
+        provider: variant.provider,
+        model: variant.model,
+        outputMode: variant.outputMode,
+        promptVersion: variant.promptVersion,
+        subject: variant.subject ?? testCase.subject,
+        basePrompt: variant.basePrompt
+      });
+    }
+    const response = buildTranslateResponse(result, { userText: testCase.text, construction });
+    const { score, checks } = scoreCase(testCase, result, response);
+    return {
+      text: testCase.text,
+      mode: result.mode,
+      prompt: response.prompt,
+      score,
+      checks,
+      commands: response.commands,
+      latencyMs: Date.now() - startedAt
+    };
+  } catch (e) {
+    return { text: testCase.text, mode: 'error', score: 0, checks: [], error: e?.message || String(e), latencyMs: Date.now() - startedAt };
+  }
+}
+
+async function runVariant(cases, variant) {
+  const results = [];
+  for (const testCase of cases) results.push(await runCase(testCase, variant));
+  return { label: variant.label, createdAt: new Date().toISOString(), results, summary: summarize(results) };
+}
+
+function summarize(results) {
+  const rate = (name) => {
+    const checks = results.flatMap((r) => r.checks.filter((c) => c.name === name));
+    return checks.length ? checks.filter((c) => c.ok).length / checks.length : null;
+  };
+  const modes = {};
+  for (const r of results) modes[r.mode] = (modes[r.mode] || 0) + 1;
+  return {
+    cases: results.length,
+    score: results.length ? results.reduce((s, r) => s + r.score, 0) / results.length : 0,
+    syntax: rate('syntax'),
+    catalog: rate('catalog'),
+    policy: rate('policy'),
+    objects: rate('objects'),
+    commands: rate('commands'),
+    numeric: rate('numeric'),
+    clarify: rate('clarify'),
+    errors: results.filter((r) => r.error).length,
+    latencyMs: results.length ? Math.round(results.reduce((s, r) => s + r.latencyMs, 0) / results.length) : 0,
+    modes
+  };
+}
+
+const METRICS = [
+  ['score', '平均得分'],
+  ['syntax', '语法有效'],
+  ['catalog', '命令有效'],
+  ['policy', '未触发策略'],
+  ['objects', '期望对象'],
+  ['commands', '期望命令'],
+  ['numeric', '数值检查'],
+  ['clarify', '澄清判断']
+];
+
+function pct(v) {
+  return v === null || v === undefined ? '   -  ' : `${(v * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printReport(report, verbose) {
+  const s = report.summary;
+  console.log(`\n== ${report.label}：${s.cases} 条用例，平均耗时 ${s.latencyMs}ms，来源 ${JSON.stringify(s.modes)}`);
+  console.log(METRICS.map(([key, label]) => `${label} ${pct(s[key]).trim()}`).join('  '));
+  for (const r of report.results) {
+    if (r.error) console.log(`  ✗ ${r.text}：${r.error}`);
+    else if (verbose && r.score < 1) {
+      console.log(`  ${pct(r.score)} ${r.text}`);
+      for (const c of r.checks.filter((x) => !x.ok)) console.log(`         ${c.name}${c.detail ? `：${c.detail}` : ''}`);
+    }
+  }
+}
+
+// 只比较两边都有的用例（基线可能是用另一批用例跑的）
+function printComparison(a, b) {
+  const inA = new Set(a.results.map((r) => r.text));
+  const inB = new Set(b.results.map((r) => r.text));
+  const sa = summarize(a.results.filter((r) => inB.has(r.text)));
+  const sb = summarize(b.results.filter((r) => inA.has(r.text)));
+  console.log(`\n== 对比：A = ${a.label}，B = ${b.label}（共同用例 ${sb.cases} 条）`);
+  for (const [key, label] of METRICS) {
+    const va = sa[key];
+    const vb = sb[key];
+    if (va === null && vb === null) continue;
+    const delta = va !== null && vb !== null ? ((vb - va) * 100).toFixed(1) : '';
+    console.log(`  ${label}  ${pct(va)} → ${pct(vb)}${delta ? `  (${delta > 0 ? '+' : ''}${delta})` : ''}`);
+  }
+
+  const before = new Map(a.results.map((r) => [r.text, r]));
+  const changed = b.results
+    .filter((r) => before.has(r.text) && Math.abs(r.score - before.get(r.text).score) > 1e-9)
+    .sort((x, y) => x.score - before.get(x.text).score - (y.score - before.get(y.text).score));
+  for (const r of changed) {
+    const old = before.get(r.text);
+    const failed = r.checks.filter((c) => !c.ok).map((c) => c.name);
+    console.log(`  ${r.score < old.score ? '↓' : '↑'} ${pct(old.score)} → ${pct(r.score)}  ${r.text}${failed.length ? `（未通过：${failed.join('、')}）` : ''}`);
+  }
+  if (!changed.length) console.log('  逐条得分没有变化');
+  return sb.score < sa.score - 1e-9;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      cases: { type: 'string' },
+      audit: { type: 'boolean' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      recorded: { type: 'boolean' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      prompt: { type: 'string' },
+      'prompt-version': { type: 'string' },
+      subject: { type: 'string' },
+      'output-mode': { type: 'string' },
+      'provider-b': { type: 'string' },
+      'model-b': { type: 'string' },
+      'prompt-b': { type: 'string' },
+      'prompt-version-b': { type: 'string' },
+      'subject-b': { type: 'string' },
+      'output-mode-b': { type: 'string' },
+      baseline: { type: 'string' },
+      out: { type: 'string' },
+      filter: { type: 'string' },
+      limit: { type: 'string' },
+      verbose: { type: 'boolean' }
+    }
+  });
+
+  await loadShared();
+  const cases = await loadCases(values);
+  if (!cases.length) throw new Error('没有可运行的用例');
+
+  const hasB = ['provider-b', 'model-b', 'prompt-b', 'prompt-version-b', 'subject-b', 'output-mode-b'].some((k) => values[k] !== undefined);
+  const a = await runVariant(cases, variantOf(values, ''));
+  printReport(a, values.verbose);
+
+  let final = a;
+  let regressed = false;
+  if (hasB) {
+    final = await runVariant(cases, variantOf(values, '-b'));
+    printReport(final, values.verbose);
+    regressed = printComparison(a, final);
+  }
+  if (values.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(path.resolve(values.baseline), 'utf8'));
+    regressed = printComparison({ ...baseline, label: `基线 ${baseline.label}` }, final) || regressed;
+  }
+  if (values.out) {
+    fs.writeFileSync(path.resolve(values.out), JSON.stringify(final, null, 2));
+    console.log(`\n报告已保存到 ${values.out}`);
+  }
+  process.exitCode = regressed ? 1 : 0;
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exitCode = 1;
+});
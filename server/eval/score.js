@@ -0,0 +1,126 @@
+const { getShared } = require('../shared');
+const { getValidatorCommands, normalizeLines } = require('../pipeline');
+const { constructionNames } = require('../construction');
+const { evaluate } = require('../evaluate');
+
+// 离线评测的打分：对一条用例的模型原始命令与最终响应逐项检查，每项记 { name, ok, detail }。
+//   syntax     模型给出的每行命令（规范化后）都能解析
+//   catalog    命令名在命令目录里、参数个数正确（未知命令、参数个数错误都算不通过）
+//   policy     没有被命令策略拦下的命令
+//   objects    期望的对象都由最终命令定义了（expect.objects）
+//   commands   期望用到的命令都出现在最终命令里（expect.commands）
+//   numeric    期望的数值检查都成立（expect.numeric，见 checkNumeric）
+//   clarify    是否需要澄清与期望一致（expect.clarification）
+// 用例没有写期望时只检查前三项；得分为通过项数 / 检查项数。
+
+const DEFAULT_TOLERANCE = 1e-6;
+
+function close(actual, expected, tolerance) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length && actual.every((v, i) => Math.abs(v - expected[i]) <= tolerance);
+  }
+  return typeof actual === 'number' && Math.abs(actual - expected) <= tolerance;
+}
+
+// 最终命令中每个对象的最后一次定义：name → 定义的语法树
+function definitions(commands) {
+  const { syntax } = getShared();
+  const defs = new Map();
+  for (const line of commands) {
+    try {
+      const { name, ast } = syntax.parseLine(line);
+      if (name) defs.set(name, ast);
+    } catch {
+      // 最终命令都通过了校验，这里不会出错
+    }
+  }
+  return defs;
+}
+
+/**
+ * 数值检查：{ name, value, arg?, tolerance? }。
+ * 不写 arg 时对对象的整个定义求值（A = (1, 2) → [1, 2]）；写 arg 时取定义命令的第 arg 个参数（从 0 开始），
+ * 如 { "name": "c", "arg": 1, "value": 3 } 检查 c = Circle(A, 3) 的半径。
+ */
+function checkNumeric(check, defs) {
+  const ast = defs.get(check.name);
+  if (!ast) return { ok: false, detail: `没有对象 ${check.name}` };
+  const node = check.arg === undefined ? ast : ast.type === 'call' ? ast.args[check.arg] : null;
+  if (!node) return { ok: false, detail: `${check.name} 的定义没有第 ${check.arg} 个参数` };
+  const actual = evaluate(node);
+  const ok = close(actual, check.value, check.tolerance ?? DEFAULT_TOLERANCE);
+  const where = check.arg === undefined ? check.name : `${check.name} 的第 ${check.arg} 个参数`;
+  return { ok, detail: ok ? '' : `${where} 期望 ${JSON.stringify(check.value)}，实际 ${actual === null ? '无法求值' : JSON.stringify(actual)}` };
+}
+
+function usedCommands(commands) {
+  const { syntax } = getShared();
+  const names = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'call') names.add(node.name);
+    for (const child of [node.expr, node.operand, node.left, node.right, ...(node.args || []), ...(node.items || [])]) visit(child);
+  };
+  for (const line of commands) {
+    try {
+      visit(syntax.parseLine(line).ast);
+    } catch {
+      // 同上
+    }
+  }
+  return names;
+}
+
+/**
+ * 给一条用例的结果打分，返回 { score, checks }。
+ *
+ * @param {object} testCase 用例：{ text, construction?, expect? }
+ * @param {object} result 模型调用结果（commands 为模型原始给出的命令）
+ * @param {object} response buildTranslateResponse 的结果
+ */
+function scoreCase(testCase, result, response) {
+  const { syntax } = getShared();
+  const expect = testCase.expect || {};
+  const emitted = normalizeLines(result.commands || []).commands;
+  const checks = [];
+  const add = (name, ok, detail = '') => checks.push({ name, ok, detail });
+
+  const unparsable = emitted.filter((line) => {
+    try {
+      syntax.parseLine(line);
+      return false;
+    } catch {
+      return true;
+    }
+  });
+  add('syntax', !unparsable.length, unparsable.join('；'));
+
+  const validator = syntax.createValidator({ commands: getValidatorCommands(), knownNames: constructionNames(testCase.construction) });
+  const invalid = emitted.filter((line) => !unparsable.includes(line) && !validator.check(line).ok);
+  add('catalog', !invalid.length, invalid.join('；'));
+
+  const denied = (response.diagnostics || []).filter((d) => d.kind === 'policy' && d.rejected);
+  add('policy', !denied.length, denied.map((d) => d.message).join('；'));
+
+  const defs = definitions(response.commands || []);
+  if (expect.objects?.length) {
+    const missing = expect.objects.filter((name) => !defs.has(name));
+    add('objects', !missing.length, missing.length ? `缺少 ${missing.join('、')}` : '');
+  }
+  if (expect.commands?.length) {
+    const used = usedCommands(response.commands || []);
+    const missing = expect.commands.filter((name) => !used.has(name));
+    add('commands', !missing.length, missing.length ? `没有用到 ${missing.join('、')}` : '');
+  }
+  for (const check of expect.numeric || []) {
+    const { ok, detail } = checkNumeric(check, defs);
+    add('numeric', ok, detail);
+  }
+  if (typeof expect.clarification === 'boolean') {
+    add('clarify', !!response.needClarification === expect.clarification, response.needClarification ? '模型要求澄清' : '模型没有要求澄清');
+  }
+
+  return { score: checks.filter((c) => c.ok).length / checks.length, checks };
+}
+
+module.exports = { scoreCase };
@@ -0,0 +1,62 @@
+// 常量表达式求值：评测打分（eval/score.js）核对数值、命令策略（policy.js）检查参数上限时共用。
+
+const CONSTANTS = { π: Math.PI, pi: Math.PI, e: Math.E, '∞': Infinity };
+const FUNCTIONS = { sin: Math.sin, cos: Math.cos, tan: Math.tan, sqrt: Math.sqrt, abs: Math.abs, ln: Math.log, exp: Math.exp };
+
+/**
+ * 只含数字、常数与基本运算的表达式求值（点坐标、半径、滑块范围这类字面量），
+ * 含未知量时返回 null；元组返回数组。
+ */
+function evaluate(node) {
+  if (!node) return null;
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'ident':
+      return CONSTANTS[node.name] ?? null;
+    case 'group':
+      return evaluate(node.expr);
+    case 'tuple': {
+      const items = node.items.map(evaluate);
+      return items.every((v) => typeof v === 'number') ? items : null;
+    }
+    case 'unary': {
+      const v = evaluate(node.operand);
+      if (typeof v !== 'number') return null;
+      if (node.op === '-') return -v;
+      if (node.op === '+') return v;
+      if (node.op === '√') return Math.sqrt(v);
+      return null;
+    }
+    case 'postfix': {
+      const v = evaluate(node.operand);
+      if (typeof v !== 'number') return null;
+      if (node.op === '°') return (v * Math.PI) / 180;
+      if (node.op === '²') return v * v;
+      if (node.op === '³') return v * v * v;
+      return null;
+    }
+    case 'binary': {
+      const a = evaluate(node.left);
+      const b = evaluate(node.right);
+      if (typeof a !== 'number' || typeof b !== 'number') return null;
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': case '·': case '×': return a * b;
+        case '/': case '÷': return a / b;
+        case '^': return a ** b;
+        default: return null;
+      }
+    }
+    case 'call': {
+      const fn = node.bracket === '(' && FUNCTIONS[node.name];
+      const v = fn && node.args.length === 1 ? evaluate(node.args[0]) : null;
+      return typeof v === 'number' ? fn(v) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = { evaluate };
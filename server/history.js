@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { getShared } = require('./shared');
+
+// 对话上下文：前端发来全部已生效的回合，这里按 token 预算组装发给模型的历史。
+// 最近的回合保留原文；放不下的较早回合压缩成一段摘要（定义过的对象、选定的参数、用户的偏好），
+// 拼在保留下来的第一条用户消息前面，避免几轮之后就忘了一开始建的对象叫什么。
+//
+//   HISTORY_TOKEN_BUDGET  历史部分的 token 预算（默认 3000，不含系统提示词与本轮请求）
+//   HISTORY_SUMMARY       rules（默认）从命令确定性地整理摘要；model 让模型滚动生成，失败时退回 rules
+//
+// 助手消息可以带 commands 字段（本轮实际生效的命令），只用于整理摘要，不会原样发给模型。
+
+const ROLES = new Set(['user', 'assistant']);
+const MAX_CHARS_PER_MESSAGE = 4000;
+const MAX_COMMANDS_PER_MESSAGE = 200;
+const DEFAULT_TOKEN_BUDGET = 3000;
+const SUMMARY_SHARE = 0.3; // 摘要最多占预算的比例
+const MESSAGE_OVERHEAD = 4; // 每条消息的角色、分隔符等固定开销
+
+// 每字符 token 数的粗略估计，只用于控制预算，不求精确。
+// DeepSeek 官方换算：中文约 0.6 token/字，英文约 0.3 token/字符；OpenAI 中文约 1 token/字，英文约 4 字符/token；
+// Claude 的分词对中文更碎一些，按偏大估计。本地模型分词器各异，按 OpenAI 估计。
+const TOKEN_RATES = {
+  deepseek: { cjk: 0.6, other: 0.3 },
+  anthropic: { cjk: 1.3, other: 0.3 },
+  default: { cjk: 1, other: 0.25 }
+};
+
+const CJK_RE = /[\u3000-\u303f\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+
+// 用户消息里表达长期要求的说法（“以后都用红色”“不要显示坐标轴”），摘要里原样保留
+const PREFERENCE_RE = /以后|之后都|接下来都|始终|一直|总是|都要|都用|统一|默认|不要|别|记住|偏好|prefer|always|never/i;
+
+const MAX_CACHED_SUMMARIES = 100;
+const summaryCache = new Map(); // 回合前缀的哈希 → 模型生成的摘要
+
+function tokenBudget() {
+  const n = Number(process.env.HISTORY_TOKEN_BUDGET);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TOKEN_BUDGET;
+}
+
+function summaryMode() {
+  return String(process.env.HISTORY_SUMMARY || 'rules').trim().toLowerCase() === 'model' ? 'model' : 'rules';
+}
+
+/** 按提供方估计一段文本的 token 数 */
+function estimateTokens(text, provider) {
+  const s = String(text || '');
+  const rate = TOKEN_RATES[provider] || TOKEN_RATES.default;
+  const cjk = (s.match(CJK_RE) || []).length;
+  return Math.ceil(cjk * rate.cjk + (s.length - cjk) * rate.other);
+}
+
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// 按 token 预算截断（从末尾截），用于摘要
+function clipToBudget(text, budget, provider) {
+  let s = text;
+  while (s && estimateTokens(s, provider) > budget) {
+    const keep = Math.floor((s.length * budget) / estimateTokens(s, provider)) - 1;
+    s = keep > 0 ? `${s.slice(0, keep).replace(/\n[^\n]*$/, '')}\n…` : '';
+  }
+  return s;
+}
+
+function cleanMessages(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter((m) => m && ROLES.has(m.role) && typeof m.content === 'string')
+    .map((m) => {
+      const message = { role: m.role, content: m.content.trim().slice(0, MAX_CHARS_PER_MESSAGE) };
+      if (m.role === 'assistant' && Array.isArray(m.commands)) {
+        const commands = m.commands.filter((c) => typeof c === 'string' && c.trim()).map((c) => c.trim());
+        if (commands.length) message.commands = commands.slice(0, MAX_COMMANDS_PER_MESSAGE);
+      }
+      return message;
+    })
+    .filter((m) => m.content || m.commands);
+}
+
+// 每条用户消息开始新的一轮
+function groupTurns(messages) {
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === 'user' || !turns.length) turns.push([]);
+    turns[turns.length - 1].push(m);
+  }
+  return turns;
+}
+
+// 发给模型的原文：去掉 commands 字段和空消息
+function verbatim(turns) {
+  return turns.flat().filter((m) => m.content).map((m) => ({ role: m.role, content: m.content }));
+}
+
+/**
+ * 从较早回合的命令与用户原话确定性地整理摘要：
+ * 对象按最后一次定义列出（Delete 过的去掉），数值与滑块单列为参数，样式等不定义对象的命令单列；
+ * 用户消息里带“以后/统一/不要”等说法的视为偏好原样保留，其余请求只留简短的一句。
+ */
+function summarizeTurns(turns) {
+  const { syntax } = getShared();
+  const objects = new Map();
+  const others = [];
+  const preferences = [];
+  const requests = [];
+
+  for (const m of turns.flat()) {
+    if (m.role === 'user') {
+      if (PREFERENCE_RE.test(m.content)) preferences.push(clip(m.content.replace(/\s+/g, ' '), 120));
+      else requests.push(clip(m.content.replace(/\s+/g, ' '), 30));
+      continue;
+    }
+    for (const line of m.commands || []) {
+      let parsed;
+      try {
+        parsed = syntax.parseLine(line);
+      } catch {
+        continue;
+      }
+      const { name, kind, ast } = parsed;
+      if (name) {
+        objects.delete(name);
+        objects.set(name, { line, parameter: ast.type === 'num' || (ast.type === 'call' && ast.name === 'Slider') });
+      } else if (kind === 'command' && ast.name === 'Delete' && ast.args[0]?.type === 'ident') {
+        objects.delete(ast.args[0].name);
+      } else {
+        others.push(line);
+      }
+    }
+  }
+
+  const params = [...objects.values()].filter((o) => o.parameter).map((o) => o.line);
+  const defined = [...objects.values()].filter((o) => !o.parameter).map((o) => o.line);
+  const sections = [];
+  if (preferences.length) sections.push(`用户的要求与偏好：\n${preferences.map((p) => `- ${p}`).join('\n')}`);
+  if (params.length) sections.push(`参数：\n${params.join('\n')}`);
+  if (defined.length) sections.push(`定义过的对象（按最后一次定义）：\n${defined.join('\n')}`);
+  if (others.length) sections.push(`其他命令：\n${others.slice(-20).join('\n')}`);
+  if (requests.length) sections.push(`更早的请求：${requests.join('；')}`);
+  return sections.join('\n\n');
+}
+
+// 交给模型压缩的原文：上一版摘要 + 新压缩的回合（含命令）
+function summaryInput(previous, turns) {
+  const body = turns
+    .flat()
+    .map((m) => {
+      const commands = m.commands?.length ? `\n命令：\n${m.commands.join('\n')}` : '';
+      return `${m.role === 'user' ? '用户' : '助手'}：${m.content}${commands}`;
+    })
+    .join('\n\n');
+  return previous ? `已有摘要：\n${previous}\n\n新增对话：\n${body}` : `对话：\n${body}`;
+}
+
+function prefixHashes(turns) {
+  let hash = '';
+  return turns.map((turn) => {
+    hash = crypto.createHash('sha1').update(hash).update(JSON.stringify(turn)).digest('hex');
+    return hash;
+  });
+}
+
+/**
+ * 滚动摘要：缓存每个回合前缀的摘要，新回合被挤出预算时只把它们和上一版摘要交给模型合并，
+ * 不用每次从头压缩全部早期对话。
+ */
+async function rollingSummary(turns, summarize, signal) {
+  const hashes = prefixHashes(turns);
+  let from = 0;
+  let previous = '';
+  for (let i = hashes.length - 1; i >= 0; i -= 1) {
+    if (summaryCache.has(hashes[i])) {
+      previous = summaryCache.get(hashes[i]);
+      from = i + 1;
+      break;
+    }
+  }
+  if (from === turns.length) return previous;
+
+  const text = String((await summarize(summaryInput(previous, turns.slice(from)), signal)) || '').trim();
+  if (!text) throw new Error('模型返回了空摘要');
+  summaryCache.set(hashes[hashes.length - 1], text);
+  if (summaryCache.size > MAX_CACHED_SUMMARIES) summaryCache.delete(summaryCache.keys().next().value);
+  return text;
+}
+
+function turnCost(turn, provider) {
+  return turn.filter((m) => m.content).reduce((sum, m) => sum + estimateTokens(m.content, provider) + MESSAGE_OVERHEAD, 0);
+}
+
+// 从最近一轮往前保留原文直到超出预算，返回第一轮保留回合的下标；最近一轮总是保留
+function splitRecent(turns, budget, provider) {
+  let used = 0;
+  let i = turns.length;
+  while (i > 0) {
+    const cost = turnCost(turns[i - 1], provider);
+    if (i < turns.length && used + cost > budget) break;
+    used += cost;
+    i -= 1;
+  }
+  return i;
+}
+
+/**
+ * 按 token 预算组装发给模型的历史消息。
+ * 返回 { messages, summary, summarizedTurns, keptTurns, tokens }：summary 为较早回合的摘要（没有则为 null），
+ * tokens 为估计的历史总 token 数。
+ *
+ * @param {Array} history 前端发来的消息（role、content，助手消息可带 commands）
+ * @param {object} [options]
+ * @param {string} [options.provider] 提供方名，决定 token 估计方式
+ * @param {number} [options.budget] token 预算，默认取 HISTORY_TOKEN_BUDGET
+ * @param {Function} [options.summarize] (text, signal) → Promise<string>，HISTORY_SUMMARY=model 时用它生成摘要
+ * @param {AbortSignal} [options.signal]
+ */
+async function buildContext(history, { provider, budget = tokenBudget(), summarize = null, signal } = {}) {
+  const turns = groupTurns(cleanMessages(history));
+  const summaryBudget = Math.floor(budget * SUMMARY_SHARE);
+
+  let split = splitRecent(turns, budget, provider);
+  if (split > 0) split = splitRecent(turns, budget - summaryBudget, provider);
+  const recent = verbatim(turns.slice(split));
+
+  let summary = null;
+  if (split > 0) {
+    const older = turns.slice(0, split);
+    let text = '';
+    if (summarize && summaryMode() === 'model') {
+      try {
+        text = await rollingSummary(older, summarize, signal);
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        console.warn(`[history] 模型摘要失败，改用命令整理：${e?.message || e}`);
+      }
+    }
+    summary = clipToBudget(text || summarizeTurns(older), summaryBudget, provider) || null;
+  }
+
+  const messages = recent;
+  if (summary) {
+    const note = `（以下是前 ${split} 轮对话的摘要，更早的原文已省略）\n${summary}`;
+    if (messages[0]?.role === 'user') messages[0] = { role: 'user', content: `${note}\n\n${messages[0].content}` };
+    else messages.unshift({ role: 'user', content: note });
+  }
+
+  return {
+    messages,
+    summary,
+    summarizedTurns: split,
+    keptTurns: turns.length - split,
+    tokens: messages.reduce((sum, m) => sum + estimateTokens(m.content, provider) + MESSAGE_OVERHEAD, 0)
+  };
+}
+
+module.exports = { estimateTokens, summarizeTurns, buildContext };
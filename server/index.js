@@ -1,289 +1,363 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const axios = require('axios');
 
 dotenv.config();
 
+const { callLLM, streamLLM, listProviders } = require('./providers');
+const { listPrompts } = require('./prompt');
+const { createFenceStreamParser, startNdjson } = require('./stream');
+const { loadShared, getShared } = require('./shared');
+const { MAX_REPAIR_ATTEMPTS, issueRepairId, claimRepairAttempt, repairCommands, toLines } = require('./repair');
+const { normalizeConstruction, constructionNames } = require('./construction');
+const sessions = require('./sessions');
+const { getCommandCatalog, toJson } = require('./commandCatalog');
+const { createCollisionGuard, collisionDiagnostic } = require('./collisions');
+const { createCommandPolicy } = require('./policy');
+const { getValidatorCommands, normalizeOptions, buildTranslateResponse } = require('./pipeline');
+const { recordRequest, queryAudit, toCorpus, checkAuditToken } = require('./audit');
+
 const app = express();
 app.use(cors());
+// 会话里带整份构造 XML，单独放宽请求体上限
+app.use('/api/sessions', express.json({ limit: '5mb' }));
 app.use(express.json({ limit: '1mb' }));
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3002;
 
-const SYSTEM_PROMPT = `你是一个几何学助手，可以通过GeoGebra绘制几何图形和动画。
-
-当用户请求绘制图形或动画时，请提供：
-1. 友好的解释，包括数学概念和原理
-2. 清晰的GeoGebra命令
-
-规范：
-1. 将GeoGebra命令放在\`\`\`geogebra和\`\`\`标记之间，每行一个命令。
-2. 不要在GeoGebra代码块中添加注释。
-3. 命令应该按照逻辑顺序排列，从基本元素到复杂构造。
-4. 数学公式应该包裹在$$中
-
-GeoGebra支持的命令类型包括：
-
-## 基本元素
-- 点：A = (2, 3)
-- 向量：v = Vector[A, B] 或 v = (1, 2)
-- 线段：Segment(A, B)
-- 直线：Line(A, B)
-- 射线：Ray(A, B)
-- 圆：Circle(A, 3) 或 Circle(A, B)
-- 椭圆：Ellipse(F1, F2, a)
-- 多边形：Polygon(A, B, C, …)
-- 正多边形：RegularPolygon(A, B, n)
-
-## 函数和曲线
-- 斜率：Slope(line)
-
-## 动画和交互
-- 滑块：a = Slider[0, 10, 0.1]
-- 启动/停止动画：StartAnimation[a, true] 或 StartAnimation[a, false]
-- 设置动画速度：SetAnimationSpeed(object, speed)
-- 条件显示对象：SetConditionToShowObject(object, condition)
-- 设置轨迹：SetTrace(object, true) 或 SetTrace(object, false)
-- 轨迹曲线：Locus(point, parameter)
-
-## 高级功能
-- 序列：Sequence(expression, variable, from, to, step)
-- 列表：{a, b, c}
-- 条件表达式：If(condition, then, else)
-- 文本对象：Text("文本", (x, y))
-- 脚本按钮（示意）：点击脚本中使用 RunClickScript("命令")
-
-## 动画示例
-
-### 1. 创建滑块并用于动画：
-  a = Slider[0, 10, 0.1]
-  P = (a, 0)
-  StartAnimation[a, true]
-
-### 2. 圆上运动的点：
-  a = Slider[0, 2π, 0.01]
-  P = (5 cos(a), 5 sin(a))
-  Circle((0, 0), 5)
-  StartAnimation[a, true]
-
-### 3. 函数图像的动态变化：
-  a = Slider[0, 5, 0.1]
-  f(x) = a x^2
-  StartAnimation[a, true]
-
-请确保命令语法正确，并在解释中提及每个命令的目的。
-如果用户的请求不明确，请提出澄清问题。
-用户的请求可能与之前提出的请求相关。
-
-多轮对话（重要）：
-- 你会收到历史对话消息（用户与助手的内容），请把它当作同一张 GeoGebra 构造的延续。
-- 当用户说“在上一次基础上/继续/再加/修改”时，优先复用已有对象名称与参数，不要无故重命名；**不要重复输出未变化的旧命令**，只输出新增命令或确实需要修改的命令（重复定义可能导致重名冲突/执行失败）。
-
-- 如果必须引用之前对象，请沿用历史里出现的对象名（如 O, A, B, a 等）。
-
-兼容性约束（重要）：
-
-- 除非用户明确要求“脚本按钮/点击脚本/更新脚本/自动脚本”，否则不要输出 RunClickScript / RunUpdateScript / SetClickScript / SetUpdateScript / Execute / Button 等脚本相关命令。
-
-- 需要动画时，优先使用 Slider + StartAnimation + SetAnimationSpeed/SetTrace/Locus 等标准命令实现，不要用脚本替代。`;
-
-
-
-
-function sanitizeCommands(lines) {
-  return (Array.isArray(lines) ? lines : [])
-    .map((l) => String(l || '').trim())
-    .filter(Boolean)
-    // 基础注释过滤（按你的规范：代码块内不应有注释）
-    .filter((l) => !/^\/\//.test(l))
-    .filter((l) => !/^#/.test(l))
-    .filter((l) => !/^\/\*/.test(l))
-    .filter((l) => !/^\*\//.test(l))
-    // 兼容性过滤：GeoGebra HTML5 有时脚本模块未加载就执行会报错（Class$S381）
-    // 除非用户明确要求脚本按钮，否则避免把这类“脚本命令”下发给前端执行。
-    .filter((l) => !/^RunClickScript\s*\(/i.test(l))
-    .filter((l) => !/^RunUpdateScript\s*\(/i.test(l))
-    .filter((l) => !/^SetClickScript\s*\(/i.test(l))
-    .filter((l) => !/^SetUpdateScript\s*\(/i.test(l))
-    .filter((l) => !/^Execute\s*\(/i.test(l))
-    .filter((l) => !/^Button\s*\(/i.test(l));
-}
-
-
-
-
-function extractGeoGebraBlock(text) {
-  if (!text) return { commands: [], explanation: '' };
-
-  const s = String(text);
-  // 兼容：```geogebra\n...``` / ```geogebra\r\n...```（结尾可能不带换行）
-  const fence = /```\s*geogebra\s*\r?\n([\s\S]*?)```/i;
-  const m = s.match(fence);
-
-  const commands = m
-    ? sanitizeCommands(
-        m[1]
-          .split(/\r?\n/)
-          .map((l) => l.trim())
-          .filter(Boolean)
-      )
-    : [];
-
-  // explanation：去掉代码块后剩余内容
-  const explanation = m ? (s.replace(m[0], '').trim() || '') : s.trim();
-
-  return { commands, explanation };
-}
-
-
-function ruleBasedFallback(userText) {
-  const t = String(userText || '').trim();
-  if (!t) {
-    return {
-      explanation: '你的输入为空，请描述你想绘制的图形或动画。',
-      commands: []
-    };
-  }
-
-  // 一个非常小的兜底：让项目在没有 Key 时也能跑通演示链路
-  if (/椭圆/.test(t)) {
-    return {
-      explanation:
-        '用标准椭圆方程 $$x^2/a^2 + y^2/b^2 = 1$$（这里取 a=5, b=3）来绘制椭圆。第一条命令直接定义隐式曲线；第二条命令添加文字标注。',
-      commands: ['x^2/25 + y^2/9 = 1', 'Text("椭圆：x^2/25 + y^2/9 = 1", (-9, 6))']
-    };
-  }
+app.get('/api/health', (req, res) => {
+  res.json({ ok: true });
+});
 
-  if (/圆/.test(t) && /运动|动画|转/.test(t)) {
-    return {
-      explanation:
-        '用滑块 a 作为参数角度（从 0 到 $$2\\pi$$），点 P 按 (5 cos(a), 5 sin(a)) 在半径 5 的圆周上运动，然后启动滑块动画。',
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
 
-      commands: ['a = Slider[0, 2π, 0.01]', 'Circle((0, 0), 5)', 'P = (5 cos(a), 5 sin(a))', 'StartAnimation[a, true]']
-    };
+/**
+ * GET /api/prompts：可选的提示词模板版本及各版本的学科（见 promptTemplates.js），
+ * 请求里用 promptVersion / subject 选择，响应的 prompt 字段记录实际使用的版本与学科。
+ */
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json(listPrompts());
+  } catch (e) {
+    res.status(e?.status || 500).json({ error: errorMessage(e) });
   }
+});
 
-  if (/圆/.test(t)) {
-    return {
-      explanation: '先创建圆心 O，再以半径 5 绘制圆。',
-      commands: ['O = (0, 0)', 'Circle(O, 5)']
-    };
+/**
+ * GET /api/commands：从随附的 GeoGebra 构建中提取的命令目录
+ * （英文命令名、中文名、语法提示、参数个数），供前端编辑器补全与校验使用。
+ */
+app.get('/api/commands', (req, res) => {
+  const catalog = getCommandCatalog();
+  if (!catalog) {
+    return res.status(503).json({ error: '命令目录不可用：未找到 GeoGebra 语言包' });
   }
+  res.set('Cache-Control', 'public, max-age=3600');
+  return res.json({ source: catalog.source, count: catalog.commands.length, commands: catalog.commands.map(toJson) });
+});
 
-  return {
-    explanation:
-      '当前服务未配置 LLM Key，已进入演示兜底模式。我暂时只能处理“圆/椭圆/圆周运动”等少量请求。请在后端配置 DEEPSEEK_API_KEY 后再试更复杂的自然语言绘图。',
-    commands: []
-  };
+// 每个翻译请求结束时（成功或失败）记一条审计日志，见 audit.js；不等待写入完成
+function audit(endpoint, req, startedAt, fields) {
+  const body = req?.body || {};
+  recordRequest({
+    endpoint,
+    prompt: typeof body.text === 'string' ? body.text.trim() : '',
+    history: body.history,
+    provider: body.provider,
+    model: body.model,
+    startedAt,
+    ...fields
+  });
 }
 
-function normalizeHistory(history) {
-  if (!Array.isArray(history)) return [];
-  const allowed = new Set(['user', 'assistant']);
-
-  // 控制上下文长度，避免 token 过大
-  const MAX_MESSAGES = 8; // 最近 4 轮
-  const MAX_CHARS_PER_MESSAGE = 4000;
+function bearerToken(req) {
+  return String(req.get('authorization') || '').replace(/^Bearer\s+/i, '').trim();
+}
 
-  return history
-    .filter((m) => m && allowed.has(m.role) && typeof m.content === 'string')
-    .map((m) => ({ role: m.role, content: m.content.trim().slice(0, MAX_CHARS_PER_MESSAGE) }))
-    .filter((m) => m.content)
-    .slice(-MAX_MESSAGES);
+function errorMessage(e) {
+  return e?.response?.data && typeof e.response.data.pipe !== 'function'
+    ? JSON.stringify(e.response.data)
+    : e?.message || 'AI 服务异常';
 }
 
-async function callDeepSeekChat({ userText, history }) {
+app.post('/api/translate', async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const text = req?.body?.text;
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text 不能为空' });
+    }
 
-  const apiKey = process.env.DEEPSEEK_API_KEY;
-  const baseURL = process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com';
-  const model = process.env.DEEPSEEK_MODEL || 'deepseek-chat';
+    const history = req?.body?.history;
+    const provider = req?.body?.provider;
+    const model = req?.body?.model;
+    const outputMode = req?.body?.outputMode;
+    const construction = normalizeConstruction(req?.body?.construction);
+    const result = await callLLM({
+      userText: text.trim(),
+      history,
+      construction,
+      provider,
+      model,
+      outputMode,
+      promptVersion: req?.body?.promptVersion,
+      subject: req?.body?.subject
+    });
 
-  if (!apiKey) {
-    return { mode: 'fallback', ...ruleBasedFallback(userText), raw: null };
+    const response = buildTranslateResponse(result, {
+      userText: text.trim(),
+      construction,
+      allowScripting: req?.body?.allowScripting === true
+    });
+    audit('translate', req, startedAt, { result, response });
+    return res.json({ ...response, repairId: issueRepairId() });
+  } catch (e) {
+    audit('translate', req, startedAt, { error: e });
+    return res.status(e?.status || 500).json({ error: errorMessage(e) });
   }
+});
 
-  const url = `${baseURL.replace(/\/$/, '')}/chat/completions`;
-
-  const resp = await axios.post(
-    url,
-    {
-      model,
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        ...normalizeHistory(history),
-        { role: 'user', content: userText }
-      ],
+/**
+ * 流式翻译：NDJSON 事件依次为
+ *   start → explanation（解释增量）/ command（代码块内每完成一行且校验通过）/ diagnostic（该行的校验问题）…
+ *   → done（与 /api/translate 相同的最终结果）
+ * 请求体与 /api/translate 相同：text、history、construction（前端采集的画布状态）、provider、model、outputMode，
+ * promptVersion / subject（提示词模板的版本与学科，见 prompt.js），以及 allowScripting（本次请求放行脚本命令，部署策略允许时生效，见 policy.js）。
+ * 出错时发送 error 事件后结束。
+ */
+app.post('/api/translate/stream', async (req, res) => {
+  const text = req?.body?.text;
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text 不能为空' });
+  }
 
-      temperature: 0.2
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60_000
+  const startedAt = Date.now();
+  // 客户端断开时取消上游请求
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  let send = null;
+  const construction = normalizeConstruction(req?.body?.construction);
+  const parser = createFenceStreamParser();
+  const allowScripting = req?.body?.allowScripting === true;
+  const validator = getShared().syntax.createValidator({
+    commands: getValidatorCommands(),
+    knownNames: constructionNames(construction),
+    policy: createCommandPolicy({ allowScripting })
+  });
+  const guard = createCollisionGuard({ existingNames: constructionNames(construction), userText: text.trim() });
+  // 画布上已有的与本次流中已下发的对象名（规范化时不把同名的中文名改写成命令）
+  const streamNames = new Set(constructionNames(construction));
+  let line = 0;
+  let index = 0;
+  const forward = (events) => {
+    for (const evt of events) {
+      if (evt.type !== 'command') {
+        send(evt);
+        continue;
+      }
+      // 与 buildTranslateResponse 同一套规范化、重名检查与逐行校验，保证流式结果与 done 中的最终结果一致
+      const normalized = getShared().normalize.normalizeCommand(evt.command, normalizeOptions(streamNames));
+      if (normalized.rewrites.length) {
+        send({ type: 'diagnostic', ...getShared().normalize.rewriteDiagnostic(line, evt.command, normalized) });
+      }
+      const { command, collision } = guard.check(normalized.command);
+      if (collision) send({ type: 'diagnostic', ...collisionDiagnostic(line, command, collision) });
+      const checked = validator.check(command);
+      for (const d of checked.diagnostics) {
+        send({ type: 'diagnostic', line, command, ...d, rejected: !checked.ok });
+      }
+      if (checked.ok) {
+        for (const name of getShared().syntax.definedNames([command])) streamNames.add(name);
+        send({ ...evt, command, index: index++ });
+      }
+      line += 1;
     }
-  );
-
-  const content = resp?.data?.choices?.[0]?.message?.content;
-  const { commands, explanation } = extractGeoGebraBlock(content);
-
-  return {
-    mode: 'llm',
-    explanation,
-    commands,
-    raw: content
   };
-}
 
-app.get('/api/health', (req, res) => {
-  res.json({ ok: true });
+  try {
+    const result = await streamLLM({
+      userText: text.trim(),
+      history: req?.body?.history,
+      construction,
+      provider: req?.body?.provider,
+      model: req?.body?.model,
+      outputMode: req?.body?.outputMode,
+      promptVersion: req?.body?.promptVersion,
+      subject: req?.body?.subject,
+      signal: controller.signal,
+      onStart: (meta) => {
+        send = startNdjson(res);
+        send({ type: 'start', ...meta });
+      },
+      onDelta: (delta) => forward(parser.push(delta))
+    });
+    forward(parser.end());
+
+    const response = buildTranslateResponse(result, { userText: text.trim(), construction, allowScripting });
+    audit('stream', req, startedAt, { result, response });
+    send({ type: 'done', ...response, repairId: issueRepairId() });
+    return res.end();
+  } catch (e) {
+    audit('stream', req, startedAt, { error: controller.signal.aborted ? new Error('客户端已断开') : e });
+    if (controller.signal.aborted) return undefined;
+    if (!send) {
+      return res.status(e?.status || 500).json({ error: errorMessage(e) });
+    }
+    send({ type: 'error', error: errorMessage(e) });
+    return res.end();
+  }
 });
 
-app.post('/api/translate', async (req, res) => {
+/**
+ * 自动修复：前端执行某条命令失败时，带上已执行的命令、失败命令及其序号、GeoGebra 报错，
+ * 请求模型给出从失败处开始的修正续写。请求体带上翻译响应里的 repairId，修复次数按它在服务端计数。
+ * 响应结构同 /api/translate，另附 repairId / attempt / maxAttempts。
+ */
+app.post('/api/repair', async (req, res) => {
+  const startedAt = Date.now();
   try {
-    const text = req?.body?.text;
-    if (!text || typeof text !== 'string' || !text.trim()) {
-      return res.status(400).json({ error: 'text 不能为空' });
+    const body = req?.body || {};
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    const failedCommand = typeof body.failedCommand === 'string' ? body.failedCommand.trim() : '';
+    if (!text || !failedCommand) {
+      return res.status(400).json({ error: 'text 与 failedCommand 不能为空' });
     }
 
-    const history = req?.body?.history;
-    const result = await callDeepSeekChat({ userText: text.trim(), history });
-
+    const appliedCommands = toLines(body.appliedCommands);
+    const construction = normalizeConstruction(body.construction);
+    const attempt = claimRepairAttempt(body.repairId);
+    const result = await repairCommands({
+      text,
+      history: body.history,
+      construction,
+      appliedCommands,
+      failedCommand,
+      failedIndex: Number.isInteger(body.failedIndex) ? body.failedIndex : appliedCommands.length,
+      error: typeof body.error === 'string' ? body.error : '',
+      remainingCommands: body.remainingCommands,
+      provider: body.provider,
+      model: body.model,
+      promptVersion: body.promptVersion,
+      subject: body.subject
+    });
 
-    // 最终防线：无论 LLM 返回什么，后端在响应前再做一次命令清洗，避免前端执行到不兼容命令。
-    const safeCommands = sanitizeCommands(result.commands || []);
+    const response = buildTranslateResponse(result, {
+      userText: text,
+      priorCommands: appliedCommands,
+      construction,
+      allowScripting: body.allowScripting === true
+    });
+    audit('repair', req, startedAt, { result, response });
+    return res.json({ ...response, repairId: body.repairId, attempt, maxAttempts: MAX_REPAIR_ATTEMPTS });
+  } catch (e) {
+    audit('repair', req, startedAt, { error: e });
+    return res.status(e?.status || 500).json({ error: errorMessage(e) });
+  }
+});
 
-    if (!safeCommands || safeCommands.length === 0) {
+/**
+ * 审计日志查询与导出（见 audit.js，需设置 AUDIT_TOKEN 并带 Authorization: Bearer <token>）：
+ *   GET /api/audit?since=&until=&endpoint=&provider=&model=&promptVersion=&q=&dropped=1&clarification=1&errors=1&limit=100
+ * format=json（默认）返回 { records, total }；format=jsonl 下载原始记录；format=corpus 下载回放语料（limit=0 为全部）。
+ */
+app.get('/api/audit', async (req, res) => {
+  try {
+    checkAuditToken(req.get('authorization'));
+    const q = req.query || {};
+    const flag = (v) => v === '1' || v === 'true';
+    const { records, total } = await queryAudit({
+      since: q.since,
+      until: q.until,
+      endpoint: q.endpoint,
+      provider: q.provider,
+      model: q.model,
+      promptVersion: q.promptVersion,
+      q: q.q,
+      dropped: flag(q.dropped),
+      clarification: flag(q.clarification),
+      errors: flag(q.errors),
+      limit: q.limit
+    });
 
-      // 兼容 prompt 的“澄清提问”路径：允许只返回解释（不强行当成错误）。
-      return res.json({
-        explanation:
-          result.explanation ||
-          '我需要你补充一些关键信息（例如对象名称、位置/坐标、参数范围、是否需要动画），然后我才能给出可执行的 GeoGebra 命令。',
-        commands: [],
-        needClarification: true,
-        raw: process.env.RETURN_RAW === 'true' ? result.raw : undefined,
-        mode: result.mode
-      });
+    const format = q.format || 'json';
+    if (format === 'jsonl') {
+      res.type('application/x-ndjson').attachment('audit.jsonl');
+      return res.send(records.map((r) => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''));
+    }
+    if (format === 'corpus') {
+      res.attachment('corpus.json');
+      return res.json(toCorpus(records));
     }
+    if (format !== 'json') return res.status(400).json({ error: `未知的导出格式：${format}（可选：json, jsonl, corpus）` });
+    return res.json({ records, total });
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: errorMessage(e) });
+  }
+});
 
-    return res.json({
-      explanation: result.explanation || '',
-      commands: safeCommands,
-      needClarification: false,
-      raw: process.env.RETURN_RAW === 'true' ? result.raw : undefined,
-      mode: result.mode
+/**
+ * 服务端会话与分享链接：会话 ID 即分享 ID，前端用 ?session=<id> 打开，只能读取。
+ *   POST   /api/sessions             新建（title、turns、construction），返回 { session, editToken }
+ *   GET    /api/sessions/:id         完整会话（回合 + 构造 XML）
+ *   POST   /api/sessions/:id/turns   追加一轮（turn、construction），需带 Authorization: Bearer <editToken>
+ *   DELETE /api/sessions/:id         删除，同样需要编辑令牌
+ * 不提供会话列表：知道分享 ID 只能查看，编辑令牌只返回给创建者。
+ */
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const body = req?.body || {};
+    const { session, editToken } = await sessions.createSession({
+      title: body.title,
+      turns: body.turns,
+      construction: body.construction
     });
+    return res.status(201).json({ session, editToken });
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: errorMessage(e) });
+  }
+});
 
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    return res.json({ session: await sessions.getSession(req.params.id) });
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: errorMessage(e) });
+  }
+});
 
+app.post('/api/sessions/:id/turns', async (req, res) => {
+  try {
+    const body = req?.body || {};
+    const session = await sessions.appendTurn(req.params.id, {
+      turn: body.turn,
+      construction: body.construction,
+      token: bearerToken(req)
+    });
+    return res.json({ session: sessions.summarize(session) });
   } catch (e) {
-    const message = e?.response?.data ? JSON.stringify(e.response.data) : e?.message || 'AI 服务异常';
-    return res.status(500).json({ error: message });
+    return res.status(e?.status || 500).json({ error: errorMessage(e) });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`[server] listening on http://localhost:${PORT}`);
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    await sessions.deleteSession(req.params.id, { token: bearerToken(req) });
+    return res.status(204).end();
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: errorMessage(e) });
+  }
 });
+
+loadShared()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`[server] listening on http://localhost:${PORT}`);
+    });
+  })
+  .catch((e) => {
+    console.error('[server] failed to load shared modules', e);
+    process.exit(1);
+  });
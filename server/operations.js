@@ -0,0 +1,223 @@
+const { getShared } = require('./shared');
+
+// 编辑操作协议：除了新建对象的命令，模型还可以对画布上的对象做增量修改，前端调用对应的 ggbApplet 接口执行：
+//   { "op": "create", "command": "c = Circle(A, 3)" }            与代码块里的命令相同
+//   { "op": "redefine", "name": "A", "definition": "(1, 2)" }     evalCommand("A = (1, 2)")
+//   { "op": "delete", "name": "c" }                              deleteObject
+//   { "op": "setStyle", "name": "A", "color": "红色", "lineThickness": 5, "pointSize": 4, "lineStyle": 1, "filling": 0.3 }
+//                                                                setColor / setLineThickness / setPointSize / setLineStyle / setFilling
+//   { "op": "setVisible", "name": "B", "visible": false }        setVisible
+//   { "op": "setValue", "name": "a", "value": 3 }                setValue（滑块或数值）
+// 代码块模式下写在 ```geogebra-ops 代码块里，每行一个 JSON 对象；结构化模式下放在 operations 字段。
+// create 并入本轮命令；其余操作在本轮命令执行之后依次执行，所以也可以修改本轮新建的对象。
+
+const EDIT_OPS = new Set(['redefine', 'delete', 'setStyle', 'setVisible', 'setValue']);
+
+const COLOR_NAMES = {
+  红: '#FF0000', 红色: '#FF0000', red: '#FF0000',
+  绿: '#00A000', 绿色: '#00A000', green: '#00A000',
+  蓝: '#0000FF', 蓝色: '#0000FF', blue: '#0000FF',
+  黄: '#FFD700', 黄色: '#FFD700', yellow: '#FFD700',
+  橙: '#FF8C00', 橙色: '#FF8C00', orange: '#FF8C00',
+  紫: '#8000FF', 紫色: '#8000FF', purple: '#8000FF',
+  黑: '#000000', 黑色: '#000000', black: '#000000',
+  灰: '#808080', 灰色: '#808080', gray: '#808080', grey: '#808080',
+  白: '#FFFFFF', 白色: '#FFFFFF', white: '#FFFFFF',
+  粉: '#FF69B4', 粉色: '#FF69B4', pink: '#FF69B4',
+  棕: '#8B4513', 棕色: '#8B4513', brown: '#8B4513'
+};
+
+// 数值样式：字段 → [GeoGebra 命令, 最小值, 最大值, 中文名]
+const NUMERIC_STYLES = {
+  lineThickness: ['SetLineThickness', 1, 13, '线宽'],
+  pointSize: ['SetPointSize', 1, 9, '点大小'],
+  lineStyle: ['SetLineStyle', 0, 4, '线型'],
+  filling: ['SetFilling', 0, 1, '填充']
+};
+
+// 单个等号（不是 ==、<=、>=、!=）
+const EQUATION_RE = /(^|[^<>!=])=(?!=)/;
+
+// 能用 setValue 修改的对象类型（getObjectType 的返回值）
+const VALUE_TYPES = new Set(['numeric', 'angle', 'boolean']);
+
+function toHexColor(value) {
+  if (typeof value !== 'string') return null;
+  const s = value.trim();
+  if (COLOR_NAMES[s.toLowerCase()]) return COLOR_NAMES[s.toLowerCase()];
+  if (/^#[0-9a-f]{6}$/i.test(s)) return s.toUpperCase();
+  if (/^#[0-9a-f]{3}$/i.test(s)) return `#${[...s.slice(1)].map((c) => c + c).join('')}`.toUpperCase();
+  return null;
+}
+
+function fail(message) {
+  return { error: message };
+}
+
+function describeOp(op) {
+  if (op.raw) return op.raw;
+  return op.name ? `${op.op} ${op.name}` : op.op || JSON.stringify(op);
+}
+
+/**
+ * ```geogebra-ops 代码块：每行一个 JSON 对象（也接受整块一个 JSON 数组）。
+ * 返回 { operations, text }，text 为去掉该代码块后的原文；解析失败的行记为 { op: null, raw }，校验时报告。
+ */
+function extractOperationsBlock(text) {
+  const s = String(text || '');
+  const m = s.match(/```\s*geogebra-ops\s*\r?\n([\s\S]*?)```/i);
+  if (!m) return { operations: [], text: s };
+
+  const body = m[1].trim();
+  let operations;
+  try {
+    const parsed = JSON.parse(body);
+    operations = Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    operations = body
+      .split(/\r?\n/)
+      .map((l) => l.trim().replace(/,$/, ''))
+      .filter(Boolean)
+      .map((raw) => {
+        try {
+          return JSON.parse(raw);
+        } catch {
+          return { op: null, raw };
+        }
+      });
+  }
+  return { operations, text: s.replace(m[0], '').replace(/\n{3,}/g, '\n\n').trim() };
+}
+
+/**
+ * 把 create 操作拆出来并入命令：返回 { commands, edits }。
+ */
+function splitOperations(operations) {
+  const commands = [];
+  const edits = [];
+  for (const op of Array.isArray(operations) ? operations : []) {
+    if (op && op.op === 'create' && typeof op.command === 'string') commands.push(op.command.trim());
+    else edits.push(op);
+  }
+  return { commands: commands.filter(Boolean), edits };
+}
+
+function checkOperation(raw, { known, types, validator, normalize, normalizeOptions }) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('操作必须是 JSON 对象');
+  if (raw.op === null && raw.raw) return fail(`无法解析的操作：${raw.raw}`);
+  if (!EDIT_OPS.has(raw.op)) return fail(`未知的操作类型：${raw.op}（可选：create、${[...EDIT_OPS].join('、')}）`);
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) return fail(`${raw.op} 缺少对象名 name`);
+  if (!known.has(name)) return fail(`画布上没有对象 ${name}`);
+
+  switch (raw.op) {
+    case 'delete':
+      return { op: { op: 'delete', name, commands: [`Delete(${name})`], summary: `删除 ${name}` } };
+
+    case 'redefine': {
+      let definition = typeof raw.definition === 'string' ? raw.definition.trim() : '';
+      // 模型有时把整条赋值写进 definition：`A = (1, 2)`、`c: x^2 + y^2 = 9`
+      const m = definition.match(/^(.+?)\s*(?::=|=|:)\s*([\s\S]+)$/);
+      if (m && m[1].trim() === name) definition = m[2].trim();
+      if (!definition) return fail(`redefine ${name} 缺少新的定义 definition`);
+      definition = normalize.normalizeCommand(definition, normalizeOptions).command;
+      // 方程要用标签形式（c: x^2 + y^2 = 9），其余用赋值
+      const command = EQUATION_RE.test(definition) ? `${name}: ${definition}` : `${name} = ${definition}`;
+      const checked = validator.check(command);
+      const error = checked.diagnostics.find((d) => d.level === 'error');
+      if (error) return fail(`redefine ${name}：${error.message}`);
+      return { op: { op: 'redefine', name, definition, commands: [command], summary: `重新定义 ${command}` } };
+    }
+
+    case 'setStyle': {
+      const op = { op: 'setStyle', name, commands: [] };
+      const parts = [];
+      if (raw.color !== undefined && raw.color !== null) {
+        const color = toHexColor(raw.color);
+        if (!color) return fail(`无法识别的颜色：${raw.color}（用 #RRGGBB 或常见颜色名）`);
+        op.color = color;
+        op.commands.push(`SetColor(${name}, "${color}")`);
+        parts.push(`颜色 ${color}`);
+      }
+      for (const [key, [command, min, max, label]] of Object.entries(NUMERIC_STYLES)) {
+        if (raw[key] === undefined || raw[key] === null) continue;
+        const value = Number(raw[key]);
+        if (!Number.isFinite(value) || value < min || value > max) return fail(`${key} 应为 ${min}～${max} 之间的数`);
+        op[key] = value;
+        op.commands.push(`${command}(${name}, ${value})`);
+        parts.push(`${label} ${value}`);
+      }
+      if (!parts.length) return fail(`setStyle ${name} 没有要修改的样式（color、lineThickness、pointSize、lineStyle、filling）`);
+      return { op: { ...op, summary: `${name}：${parts.join('，')}` } };
+    }
+
+    case 'setVisible': {
+      if (typeof raw.visible !== 'boolean') return fail(`setVisible ${name} 的 visible 必须是 true 或 false`);
+      return {
+        op: {
+          op: 'setVisible',
+          name,
+          visible: raw.visible,
+          commands: [`SetVisibleInView(${name}, 1, ${raw.visible})`],
+          summary: `${raw.visible ? '显示' : '隐藏'} ${name}`
+        }
+      };
+    }
+
+    case 'setValue': {
+      const value = Number(raw.value);
+      if (raw.value === null || raw.value === '' || !Number.isFinite(value)) return fail(`setValue ${name} 的 value 必须是数`);
+      const type = types.get(name);
+      if (type && !VALUE_TYPES.has(type)) return fail(`${name} 是 ${type}，只有滑块或数值可以 setValue`);
+      return { op: { op: 'setValue', name, value, commands: [`SetValue(${name}, ${value})`], summary: `${name} 设为 ${value}` } };
+    }
+
+    default:
+      return fail(`未知的操作类型：${raw.op}`);
+  }
+}
+
+/**
+ * 校验编辑操作：对象必须已在画布上或由本轮命令新建，字段类型与取值范围正确，redefine 的新定义通过语法校验。
+ * 返回 { operations, diagnostics }。每个通过的操作带上 commands（等价的 GeoGebra 命令，用于重新执行与分享）
+ * 和 summary（给用户看的修改摘要）；不通过的操作不下发，在 diagnostics 中说明原因（kind 为 operation）。
+ *
+ * @param {Array} edits splitOperations 拆出的编辑操作
+ * @param {object} options
+ * @param {Array<{ name, type }>} options.objects 画布上已有的对象
+ * @param {string[]} options.names 本轮命令新建及之前已执行命令定义的对象名
+ * @param {object} options.commands 校验器的命令参数个数表
+ * @param {object} options.normalizeOptions 输入规范化选项（中文命令名表）
+ * @param {Function} [options.policy] 命令策略（policy.js），redefine 的新定义同样受它约束
+ */
+function validateOperations(edits, { objects = [], names = [], commands, normalizeOptions, policy = null } = {}) {
+  const { syntax, normalize } = getShared();
+  const known = new Set([...objects.map((o) => o.name), ...names]);
+  const types = new Map(objects.map((o) => [o.name, o.type]));
+  const validator = syntax.createValidator({ commands, knownNames: [...known], policy });
+  // 新定义里与画布对象同名的中文名按对象处理，不改写成命令
+  const definitionOptions = { ...normalizeOptions, knownNames: known };
+
+  const operations = [];
+  const diagnostics = [];
+  (Array.isArray(edits) ? edits : []).forEach((raw, i) => {
+    const { op, error } = checkOperation(raw, { known, types, validator, normalize, normalizeOptions: definitionOptions });
+    if (op) {
+      operations.push(op);
+      if (op.op === 'delete') known.delete(op.name);
+    } else {
+      diagnostics.push({
+        line: i,
+        command: raw && typeof raw === 'object' ? describeOp(raw) : String(raw),
+        level: 'error',
+        kind: 'operation',
+        message: error,
+        rejected: true
+      });
+    }
+  });
+  return { operations, diagnostics };
+}
+
+module.exports = { EDIT_OPS, extractOperationsBlock, splitOperations, validateOperations };
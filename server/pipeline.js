@@ -0,0 +1,144 @@
+const { sanitizeCommands } = require('./commands');
+const { getShared } = require('./shared');
+const { alignSteps } = require('./structured');
+const { constructionNames } = require('./construction');
+const { commandArity, localizedNames } = require('./commandCatalog');
+const { createCollisionGuard, resolveCollisions } = require('./collisions');
+const { splitOperations, validateOperations } = require('./operations');
+const { createCommandPolicy, describePolicy } = require('./policy');
+
+// 模型输出到响应的处理流水线：规范化 → 重名处理 → 语法与策略校验 → 编辑操作校验。
+// 各接口（index.js）与离线评测（eval/）共用，保证评测看到的就是前端实际收到的结果。
+
+// 校验器使用的命令表：GeoGebra 命令目录 + 内置命令表中目录没有的命令
+let validatorCommands = null;
+function getValidatorCommands() {
+  if (!validatorCommands) validatorCommands = commandArity(getShared().syntax.KNOWN_COMMANDS);
+  return validatorCommands;
+}
+
+// 规范化（方括号调用、全角标点、Unicode 数学符号、中文命令名）用的中文名表；
+// knownNames 为已存在的对象名，与中文命令名同名时不当作命令改写
+let zhCommandNames = null;
+function normalizeOptions(knownNames = []) {
+  if (!zhCommandNames) zhCommandNames = localizedNames();
+  return { localizedNames: zhCommandNames, knownNames };
+}
+
+/**
+ * 清洗（去掉空行与注释）后逐行规范化：返回 { commands, diagnostics }，diagnostics 为改写记录。
+ */
+function normalizeLines(lines, knownNames = []) {
+  const { normalize } = getShared();
+  const { commands, rewrites } = normalize.normalizeCommands(sanitizeCommands(lines), normalizeOptions(knownNames));
+  return { commands, diagnostics: rewrites.map((r) => normalize.rewriteDiagnostic(r.line, r.original, r)) };
+}
+
+// 分步说明里的命令同样规范化、同样改名，才能与下发的命令逐条对上
+function prepareSteps(steps, collisionOptions) {
+  const { normalize } = getShared();
+  const guard = createCollisionGuard(collisionOptions);
+  return (Array.isArray(steps) ? steps : []).map((step) => ({
+    ...step,
+    commands: step.commands.map(
+      (c) => guard.check(normalize.normalizeCommand(c, normalizeOptions(collisionOptions.existingNames)).command).command
+    )
+  }));
+}
+
+// 本轮开始前画布上已有的对象（修复续写时，本轮已执行的命令定义的对象不算）
+function existingNames(construction, priorCommands) {
+  const prior = new Set(getShared().syntax.definedNames(priorCommands));
+  return constructionNames(construction).filter((name) => !prior.has(name));
+}
+
+/**
+ * 把 callLLM / streamLLM / repairCommands 的结果整理成接口响应：
+ * { explanation, commands, diagnostics, steps, collisions, operations, policy, context, needClarification, … }，
+ * prompt 为生成这次结果的提示词模板 { version, subjects }。
+ *
+ * @param {object} result 模型调用结果
+ * @param {object} [options]
+ * @param {string} [options.userText] 用户原话，决定重名时改名还是修改原对象
+ * @param {string[]} [options.priorCommands] 修复续写时本轮已执行的命令
+ * @param {object} [options.construction] normalizeConstruction 处理过的画布状态
+ * @param {boolean} [options.allowScripting] 本次请求是否要求放行脚本命令
+ */
+function buildTranslateResponse(result, { userText = '', priorCommands = [], construction = null, allowScripting = false } = {}) {
+  const { syntax } = getShared();
+  // 最终防线：无论 LLM 返回什么，后端在响应前再做一次规范化与命令清洗，避免前端执行到不兼容命令。
+  // 重新定义画布上已有对象的命令按用户原话决定改名还是保留（见 collisions.js）。
+  // 之后逐行做语法校验，有错误的行不下发，并在 diagnostics 中说明原因；画布上已有的对象视为已定义。
+  // 编辑操作（operations.js）中的 create 并入命令，其余操作在命令之后校验。
+  const { commands: created, edits } = splitOperations(result.operations);
+  const knownNames = [...syntax.definedNames(priorCommands), ...constructionNames(construction)];
+  const normalized = normalizeLines([...(result.commands || []), ...created], knownNames);
+  const collisionOptions = { existingNames: existingNames(construction, priorCommands), userText };
+  const resolved = resolveCollisions(normalized.commands, collisionOptions);
+  // 命令策略（policy.js）拦下的命令同样不下发，原因写在 diagnostics 里（kind 为 policy）
+  const policy = createCommandPolicy({ allowScripting });
+  const validated = syntax.validateCommands(resolved.commands, {
+    commands: getValidatorCommands(),
+    knownNames,
+    policy
+  });
+  const safeCommands = validated.commands;
+  const edited = validateOperations(edits, {
+    objects: construction?.objects || [],
+    names: [...syntax.definedNames(priorCommands), ...syntax.definedNames(safeCommands)],
+    commands: getValidatorCommands(),
+    normalizeOptions: normalizeOptions(),
+    policy
+  });
+  const diagnostics = [
+    ...[...normalized.diagnostics, ...resolved.diagnostics, ...validated.diagnostics].sort((a, b) => a.line - b.line),
+    ...edited.diagnostics
+  ];
+
+  // 结构化输出的附加字段；代码块模式下均为空
+  const structured = {
+    format: result.format || 'fence',
+    steps: alignSteps(prepareSteps(result.steps, collisionOptions), safeCommands),
+    collisions: resolved.collisions,
+    operations: edited.operations,
+    policy: describePolicy({ allowScripting }),
+    context: result.context,
+    clarificationQuestions: result.clarificationQuestions || [],
+    suggestions: result.suggestions || [],
+    structuredErrors: result.structuredErrors?.length ? result.structuredErrors : undefined
+  };
+
+  if (!safeCommands.length && !edited.operations.length) {
+
+    // 兼容 prompt 的“澄清提问”路径：允许只返回解释（不强行当成错误）。
+    return {
+      explanation:
+        result.explanation ||
+        '我需要你补充一些关键信息（例如对象名称、位置/坐标、参数范围、是否需要动画），然后我才能给出可执行的 GeoGebra 命令。',
+      commands: [],
+      diagnostics,
+      ...structured,
+      needClarification: true,
+      raw: process.env.RETURN_RAW === 'true' ? result.raw : undefined,
+      mode: result.mode,
+      prompt: result.prompt || null,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  return {
+    explanation: result.explanation || '',
+    commands: safeCommands,
+    diagnostics,
+    ...structured,
+    needClarification: false,
+    raw: process.env.RETURN_RAW === 'true' ? result.raw : undefined,
+    mode: result.mode,
+    prompt: result.prompt || null,
+    provider: result.provider,
+    model: result.model
+  };
+}
+
+module.exports = { getValidatorCommands, normalizeOptions, normalizeLines, buildTranslateResponse };
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { evaluate } = require('./evaluate');
+
+// 命令策略：决定哪些命令可以下发给前端执行，取代原来写死在 sanitizeCommands 里的脚本命令黑名单。
+// 被拦截的命令不再悄悄丢掉，而是和语法错误一样作为 diagnostics（kind: policy）返回，说明原因。
+//
+// 部署配置：COMMAND_POLICY_FILE 指向的 JSON 文件，或下列环境变量（文件中的字段优先）：
+//   COMMAND_SCRIPTING  脚本命令（RunClickScript、Execute、Button…）：
+//                      off 一律拦截；request（默认）请求体带 allowScripting: true 时放行；on 一律放行
+//   COMMAND_ALLOW      逗号分隔的命令白名单；设置后只允许这些命令（赋值、方程等不含命令的输入不受影响）
+//   COMMAND_DENY       逗号分隔的命令黑名单
+// 文件格式：{ "scripting": "request", "allow": [], "deny": [], "limits": { "Sequence": { "maxArgs": 5, "maxElements": 1000 } } }
+// limits 为逐命令的参数限制，与默认限制按命令合并：
+//   maxArgs      参数个数上限
+//   maxElements  生成的元素个数（或迭代次数）上限，只对 ELEMENT_COUNTS 中的命令生效；
+//                个数能由常量参数算出时超限拦截，取决于滑块等变量时只给出警告
+//   maxNumber  数值参数绝对值的上限；参数是常量表达式（10^6、1000*1000）时按求值结果比较
+//   bounded    必须受 maxNumber 约束的参数位置（从 0 开始，负数从末尾数）；这些参数不是常量（含滑块等变量）时直接拦截。
+//              没写时只检查能求值的参数
+
+const SCRIPT_COMMANDS = new Set(['RunClickScript', 'RunUpdateScript', 'SetClickScript', 'SetUpdateScript', 'Execute', 'Button']);
+
+const SCRIPTING_MODES = new Set(['off', 'request', 'on']);
+
+// 默认限制：防止一条 Sequence(k, k, 1, 1000000) 或 Sequence(k, k, 0, 10000, 0.001) 之类的命令卡死浏览器
+const DEFAULT_LIMITS = {
+  Sequence: { maxElements: 10000 },
+  IterationList: { maxElements: 10000 },
+  Iteration: { maxElements: 10000 }
+};
+
+// 由参数估算元素个数（迭代次数）：返回数字；参数含变量、算不出来时返回 null
+const ELEMENT_COUNTS = {
+  Sequence(args) {
+    // Sequence(n) 为 1..n；Sequence(表达式, 变量, 起, 止[, 步长])
+    if (args.length === 1) return constant(args[0]);
+    if (args.length < 4) return null;
+    const [from, to, step] = [constant(args[2]), constant(args[3]), args[4] ? constant(args[4]) : 1];
+    if (from === null || to === null || step === null) return null;
+    if (step === 0) return Infinity;
+    return Math.max(0, Math.floor((to - from) / step + 1e-9) + 1);
+  },
+  IterationList: (args) => (args.length ? constant(args[args.length - 1]) : null),
+  Iteration: (args) => (args.length ? constant(args[args.length - 1]) : null)
+};
+
+function constant(node) {
+  const value = evaluate(node);
+  return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+}
+
+let cached = null;
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function readPolicyFile() {
+  const file = process.env.COMMAND_POLICY_FILE;
+  if (!file) return {};
+  const resolved = path.resolve(file);
+  const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${resolved} 必须是 JSON 对象`);
+  return data;
+}
+
+function buildPolicy() {
+  let file = {};
+  try {
+    file = readPolicyFile();
+  } catch (e) {
+    console.warn(`[policy] 无法读取命令策略文件，使用环境变量与默认策略：${e?.message || e}`);
+  }
+
+  const scripting = String(file.scripting || process.env.COMMAND_SCRIPTING || 'request').trim().toLowerCase();
+  if (!SCRIPTING_MODES.has(scripting)) {
+    console.warn(`[policy] 未知的 scripting 配置：${scripting}（可选：off, request, on），按 request 处理`);
+  }
+
+  const limits = { ...DEFAULT_LIMITS };
+  for (const [name, limit] of Object.entries(file.limits || {})) {
+    if (limit && typeof limit === 'object') limits[name] = { ...limits[name], ...limit };
+  }
+
+  return {
+    scripting: SCRIPTING_MODES.has(scripting) ? scripting : 'request',
+    allow: new Set(Array.isArray(file.allow) ? file.allow : splitList(process.env.COMMAND_ALLOW)),
+    deny: new Set(Array.isArray(file.deny) ? file.deny : splitList(process.env.COMMAND_DENY)),
+    limits
+  };
+}
+
+/** 部署级策略（首次调用时读取配置并缓存） */
+function getPolicy() {
+  if (!cached) cached = buildPolicy();
+  return cached;
+}
+
+// bounded 中的位置换算成实际参数下标（去重、去掉越界的）
+function boundedIndexes(bounded, count) {
+  const indexes = bounded.map((i) => (i < 0 ? count + i : i)).filter((i) => Number.isInteger(i) && i >= 0 && i < count);
+  return [...new Set(indexes)];
+}
+
+function checkNumbers(name, node, limit) {
+  const max = limit.maxNumber;
+  const bounded = Array.isArray(limit.bounded) ? boundedIndexes(limit.bounded, node.args.length) : null;
+  const indexes = bounded || node.args.map((arg, i) => i);
+  for (const i of indexes) {
+    const value = evaluate(node.args[i]);
+    if (typeof value !== 'number') {
+      if (bounded) return `${name} 的第 ${i + 1} 个参数必须是常数，才能按命令策略检查上限 ${max}`;
+      continue;
+    }
+    if (!(Math.abs(value) <= max)) return `${name} 的参数 ${formatValue(value)} 超出命令策略上限 ${max}`;
+  }
+  return null;
+}
+
+function formatValue(value) {
+  return Number.isFinite(value) ? String(Number(value.toPrecision(12))) : String(value);
+}
+
+// 元素个数超限时返回拦截原因；个数取决于变量时返回 { warning }
+function checkElements(name, node, max) {
+  const count = ELEMENT_COUNTS[name]?.(node.args);
+  if (count === undefined) return null;
+  if (count === null) return { warning: `${name} 的元素个数取决于变量，命令策略只在能算出时检查上限 ${max}，请留意取值范围` };
+  if (!(Math.abs(count) <= max)) return { error: `${name} 将生成 ${formatValue(count)} 个元素，超出命令策略上限 ${max}` };
+  return null;
+}
+
+/**
+ * 按部署策略与本次请求生成校验器使用的策略函数（见 createValidator 的 policy 选项）：
+ * (name, node) → { kind: 'policy', rule, message, level? } | null；level 为 warning 时只提示、不拦截
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.allowScripting] 本次请求是否要求放行脚本命令（COMMAND_SCRIPTING=request 时生效）
+ */
+function createCommandPolicy({ allowScripting = false } = {}) {
+  const policy = getPolicy();
+  const scriptingAllowed = policy.scripting === 'on' || (policy.scripting === 'request' && allowScripting === true);
+  const deny = (rule, message) => ({ kind: 'policy', rule, message });
+
+  return (name, node) => {
+    if (policy.deny.has(name)) return deny('deny', `命令 ${name} 被部署策略禁止`);
+    if (policy.allow.size && !policy.allow.has(name)) return deny('allow', `命令 ${name} 不在允许的命令列表中`);
+
+    if (SCRIPT_COMMANDS.has(name) && !scriptingAllowed) {
+      return policy.scripting === 'off'
+        ? deny('scripting', `${name} 是脚本命令，部署策略不允许执行`)
+        : deny('scripting', `${name} 是脚本命令，默认不执行；确实需要时请勾选“允许脚本命令”后重试`);
+    }
+
+    const limit = policy.limits[name];
+    if (limit) {
+      if (Number.isFinite(limit.maxArgs) && node.args.length > limit.maxArgs) {
+        return deny('limit', `${name} 最多允许 ${limit.maxArgs} 个参数（命令策略），实际为 ${node.args.length} 个`);
+      }
+      if (Number.isFinite(limit.maxElements)) {
+        const problem = checkElements(name, node, limit.maxElements);
+        if (problem?.error) return deny('limit', problem.error);
+        if (problem?.warning) return { ...deny('limit', problem.warning), level: 'warning' };
+      }
+      if (Number.isFinite(limit.maxNumber)) {
+        const problem = checkNumbers(name, node, limit);
+        if (problem) return deny('limit', problem);
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * 响应里附带的策略摘要，前端据此显示脚本命令开关的状态。
+ */
+function describePolicy({ allowScripting = false } = {}) {
+  const policy = getPolicy();
+  return {
+    scripting: policy.scripting,
+    scriptingAllowed: policy.scripting === 'on' || (policy.scripting === 'request' && allowScripting === true),
+    allow: policy.allow.size ? [...policy.allow] : null,
+    deny: [...policy.deny]
+  };
+}
+
+module.exports = { SCRIPT_COMMANDS, getPolicy, createCommandPolicy, describePolicy };
@@ -0,0 +1,219 @@
+const { getCommandCatalog, findCommand } = require('./commandCatalog');
+const { SUBJECTS_MARK, listVersions, defaultVersion, loadTemplate } = require('./promptTemplates');
+
+// 提示词中的常用命令：[分组, [[说明, 示例, 命令名]]]。命令名对应的语法取自命令目录（GeoGebra 语言包），
+// 与实际运行的 GeoGebra 版本一致；目录不可用时只保留示例。
+const COMMON_COMMANDS = [
+  [
+    '基本元素',
+    [
+      ['点', 'A = (2, 3)', 'Point'],
+      ['向量', 'v = Vector(A, B) 或 v = (1, 2)', 'Vector'],
+      ['线段', 'Segment(A, B)', 'Segment'],
+      ['直线', 'Line(A, B)', 'Line'],
+      ['射线', 'Ray(A, B)', 'Ray'],
+      ['圆', 'Circle(A, 3) 或 Circle(A, B)', 'Circle'],
+      ['椭圆', 'Ellipse(F1, F2, a)', 'Ellipse'],
+      ['多边形', 'Polygon(A, B, C, …)', 'Polygon'],
+      ['正多边形', 'Polygon(A, B, n)']
+    ]
+  ],
+  ['函数和曲线', [['斜率', 'Slope(line)', 'Slope']]],
+  [
+    '动画和交互',
+    [
+      ['滑块', 'a = Slider(0, 10, 0.1)', 'Slider'],
+      ['启动/停止动画', 'StartAnimation(a, true) 或 StartAnimation(a, false)', 'StartAnimation'],
+      ['设置动画速度', '滑块的第 4 个参数，如 a = Slider(0, 10, 0.1, 2)'],
+      ['条件显示对象', 'SetConditionToShowObject(object, condition)', 'SetConditionToShowObject'],
+      ['设置轨迹', 'SetTrace(object, true) 或 SetTrace(object, false)', 'SetTrace'],
+      ['轨迹曲线', 'Locus(point, parameter)', 'Locus']
+    ]
+  ],
+  [
+    '高级功能',
+    [
+      ['序列', 'Sequence(expression, variable, from, to, step)', 'Sequence'],
+      ['列表', '{a, b, c}'],
+      ['条件表达式', 'If(condition, then, else)', 'If'],
+      ['文本对象', 'Text("文本", (x, y))', 'Text'],
+      ['脚本按钮（示意）', '点击脚本中使用 RunClickScript("命令")']
+    ]
+  ]
+];
+
+const MAX_SYNTAX_LINES = 3;
+const MAX_RELATED_COMMANDS = 8;
+
+// "[ <Point>, <Point> ]" → "Segment( <Point>, <Point> )"
+function formatSyntax(cmd) {
+  return cmd.syntax
+    .slice(0, MAX_SYNTAX_LINES)
+    .map((line) => `${cmd.name}(${line.replace(/^\[\s*/, ' ').replace(/\s*\]$/, ' ').replace(/^\s+$/, '')})`)
+    .join(' / ');
+}
+
+function renderCommonCommands() {
+  const groups = COMMON_COMMANDS.map(([title, items]) => {
+    const lines = items.map(([label, example, name]) => {
+      const cmd = name ? findCommand(name) : null;
+      return `- ${label}：${example}${cmd?.syntax.length ? `（语法：${formatSyntax(cmd)}）` : ''}`;
+    });
+    return `## ${title}\n${lines.join('\n')}`;
+  });
+  const catalog = getCommandCatalog();
+  const total = catalog
+    ? `\n\n以上只是常用命令，GeoGebra 共有 ${catalog.commands.length} 条命令可用；命令名必须使用 GeoGebra 的英文命令名，参数个数与顺序以语法为准。`
+    : '';
+  return `GeoGebra支持的命令类型包括：\n\n${groups.join('\n\n')}${total}`;
+}
+
+const COMMON_NAMES = new Set(COMMON_COMMANDS.flatMap(([, items]) => items.map(([, , name]) => name).filter(Boolean)));
+
+/**
+ * 与本次请求相关的命令语法：请求里出现了某条命令的中文名（如“内切圆”“角平分线”）时，
+ * 把该命令的语法附在系统提示词后面，帮助模型选对不常用的命令。
+ */
+function relatedCommandsSection(userText) {
+  const catalog = getCommandCatalog();
+  if (!catalog || typeof userText !== 'string') return '';
+  const related = catalog.commands
+    .filter((cmd) => cmd.zhName && cmd.zhName.length >= 2 && !COMMON_NAMES.has(cmd.name) && userText.includes(cmd.zhName))
+    .slice(0, MAX_RELATED_COMMANDS);
+  if (!related.length) return '';
+  return `与本次请求可能相关的命令（语法取自 GeoGebra 命令表）：\n${related
+    .map((cmd) => `- ${cmd.zhName}：${formatSyntax(cmd)}`)
+    .join('\n')}`;
+}
+
+// HISTORY_SUMMARY=model 时压缩较早对话用的系统提示词（见 history.js）
+const HISTORY_SUMMARY_PROMPT = `你负责压缩一段 GeoGebra 绘图对话的早期内容，供后续对话参考。
+请用简洁的中文要点输出，只保留：
+- 画布上定义过、仍然存在的对象：名称与最后一次的定义（命令原样照抄，删除过的不要列出）
+- 选定的参数：滑块范围、数值、坐标等
+- 用户提出的长期要求与偏好（颜色、样式、命名习惯、不要做的事等）
+如果给出了“已有摘要”，把新增对话合并进去，输出合并后的完整摘要。不要输出解释、寒暄或代码块，总长度不超过 600 字。`;
+
+const MAX_AUTO_SUBJECTS = 2; // 自动识别时最多附带的学科数
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// 常用命令列表只依赖命令目录，渲染一次即可
+let commonCommandsText = null;
+
+/**
+ * 替换模板里的占位符：{{commonCommands}} 为常用命令列表；{{syntax:Name}} 为该命令的语法
+ * （“（语法：…）”，命令目录不可用时为空）。
+ */
+function renderText(template, text) {
+  return text.replace(/\{\{\s*(\w+)(?::(\w+))?\s*\}\}/g, (match, key, arg) => {
+    if (key === 'commonCommands' && !arg) {
+      if (commonCommandsText === null) commonCommandsText = renderCommonCommands();
+      return commonCommandsText;
+    }
+    if (key === 'syntax' && arg) {
+      const cmd = findCommand(arg);
+      return cmd?.syntax.length ? `（语法：${formatSyntax(cmd)}）` : '';
+    }
+    throw httpError(500, `提示词模板 ${template.version} 中有未知的占位符：${match}`);
+  });
+}
+
+function compact(text) {
+  return String(text || '')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+}
+
+// 按关键词命中数识别学科；本轮请求识别不出时沿用最近一次能识别的用户消息，都识别不出时用默认学科
+function detectSubjects(template, userText, history) {
+  const earlier = (Array.isArray(history) ? history : [])
+    .filter((m) => m?.role === 'user' && typeof m.content === 'string')
+    .map((m) => m.content)
+    .reverse();
+  for (const text of [userText, ...earlier]) {
+    const s = compact(text);
+    if (!s) continue;
+    const hits = template.subjects
+      .map((subject, order) => ({ id: subject.id, order, count: subject.keywords.filter((k) => s.includes(compact(k))).length }))
+      .filter((h) => h.count > 0)
+      .sort((a, b) => b.count - a.count || a.order - b.order);
+    if (hits.length) return hits.slice(0, MAX_AUTO_SUBJECTS).map((h) => h.id);
+  }
+  return template.defaultSubject ? [template.defaultSubject] : [];
+}
+
+// 请求指定的学科：null 表示自动识别
+function requestedSubjects(template, subject) {
+  const ids = (Array.isArray(subject) ? subject : String(subject ?? '').split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  if (!ids.length || ids.includes('auto')) return null;
+  if (ids.includes('none')) return [];
+  const unknown = ids.filter((id) => !template.subjects.some((s) => s.id === id));
+  if (unknown.length) {
+    const choices = ['auto', 'none', ...template.subjects.map((s) => s.id)].join(', ');
+    throw httpError(400, `提示词模板 ${template.version} 没有学科：${unknown.join(', ')}（可选：${choices}）`);
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * 选出本次请求使用的提示词（模板见 promptTemplates.js），返回 { version, subjects, text, structured }：
+ * text 为拼好的基础提示词，structured 为结构化模式的格式要求；version / subjects 随响应返回。
+ *
+ * @param {object} [options]
+ * @param {string} [options.version] 模板版本，默认 PROMPT_VERSION 或最新版本
+ * @param {string|string[]} [options.subject] 学科 id（可逗号分隔），auto（默认，按请求识别）或 none
+ * @param {string} [options.userText] 本轮请求，自动识别学科用
+ * @param {Array} [options.history] 对话历史，本轮识别不出学科时参考
+ * @param {string} [options.basePrompt] 整段替换模板正文（离线评测比较临时改写的提示词），版本记为 custom
+ */
+function selectPrompt({ version, subject, userText, history, basePrompt } = {}) {
+  const template = loadTemplate(version);
+  const structured = renderText(template, template.structured);
+  if (basePrompt) return { version: 'custom', subjects: [], text: basePrompt, structured };
+
+  const subjects = requestedSubjects(template, subject) ?? detectSubjects(template, userText, history);
+  const subjectTexts = template.subjects.filter((s) => subjects.includes(s.id)).map((s) => s.text);
+  const sections = template.sections.flatMap((s) => (s === SUBJECTS_MARK ? subjectTexts : [s]));
+  if (!template.sections.includes(SUBJECTS_MARK)) sections.push(...subjectTexts);
+  return { version: template.version, subjects, text: renderText(template, sections.join('\n\n')), structured };
+}
+
+/**
+ * 本次请求使用的系统提示词：selectPrompt 选出的基础提示词 + 相关命令语法，结构化模式再追加输出格式要求。
+ */
+function systemPromptFor({ userText, structured = false, prompt }) {
+  return [prompt.text, relatedCommandsSection(userText), structured ? prompt.structured : '']
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * 可选的提示词模板，供前端选择版本与学科：{ default, versions: [{ version, description, extends, subjects, defaultSubject }] }。
+ * 读不出来的版本带 error 列出，不影响其他版本。
+ */
+function listPrompts() {
+  const versions = listVersions().map((version) => {
+    try {
+      const t = loadTemplate(version);
+      return {
+        version,
+        description: t.description,
+        extends: t.extends,
+        subjects: t.subjects.map(({ id, label }) => ({ id, label })),
+        defaultSubject: t.defaultSubject
+      };
+    } catch (e) {
+      return { version, error: e?.message || String(e) };
+    }
+  });
+  return { default: defaultVersion(), versions };
+}
+
+module.exports = { HISTORY_SUMMARY_PROMPT, selectPrompt, systemPromptFor, listPrompts };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+
+// 系统提示词模板：PROMPTS_DIR（默认 server/prompts）下每个子目录是一个版本，manifest.json 描述这一版由哪些文件组成：
+//   description     这一版的说明
+//   extends         基于哪个版本：没写的字段沿用该版本，本目录里没有的文件也到该版本目录里找
+//   sections        通用部分（角色、格式规范、多轮对话、兼容性约束…）按顺序拼接；"@subjects" 处插入所选学科的部分
+//   structured      结构化输出模式（outputMode=json）追加的格式要求
+//   subjects        学科部分：{ id: { label, file, keywords } }，keywords 用于从请求里自动识别学科
+//   defaultSubject  识别不出学科时使用的学科
+// 文件里的 {{name}} 占位符在拼接时替换（见 prompt.js）。
+//
+//   PROMPT_VERSION     默认使用的版本，未设置时为版本号最大的一个；请求可以用 promptVersion 指定
+//   PROMPTS_DIR        模板目录
+//   PROMPT_HOT_RELOAD  on / off；默认在非 production 环境开启：每次取模板时检查文件修改时间，改完无需重启即生效
+
+const SUBJECTS_MARK = '@subjects';
+const VERSION_PATTERN = /^[\w.-]+$/;
+
+// 版本 → { template, stamps: [[文件, 修改时间]] }；stamps 也记录查找过但不存在的文件（时间为 null），新增覆盖文件时同样重新加载
+const cache = new Map();
+let versionsCache = null;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function promptsDir() {
+  return path.resolve(process.env.PROMPTS_DIR || path.join(__dirname, 'prompts'));
+}
+
+function hotReload() {
+  const flag = String(process.env.PROMPT_HOT_RELOAD || '').trim().toLowerCase();
+  if (flag === 'on' || flag === 'off') return flag === 'on';
+  return process.env.NODE_ENV !== 'production';
+}
+
+function mtime(file) {
+  return fs.statSync(file, { throwIfNoEntry: false })?.mtimeMs ?? null;
+}
+
+/** 所有版本，按版本号从小到大排列（v2 < v10） */
+function listVersions() {
+  if (versionsCache && !hotReload()) return versionsCache;
+  const dir = promptsDir();
+  versionsCache = fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir, { withFileTypes: true })
+        .filter((d) => d.isDirectory() && fs.existsSync(path.join(dir, d.name, 'manifest.json')))
+        .map((d) => d.name)
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    : [];
+  return versionsCache;
+}
+
+function defaultVersion() {
+  const configured = String(process.env.PROMPT_VERSION || '').trim();
+  if (configured) return configured;
+  const versions = listVersions();
+  if (!versions.length) throw httpError(500, `没有可用的提示词模板（${promptsDir()}）`);
+  return versions[versions.length - 1];
+}
+
+// 沿 extends 链读取 manifest：返回合并后的 manifest 与文件查找目录（本版本在前）
+function readManifest(version, stamps, chain = []) {
+  if (chain.includes(version)) throw httpError(500, `提示词模板循环继承：${[...chain, version].join(' → ')}`);
+  const dir = path.join(promptsDir(), version);
+  const file = path.join(dir, 'manifest.json');
+  if (!VERSION_PATTERN.test(version) || !fs.existsSync(file)) {
+    if (chain.length) throw httpError(500, `提示词模板 ${chain[chain.length - 1]} 继承的版本 ${version} 不存在`);
+    throw httpError(400, `未知的提示词版本：${version}（可选：${listVersions().join(', ')}）`);
+  }
+  stamps.push([file, mtime(file)]);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw httpError(500, `提示词模板 ${version} 的 manifest.json 无法解析：${e?.message || e}`);
+  }
+  const parent = manifest.extends ? readManifest(String(manifest.extends), stamps, [...chain, version]) : null;
+  return {
+    manifest: { ...parent?.manifest, ...manifest, extends: manifest.extends || null },
+    dirs: [dir, ...(parent?.dirs || [])]
+  };
+}
+
+function readSection(version, dirs, file, stamps) {
+  for (const dir of dirs) {
+    const full = path.join(dir, file);
+    const time = mtime(full);
+    stamps.push([full, time]);
+    if (time !== null) return fs.readFileSync(full, 'utf8').trim();
+  }
+  throw httpError(500, `提示词模板 ${version} 缺少文件：${file}`);
+}
+
+function buildTemplate(version) {
+  const stamps = [];
+  const { manifest, dirs } = readManifest(version, stamps);
+  if (!Array.isArray(manifest.sections) || !manifest.sections.length) {
+    throw httpError(500, `提示词模板 ${version} 的 manifest.json 缺少 sections`);
+  }
+  const subjects = Object.entries(manifest.subjects || {}).map(([id, s]) => {
+    if (!s?.file) throw httpError(500, `提示词模板 ${version} 的学科 ${id} 没有指定 file`);
+    return {
+      id,
+      label: s.label || id,
+      keywords: Array.isArray(s.keywords) ? s.keywords.map(String) : [],
+      text: readSection(version, dirs, s.file, stamps)
+    };
+  });
+  const template = {
+    version,
+    description: manifest.description || '',
+    extends: manifest.extends,
+    sections: manifest.sections.map((file) => (file === SUBJECTS_MARK ? SUBJECTS_MARK : readSection(version, dirs, file, stamps))),
+    structured: manifest.structured ? readSection(version, dirs, manifest.structured, stamps) : '',
+    subjects,
+    defaultSubject: subjects.some((s) => s.id === manifest.defaultSubject) ? manifest.defaultSubject : null
+  };
+  return { template, stamps };
+}
+
+/**
+ * 读取某个版本的模板（默认版本见 defaultVersion）：
+ * { version, description, extends, sections, structured, subjects: [{ id, label, keywords, text }], defaultSubject }。
+ * sections 为各段原文，"@subjects" 标记学科部分的位置；占位符尚未替换。
+ */
+function loadTemplate(version) {
+  const name = String(version || '').trim() || defaultVersion();
+  const cached = cache.get(name);
+  if (cached && (!hotReload() || cached.stamps.every(([file, time]) => mtime(file) === time))) return cached.template;
+  const entry = buildTemplate(name);
+  cache.set(name, entry);
+  return entry.template;
+}
+
+module.exports = { SUBJECTS_MARK, listVersions, defaultVersion, loadTemplate };
@@ -0,0 +1,102 @@
+const axios = require('axios');
+const { readSSE } = require('./sse');
+
+// Anthropic Messages API：system 单独传参，且必须显式给出 max_tokens。
+const name = 'anthropic';
+const label = 'Anthropic Claude';
+
+function resolveConfig({ model } = {}) {
+  return {
+    apiKey: process.env.ANTHROPIC_API_KEY || '',
+    baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    model: model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+    maxTokens: Number(process.env.ANTHROPIC_MAX_TOKENS) || 4096
+  };
+}
+
+function isConfigured(config) {
+  return !!config.apiKey && !!config.model;
+}
+
+// Messages API 要求 user/assistant 严格交替，连续的同角色消息需要合并。
+function mergeConsecutive(messages) {
+  const merged = [];
+  for (const m of messages) {
+    const prev = merged[merged.length - 1];
+    if (prev && prev.role === m.role) {
+      prev.content = `${prev.content}\n\n${m.content}`;
+    } else {
+      merged.push({ role: m.role, content: m.content });
+    }
+  }
+  return merged;
+}
+
+function buildRequest(config, { system, messages, temperature }) {
+  return {
+    url: `${config.baseURL.replace(/\/$/, '')}/v1/messages`,
+    headers: {
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    },
+    body: {
+      model: config.model,
+      system,
+      messages: mergeConsecutive(messages),
+      max_tokens: config.maxTokens,
+      temperature
+    }
+  };
+}
+
+async function complete(config, { system, messages, temperature = 0.2, timeout = 60_000, signal }) {
+  const { url, headers, body } = buildRequest(config, { system, messages, temperature });
+  const resp = await axios.post(url, body, { headers, timeout, signal });
+
+  const blocks = Array.isArray(resp?.data?.content) ? resp.data.content : [];
+  return blocks
+    .filter((b) => b?.type === 'text')
+    .map((b) => b.text)
+    .join('');
+}
+
+async function stream(config, { system, messages, temperature = 0.2, timeout = 60_000, signal }, onDelta) {
+  const { url, headers, body } = buildRequest(config, { system, messages, temperature });
+  const resp = await axios.post(url, { ...body, stream: true }, { headers, timeout, signal, responseType: 'stream' });
+
+  let content = '';
+  await readSSE(resp.data, (evt) => {
+    if (evt?.type === 'error') {
+      throw new Error(evt?.error?.message || 'Anthropic 流式输出异常');
+    }
+    if (evt?.type === 'content_block_delta' && evt?.delta?.type === 'text_delta') {
+      content += evt.delta.text;
+      onDelta(evt.delta.text);
+    }
+  });
+  return content;
+}
+
+// 结构化输出：强制调用唯一的工具，工具参数即为结构化结果
+async function completeStructured(config, { system, messages, schema, temperature = 0.2, timeout = 60_000, signal }) {
+  const { url, headers, body } = buildRequest(config, { system, messages, temperature });
+  const tool = { name: 'emit_geogebra', description: '输出解释与 GeoGebra 构造步骤', input_schema: schema };
+  const resp = await axios.post(
+    url,
+    { ...body, tools: [tool], tool_choice: { type: 'tool', name: tool.name } },
+    { headers, timeout, signal }
+  );
+
+  const blocks = Array.isArray(resp?.data?.content) ? resp.data.content : [];
+  const toolUse = blocks.find((b) => b?.type === 'tool_use' && b?.name === tool.name);
+  if (toolUse) return { data: toolUse.input, raw: JSON.stringify(toolUse.input) };
+
+  const raw = blocks
+    .filter((b) => b?.type === 'text')
+    .map((b) => b.text)
+    .join('');
+  return { data: null, raw };
+}
+
+module.exports = { name, label, resolveConfig, isConfigured, complete, stream, completeStructured };
@@ -0,0 +1,9 @@
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'deepseek',
+  label: 'DeepSeek',
+  envPrefix: 'DEEPSEEK',
+  defaultBaseURL: 'https://api.deepseek.com',
+  defaultModel: 'deepseek-chat'
+});
@@ -0,0 +1,254 @@
+const { selectPrompt, systemPromptFor, HISTORY_SUMMARY_PROMPT } = require('../prompt');
+const { extractGeoGebraBlock, toFenceText } = require('../commands');
+const { TRANSLATION_SCHEMA, resolveOutputMode, interpretStructured } = require('../structured');
+const { ruleBasedFallback } = require('../rules');
+const { extractOperationsBlock } = require('../operations');
+const { buildContext } = require('../history');
+const { summarizeConstruction, constructionNames } = require('../construction');
+
+const deepseek = require('./deepseek');
+const openai = require('./openai');
+const anthropic = require('./anthropic');
+const local = require('./local');
+const mock = require('./mock');
+
+// 提供方注册表：新增模型只需实现 { name, label, resolveConfig, isConfigured, complete } 并登记在这里；
+// stream / completeStructured 为可选能力，缺失时自动降级。
+const PROVIDERS = new Map([deepseek, openai, anthropic, local, mock].map((p) => [p.name, p]));
+
+const FALLBACK_PROVIDER = 'deepseek';
+
+// 当前可用的提供方：模拟提供方只在设置了 MOCK_LLM_MODE 时可用（每次读取环境变量，.env 晚于本模块加载也能生效）
+function availableProviders() {
+  return [...PROVIDERS.values()].filter((p) => p !== mock || mock.isEnabled());
+}
+
+// 默认提供方取 LLM_PROVIDER；模拟提供方只有在显式开启且 LLM_PROVIDER=mock 时才是默认
+function getDefaultProviderName() {
+  const name = (process.env.LLM_PROVIDER || FALLBACK_PROVIDER).trim().toLowerCase();
+  return name === mock.name && !mock.isEnabled() ? FALLBACK_PROVIDER : name;
+}
+
+function resolveProvider({ provider, model } = {}) {
+  const name = String(provider || getDefaultProviderName()).trim().toLowerCase();
+  const adapter = availableProviders().find((p) => p.name === name);
+  if (!adapter) {
+    const err = new Error(`未知的模型提供方：${name}（可选：${availableProviders().map((p) => p.name).join(', ')}）`);
+    err.status = 400;
+    throw err;
+  }
+  const config = adapter.resolveConfig({ model: typeof model === 'string' && model.trim() ? model.trim() : undefined });
+  return { adapter, config };
+}
+
+function listProviders() {
+  const defaultName = getDefaultProviderName();
+  return availableProviders().map((p) => {
+    const config = p.resolveConfig();
+    return {
+      name: p.name,
+      label: p.label,
+      model: config.model,
+      configured: p.isConfigured(config),
+      default: p.name === defaultName
+    };
+  });
+}
+
+// 画布摘要拼在本轮用户消息前面：历史里的旧命令可能已被拖动/编辑，以画布实际状态为准。
+// 历史按该提供方的 token 预算组装，放不下的早期回合压缩成摘要（见 history.js）。
+async function buildMessages(adapter, config, { userText, history, construction, signal }) {
+  const summarize = (text, sig) =>
+    adapter.complete(config, { system: HISTORY_SUMMARY_PROMPT, messages: [{ role: 'user', content: text }], temperature: 0, signal: sig });
+  const context = await buildContext(history, { provider: adapter.name, summarize, signal });
+  const summary = summarizeConstruction(construction);
+  const content = summary ? `${summary}\n\n用户请求：${userText}` : userText;
+  return { messages: [...context.messages, { role: 'user', content }], context: contextInfo(context) };
+}
+
+// 随结果返回给前端的上下文统计
+function contextInfo({ summary, summarizedTurns, keptTurns, tokens }) {
+  return { summarizedTurns, keptTurns, tokens, summary };
+}
+
+// 随结果返回的提示词模板版本与学科
+function promptInfo({ version, subjects }) {
+  return { version, subjects };
+}
+
+// 代码块解析结果补齐结构化字段，保证两种输出模式的返回结构一致；```geogebra-ops 编辑操作块单独取出
+function fromFence(content) {
+  const { operations, text } = extractOperationsBlock(content);
+  const { commands, explanation } = extractGeoGebraBlock(text);
+  return {
+    format: 'fence',
+    explanation,
+    commands,
+    operations,
+    steps: [],
+    clarificationQuestions: [],
+    suggestions: [],
+    structuredErrors: []
+  };
+}
+
+function fallbackResult(adapter, userText, construction, prompt) {
+  const { explanation, commands } = ruleBasedFallback(userText, { knownNames: constructionNames(construction) });
+  return {
+    mode: 'fallback',
+    ...fromFence(''),
+    explanation,
+    commands,
+    raw: null,
+    prompt: promptInfo(prompt),
+    provider: adapter.name,
+    model: null
+  };
+}
+
+function notConfiguredError(adapter) {
+  const err = new Error(`模型提供方 ${adapter.name} 未配置，无法完成该请求`);
+  err.status = 503;
+  return err;
+}
+
+/**
+ * 结构化输出：优先使用提供方的 JSON Schema / 工具调用能力；不支持的提供方走普通补全，
+ * 再从文本里解析 JSON。校验失败时退回 ```geogebra 代码块解析。
+ */
+async function completeStructured(adapter, config, { userText, history, construction, signal, prompt }) {
+  const { messages, context } = await buildMessages(adapter, config, { userText, history, construction, signal });
+  const request = {
+    system: systemPromptFor({ userText, structured: true, prompt }),
+    messages,
+    schema: TRANSLATION_SCHEMA,
+    signal
+  };
+  const { data, raw } =
+    typeof adapter.completeStructured === 'function'
+      ? await adapter.completeStructured(config, request)
+      : { data: null, raw: await adapter.complete(config, request) };
+
+  return { ...interpretStructured({ data, raw }), raw, context, prompt: promptInfo(prompt) };
+}
+
+/**
+ * 统一的对话入口：按配置/请求选择提供方，所有适配器返回相同的
+ * `{ mode, explanation, commands, raw }`，并附带实际使用的 provider/model 与结构化字段
+ * （steps / clarificationQuestions / suggestions，代码块模式下为空数组）。
+ * construction 为 normalizeConstruction 处理过的画布状态，会以摘要形式注入本轮用户消息。
+ * history 按 token 预算组装，结果里的 context 记录保留/压缩了多少回合（规则兜底时没有）。
+ * promptVersion / subject 选择提示词模板的版本与学科，basePrompt 整段替换模板正文（见 selectPrompt）；
+ * 结果里的 prompt 记录实际使用的 { version, subjects }。
+ * 提供方未配置（如缺少 Key）时退回规则兜底，保证演示链路可用；fallback=false 时直接报错。
+ */
+async function callLLM({
+  userText,
+  history,
+  construction,
+  provider,
+  model,
+  signal,
+  fallback = true,
+  outputMode,
+  promptVersion,
+  subject,
+  basePrompt
+}) {
+  const { adapter, config } = resolveProvider({ provider, model });
+  const format = resolveOutputMode(outputMode);
+  const prompt = selectPrompt({ version: promptVersion, subject, userText, history, basePrompt });
+
+  if (!adapter.isConfigured(config)) {
+    if (!fallback) throw notConfiguredError(adapter);
+    return fallbackResult(adapter, userText, construction, prompt);
+  }
+
+  if (format === 'json') {
+    const result = await completeStructured(adapter, config, { userText, history, construction, signal, prompt });
+    return { mode: 'llm', ...result, provider: adapter.name, model: config.model };
+  }
+
+  const { messages, context } = await buildMessages(adapter, config, { userText, history, construction, signal });
+  const content = await adapter.complete(config, { system: systemPromptFor({ userText, prompt }), messages, signal });
+
+  return {
+    mode: 'llm',
+    ...fromFence(content),
+    raw: content,
+    context,
+    prompt: promptInfo(prompt),
+    provider: adapter.name,
+    model: config.model
+  };
+}
+
+/**
+ * 流式版本：onStart 在确定提供方后回调一次，onDelta 收到每段原始增量文本；
+ * 最终返回与 callLLM 相同的结构。不支持流式的适配器、结构化输出模式和规则兜底
+ * 会在拿到完整结果后按代码块格式一次性回放，前端走同一条增量执行路径。
+ */
+async function streamLLM({
+  userText,
+  history,
+  construction,
+  provider,
+  model,
+  signal,
+  outputMode,
+  promptVersion,
+  subject,
+  basePrompt,
+  onStart,
+  onDelta
+}) {
+  const { adapter, config } = resolveProvider({ provider, model });
+  const format = resolveOutputMode(outputMode);
+  const prompt = selectPrompt({ version: promptVersion, subject, userText, history, basePrompt });
+
+  if (!adapter.isConfigured(config)) {
+    const result = fallbackResult(adapter, userText, construction, prompt);
+    onStart?.({ mode: 'fallback', provider: adapter.name, model: null, prompt: result.prompt });
+    onDelta?.(toFenceText(result.explanation, result.commands));
+    return result;
+  }
+
+  onStart?.({ mode: 'llm', provider: adapter.name, model: config.model, prompt: promptInfo(prompt) });
+
+  if (format === 'json') {
+    const result = await completeStructured(adapter, config, { userText, history, construction, signal, prompt });
+    onDelta?.(toFenceText(result.explanation, result.commands));
+    return { mode: 'llm', ...result, provider: adapter.name, model: config.model };
+  }
+
+  const { messages, context } = await buildMessages(adapter, config, { userText, history, construction, signal });
+  const request = { system: systemPromptFor({ userText, prompt }), messages, signal };
+  let content;
+  if (typeof adapter.stream === 'function') {
+    content = await adapter.stream(config, request, (delta) => onDelta?.(delta));
+  } else {
+    content = await adapter.complete(config, request);
+    onDelta?.(content);
+  }
+
+  return {
+    mode: 'llm',
+    ...fromFence(content),
+    raw: content,
+    context,
+    prompt: promptInfo(prompt),
+    provider: adapter.name,
+    model: config.model
+  };
+}
+
+/**
+ * 把一段模型原始输出按输出模式解析成与 callLLM 相同的结果字段（不含 mode / provider / model），
+ * 离线评测回放录制的输出时使用。
+ */
+function parseCompletion(raw, outputMode) {
+  const text = String(raw || '');
+  return resolveOutputMode(outputMode) === 'json' ? { ...interpretStructured({ raw: text }), raw: text } : { ...fromFence(text), raw: text };
+}
+
+module.exports = { PROVIDERS, resolveProvider, listProviders, callLLM, streamLLM, parseCompletion };
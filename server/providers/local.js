@@ -0,0 +1,12 @@
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+// 本地模型：Ollama 与 llama.cpp server 都提供 OpenAI 兼容的 /v1/chat/completions，无需 Key，可完全离线运行。
+// llama.cpp 默认端口为 8080，可通过 LOCAL_LLM_BASE_URL=http://localhost:8080/v1 切换。
+module.exports = createOpenAICompatibleProvider({
+  name: 'local',
+  label: '本地模型（Ollama / llama.cpp）',
+  envPrefix: 'LOCAL_LLM',
+  defaultBaseURL: 'http://localhost:11434/v1',
+  defaultModel: 'qwen2.5:7b',
+  requiresKey: false
+});
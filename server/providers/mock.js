@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// 模拟提供方：离线开发与测试用，不需要 Key，也不访问网络（record 模式除外）。
+//   replay（默认）按请求哈希读取 fixtures 目录里录制的回复，没有录制时报错
+//   record        把请求转发给真实的提供方（MOCK_LLM_TARGET），同时把回复写入 fixtures，之后可以 replay
+//   script        按用户请求里的标记返回预设回复，覆盖 /api/translate 的各条分支（见 SCRIPTED_RESPONSES）
+// 只有服务端显式开启（设置了 MOCK_LLM_MODE）才注册（见 providers/index.js），也不会因此成为默认提供方。
+// 模式取自 MOCK_LLM_MODE；请求里的 model 只能在 replay 与 script 之间选择，record 会转发给付费的提供方并写盘，只能由环境变量开启。
+//   MOCK_LLM_FIXTURES  录制文件目录，默认 fixtures/llm
+//   MOCK_LLM_TARGET    record 模式转发的提供方，默认 LLM_PROVIDER
+//   MOCK_LLM_SCRIPT    script 模式的自定义脚本（JSON 数组，格式同 SCRIPTED_RESPONSES），先于内置脚本匹配
+const name = 'mock';
+const label = '模拟（录制回放 / 脚本）';
+
+const MODES = new Set(['replay', 'record', 'script']);
+const REQUEST_MODES = new Set(['replay', 'script']); // 请求可以指定的模式
+const STREAM_CHUNK_CHARS = 12; // 回放流式输出时每段的字数
+
+// 内置脚本：请求里含 match 标记时返回对应回复；content 为普通回复，data 为结构化回复，error 模拟上游错误。
+// 没有标记时返回第一条（正常的代码块回复）。
+const SCRIPTED_RESPONSES = [
+  {
+    match: '#ok',
+    content: '以原点为圆心画一个半径为 3 的圆。\n\n```geogebra\nO = (0, 0)\nc = Circle(O, 3)\n```'
+  },
+  {
+    match: '#malformed',
+    content: '这里的命令有几处常见错误。\n\n```geogebra\nA = (1, 2\nc = Circle[A, 3]\nd = Foo(A)\nB = （2，3）\n```'
+  },
+  { match: '#unclosed', content: '代码块没有结束标记。\n\n```geogebra\nO = (0, 0)\nc = Circle(O, 2)\n' },
+  { match: '#nofence', content: '可以先画一个圆，再在圆上取一点。' },
+  {
+    match: '#clarify',
+    content: '你想画哪一种图形？请告诉我图形的类型，以及大致的位置或大小（例如圆心坐标和半径）。'
+  },
+  {
+    match: '#ops',
+    content:
+      '删除圆 c，并把 A 改成红色。\n\n```geogebra-ops\n{"op":"delete","name":"c"}\n{"op":"setStyle","name":"A","color":"红色"}\n```'
+  },
+  {
+    match: '#script',
+    content: '用按钮触发脚本。\n\n```geogebra\nA = (1, 1)\nb = Button("归位")\nSetClickScript(b, "SetCoords(A, 0, 0)")\n```'
+  },
+  {
+    match: '#json',
+    data: {
+      explanation: '分两步：先定点，再作圆。',
+      steps: [
+        { caption: '圆心', commands: ['O = (0, 0)'] },
+        { caption: '作圆', commands: ['c = Circle(O, 3)'] }
+      ],
+      operations: [],
+      clarificationQuestions: [],
+      suggestions: ['给圆加一条直径']
+    }
+  },
+  { match: '#badjson', content: '{"explanation": "少了右括号", "steps": [' },
+  { match: '#error', error: { status: 502, message: '模拟的上游错误' } },
+  { match: '#ratelimit', error: { status: 429, message: '模拟的限流：请求过于频繁' } },
+  { match: '#timeout', error: { status: 504, code: 'ECONNABORTED', message: 'timeout of 60000ms exceeded' } }
+];
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+function envMode() {
+  const mode = String(process.env.MOCK_LLM_MODE || '').trim().toLowerCase();
+  return MODES.has(mode) ? mode : 'replay';
+}
+
+/** 是否注册模拟提供方：只看 MOCK_LLM_MODE 是否设置（npm start 不设置 NODE_ENV，不能以它判断是否为开发环境） */
+function isEnabled() {
+  return Boolean(String(process.env.MOCK_LLM_MODE || '').trim());
+}
+
+function resolveConfig({ model } = {}) {
+  const requested = String(model || '').trim().toLowerCase();
+  if (requested && !REQUEST_MODES.has(requested)) {
+    throw httpError(400, `模拟提供方的 model 只能是 ${[...REQUEST_MODES].join(' / ')}（record 模式需由 MOCK_LLM_MODE 开启）`);
+  }
+  const mode = requested || envMode();
+  return {
+    mode,
+    model: mode,
+    fixturesDir: path.resolve(process.env.MOCK_LLM_FIXTURES || path.join(__dirname, '..', '..', 'fixtures', 'llm')),
+    target: String(process.env.MOCK_LLM_TARGET || process.env.LLM_PROVIDER || 'deepseek').trim().toLowerCase(),
+    scriptFile: process.env.MOCK_LLM_SCRIPT || ''
+  };
+}
+
+function isConfigured() {
+  return true;
+}
+
+/**
+ * 录制文件的键：请求类型 + 系统提示词 + 消息的哈希。系统提示词、历史、画布摘要任何一处变化都会换一个键。
+ */
+function requestKey(kind, { system, messages }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ kind, system, messages }))
+    .digest('hex')
+    .slice(0, 24);
+}
+
+function fixtureFile(config, key) {
+  return path.join(config.fixturesDir, `${key}.json`);
+}
+
+// 最后一条用户消息（含画布摘要时只取“用户请求：”之后），脚本按它匹配，录制文件里也记下便于辨认
+function lastUserText(messages) {
+  const last = [...(messages || [])].reverse().find((m) => m.role === 'user');
+  const content = last ? String(last.content) : '';
+  const i = content.lastIndexOf('用户请求：');
+  return i >= 0 ? content.slice(i + '用户请求：'.length) : content;
+}
+
+async function loadScript(config) {
+  if (!config.scriptFile) return SCRIPTED_RESPONSES;
+  const custom = JSON.parse(await fs.readFile(path.resolve(config.scriptFile), 'utf8'));
+  if (!Array.isArray(custom)) throw httpError(500, `${config.scriptFile} 必须是 JSON 数组`);
+  return [...custom, ...SCRIPTED_RESPONSES];
+}
+
+// 回复条目 → { content } / { data, raw }；error 条目直接抛出
+function unpack(entry) {
+  if (entry.error) throw httpError(entry.error.status || 500, entry.error.message || '模拟的错误', entry.error.code);
+  if (entry.data !== undefined) return { data: entry.data, raw: JSON.stringify(entry.data) };
+  return { content: String(entry.content ?? ''), raw: String(entry.content ?? '') };
+}
+
+async function scripted(config, request) {
+  const text = lastUserText(request.messages);
+  const script = await loadScript(config);
+  const entry =
+    script.find((s) => {
+      if (typeof s.match !== 'string' || !s.match) return false;
+      return s.regex ? new RegExp(s.match, 'i').test(text) : text.includes(s.match);
+    }) || SCRIPTED_RESPONSES[0];
+  return unpack(entry);
+}
+
+async function replay(config, kind, request) {
+  const key = requestKey(kind, request);
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(fixtureFile(config, key), 'utf8'));
+  } catch (e) {
+    if (e?.code !== 'ENOENT') throw e;
+    throw httpError(
+      503,
+      `没有录制过这个请求（${key}：${lastUserText(request.messages).slice(0, 40)}），请先用 MOCK_LLM_MODE=record 录制`
+    );
+  }
+  return unpack(fixture.response);
+}
+
+// 录制时转发给的真实提供方；延迟加载注册表，避免与 providers/index.js 循环依赖
+function targetAdapter(config) {
+  const { resolveProvider } = require('./index');
+  if (config.target === name) throw httpError(400, 'MOCK_LLM_TARGET 不能是 mock 本身');
+  const { adapter, config: targetConfig } = resolveProvider({ provider: config.target });
+  if (!adapter.isConfigured(targetConfig)) throw httpError(503, `录制目标 ${adapter.name} 未配置，无法录制`);
+  return { adapter, targetConfig };
+}
+
+async function saveFixture(config, kind, request, target, response) {
+  await fs.mkdir(config.fixturesDir, { recursive: true });
+  const key = requestKey(kind, request);
+  const fixture = {
+    key,
+    kind,
+    recordedAt: new Date().toISOString(),
+    provider: target.adapter.name,
+    model: target.targetConfig.model,
+    request: lastUserText(request.messages),
+    response
+  };
+  await fs.writeFile(fixtureFile(config, key), `${JSON.stringify(fixture, null, 2)}\n`, 'utf8');
+}
+
+// 真实提供方的错误同样录下来，回放时按同样的状态码重现
+async function recordCall(config, kind, request, call) {
+  const target = targetAdapter(config);
+  try {
+    const response = await call(target);
+    await saveFixture(config, kind, request, target, response);
+    return unpack(response);
+  } catch (e) {
+    const status = e?.response?.status || e?.status;
+    if (request.signal?.aborted || !status) throw e;
+    await saveFixture(config, kind, request, target, { error: { status, message: e?.message || String(e) } });
+    throw e;
+  }
+}
+
+async function respond(config, kind, request, call) {
+  if (config.mode === 'script') return scripted(config, request);
+  if (config.mode === 'record') return recordCall(config, kind, request, call);
+  return replay(config, kind, request);
+}
+
+async function complete(config, request) {
+  const result = await respond(config, 'complete', request, async ({ adapter, targetConfig }) => ({
+    content: await adapter.complete(targetConfig, request)
+  }));
+  return result.content ?? result.raw;
+}
+
+// 录制的回复按固定字数分段回放，前端走与真实流式输出相同的增量执行路径
+async function stream(config, request, onDelta) {
+  if (config.mode === 'record') {
+    let streamed = false;
+    const result = await respond(config, 'complete', request, async ({ adapter, targetConfig }) => {
+      if (typeof adapter.stream !== 'function') return { content: await adapter.complete(targetConfig, request) };
+      streamed = true;
+      return { content: await adapter.stream(targetConfig, request, onDelta) };
+    });
+    if (!streamed) onDelta(result.content);
+    return result.content;
+  }
+  const content = await complete(config, request);
+  for (let i = 0; i < content.length; i += STREAM_CHUNK_CHARS) {
+    if (request.signal?.aborted) break;
+    onDelta(content.slice(i, i + STREAM_CHUNK_CHARS));
+  }
+  return content;
+}
+
+async function completeStructured(config, request) {
+  const result = await respond(config, 'structured', request, async ({ adapter, targetConfig }) => {
+    const { data, raw } =
+      typeof adapter.completeStructured === 'function'
+        ? await adapter.completeStructured(targetConfig, request)
+        : { data: null, raw: await adapter.complete(targetConfig, request) };
+    return data !== null && data !== undefined ? { data } : { content: raw };
+  });
+  return { data: result.data ?? null, raw: result.raw };
+}
+
+module.exports = {
+  name,
+  label,
+  isEnabled,
+  resolveConfig,
+  isConfigured,
+  complete,
+  stream,
+  completeStructured,
+  requestKey,
+  SCRIPTED_RESPONSES
+};
@@ -0,0 +1,10 @@
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI 兼容接口',
+  envPrefix: 'OPENAI',
+  defaultBaseURL: 'https://api.openai.com/v1',
+  defaultModel: 'gpt-4o-mini',
+  structuredOutput: 'json_schema'
+});
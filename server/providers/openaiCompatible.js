@@ -0,0 +1,83 @@
+const axios = require('axios');
+const { readSSE } = require('./sse');
+
+/**
+ * OpenAI Chat Completions 兼容接口的通用适配器工厂。
+ * DeepSeek、OpenAI 以及本地 Ollama / llama.cpp server（/v1/chat/completions）都走这一套协议，
+ * 差异只在环境变量前缀、默认地址/模型、是否必须提供 Key，以及结构化输出的支持程度：
+ * - `json_schema`：按 JSON Schema 约束输出（OpenAI）
+ * - `json_object`：只保证输出 JSON，字段由提示词约定（DeepSeek、Ollama、llama.cpp）
+ */
+function createOpenAICompatibleProvider({
+  name,
+  label,
+  envPrefix,
+  defaultBaseURL,
+  defaultModel,
+  requiresKey = true,
+  structuredOutput = 'json_object'
+}) {
+  function resolveConfig({ model } = {}) {
+    return {
+      apiKey: process.env[`${envPrefix}_API_KEY`] || '',
+      baseURL: process.env[`${envPrefix}_BASE_URL`] || defaultBaseURL,
+      model: model || process.env[`${envPrefix}_MODEL`] || defaultModel
+    };
+  }
+
+  function isConfigured(config) {
+    if (!config.baseURL || !config.model) return false;
+    return requiresKey ? !!config.apiKey : true;
+  }
+
+  function buildRequest(config, { system, messages, temperature }) {
+    const url = `${config.baseURL.replace(/\/$/, '')}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const body = {
+      model: config.model,
+      messages: [{ role: 'system', content: system }, ...messages],
+      temperature
+    };
+    return { url, headers, body };
+  }
+
+  async function complete(config, { system, messages, temperature = 0.2, timeout = 60_000, signal }) {
+    const { url, headers, body } = buildRequest(config, { system, messages, temperature });
+    const resp = await axios.post(url, body, { headers, timeout, signal });
+
+    return resp?.data?.choices?.[0]?.message?.content || '';
+  }
+
+  // 流式输出：每收到一段增量文本就回调 onDelta，最终返回完整内容
+  async function stream(config, { system, messages, temperature = 0.2, timeout = 60_000, signal }, onDelta) {
+    const { url, headers, body } = buildRequest(config, { system, messages, temperature });
+    const resp = await axios.post(url, { ...body, stream: true }, { headers, timeout, signal, responseType: 'stream' });
+
+    let content = '';
+    await readSSE(resp.data, (evt) => {
+      const delta = evt?.choices?.[0]?.delta?.content;
+      if (typeof delta === 'string' && delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    });
+    return content;
+  }
+
+  // 结构化输出：返回 { data, raw }，data 为 null 时由调用方解析 raw 中的 JSON
+  async function completeStructured(config, { system, messages, schema, temperature = 0.2, timeout = 60_000, signal }) {
+    const { url, headers, body } = buildRequest(config, { system, messages, temperature });
+    const responseFormat =
+      structuredOutput === 'json_schema'
+        ? { type: 'json_schema', json_schema: { name: 'geogebra_translation', schema, strict: true } }
+        : { type: 'json_object' };
+    const resp = await axios.post(url, { ...body, response_format: responseFormat }, { headers, timeout, signal });
+
+    return { data: null, raw: resp?.data?.choices?.[0]?.message?.content || '' };
+  }
+
+  return { name, label, resolveConfig, isConfigured, complete, stream, completeStructured };
+}
+
+module.exports = { createOpenAICompatibleProvider };
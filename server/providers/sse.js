@@ -0,0 +1,52 @@
+/**
+ * 逐行解析 SSE（text/event-stream）响应流，把每个 `data:` 负载交给 onData。
+ * OpenAI 兼容接口与 Anthropic Messages API 的流式输出都是这种格式。
+ */
+function readSSE(stream, onData) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    function flushLine(line) {
+      const trimmed = line.replace(/\r$/, '');
+      if (!trimmed.startsWith('data:')) return;
+      const payload = trimmed.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+      let evt;
+      try {
+        evt = JSON.parse(payload);
+      } catch {
+        // 忽略无法解析的心跳/注释行
+        return;
+      }
+      onData(evt);
+    }
+
+    stream.setEncoding?.('utf8');
+    // onData 抛出的异常（如上游返回 error 事件）会中止读取并让 Promise 失败
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      try {
+        let idx;
+        while ((idx = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 1);
+          flushLine(line);
+        }
+      } catch (e) {
+        stream.destroy?.();
+        reject(e);
+      }
+    });
+    stream.on('end', () => {
+      try {
+        if (buffer) flushLine(buffer);
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    });
+    stream.on('error', reject);
+  });
+}
+
+module.exports = { readSSE };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { callLLM } = require('./providers');
+
+// 单轮对话最多允许的自动修复次数，避免模型反复给出错误命令时无限循环
+const MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS) || 2;
+
+// 次数由服务端记：每次翻译响应附带一个 repairId，修复请求必须带上它，同一个 repairId 最多修复 MAX_REPAIR_ATTEMPTS 次。
+// 只存在内存里，过期或服务重启后失效（失效后前端放弃修复，按执行失败处理）
+const REPAIR_TTL_MS = 30 * 60 * 1000;
+const repairBudgets = new Map();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function pruneRepairBudgets(now) {
+  for (const [id, budget] of repairBudgets) {
+    if (budget.expiresAt <= now) repairBudgets.delete(id);
+  }
+}
+
+/** 为一次翻译结果登记修复次数，返回随响应下发的 repairId */
+function issueRepairId() {
+  const now = Date.now();
+  pruneRepairBudgets(now);
+  const id = crypto.randomBytes(16).toString('base64url');
+  repairBudgets.set(id, { attempts: 0, expiresAt: now + REPAIR_TTL_MS });
+  return id;
+}
+
+/**
+ * 占用 repairId 的一次修复机会，返回这是第几次（从 1 开始）；
+ * repairId 无效、过期或次数已用完时抛出带 status 的错误。
+ */
+function claimRepairAttempt(repairId) {
+  const budget = typeof repairId === 'string' ? repairBudgets.get(repairId) : undefined;
+  if (!budget || budget.expiresAt <= Date.now()) {
+    throw httpError(400, 'repairId 无效或已过期，请重新提交请求');
+  }
+  if (budget.attempts >= MAX_REPAIR_ATTEMPTS) {
+    throw httpError(429, `已达到最大自动修复次数（${MAX_REPAIR_ATTEMPTS}）`);
+  }
+  budget.attempts += 1;
+  return budget.attempts;
+}
+
+function toBlock(lines) {
+  return lines.length ? `\`\`\`geogebra\n${lines.join('\n')}\n\`\`\`` : '（无）';
+}
+
+function buildRepairPrompt({ text, appliedCommands, failedCommand, failedIndex, error, remainingCommands }) {
+  return [
+    `为请求「${text}」生成的 GeoGebra 命令在执行时失败了。`,
+    '',
+    '已成功执行的命令（已经在画布上，不要重复输出）：',
+    toBlock(appliedCommands),
+    '',
+    `执行失败的命令（第 ${failedIndex + 1} 条）：${failedCommand}`,
+    `GeoGebra 报错：${error || '（未提供错误信息）'}`,
+    '',
+    '失败命令之后尚未执行的命令：',
+    toBlock(remainingCommands),
+    '',
+    '请给出修正后的续写：从失败的那条命令开始，输出替代它以及后续所有命令的完整 GeoGebra 代码块，',
+    '可以沿用已执行命令中的对象名，但不要重复已成功执行的命令；代码块外用一两句话说明修改原因。'
+  ].join('\n');
+}
+
+function toLines(value) {
+  return (Array.isArray(value) ? value : [])
+    .map((l) => String(l || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * 请求模型修正失败的命令，返回与 callLLM 相同的结构。
+ * 调用前先用 claimRepairAttempt 占用次数；promptVersion / subject 应与原请求一致。
+ */
+async function repairCommands({
+  text,
+  history,
+  construction,
+  appliedCommands,
+  failedCommand,
+  failedIndex,
+  error,
+  remainingCommands,
+  provider,
+  model,
+  promptVersion,
+  subject
+}) {
+  const userText = buildRepairPrompt({
+    text,
+    appliedCommands: toLines(appliedCommands),
+    failedCommand,
+    failedIndex,
+    error,
+    remainingCommands: toLines(remainingCommands)
+  });
+
+  // 规则兜底无法理解修复请求，未配置提供方时直接报错
+  return callLLM({ userText, history, construction, provider, model, promptVersion, subject, fallback: false });
+}
+
+module.exports = { MAX_REPAIR_ATTEMPTS, issueRepairId, claimRepairAttempt, repairCommands, toLines };
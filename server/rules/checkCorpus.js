@@ -0,0 +1,42 @@
+// 用短语语料检查离线规则引擎：逐条比对期望命令，并用共享语法校验器确认输出可执行。
+// 语料条目：{ text, commands, knownNames?（画布上已有的对象）, explanation?（解释中应出现的文字）, notExplained?（不应出现的文字） }
+// 用法：npm run check:rules（或 node server/rules/checkCorpus.js）
+const path = require('path');
+const { ruleBasedFallback } = require('.');
+const { loadShared } = require('../shared');
+const { commandArity } = require('../commandCatalog');
+
+const corpus = require(path.join(__dirname, 'corpus.json'));
+
+async function main() {
+  const { syntax } = await loadShared();
+  const commandTable = commandArity(syntax.KNOWN_COMMANDS);
+  let failed = 0;
+
+  for (const { text, commands: expected, knownNames, explanation: mention, notExplained } of corpus) {
+    const { commands, explanation } = ruleBasedFallback(text, { knownNames });
+    const problems = [];
+
+    if (JSON.stringify(commands) !== JSON.stringify(expected)) {
+      problems.push(`期望：\n    ${expected.join('\n    ')}\n  实际：\n    ${commands.join('\n    ')}`);
+    }
+    if (mention && !explanation.includes(mention)) problems.push(`解释中没有“${mention}”：${explanation}`);
+    if (notExplained && explanation.includes(notExplained)) problems.push(`解释中不应出现“${notExplained}”：${explanation}`);
+    for (const d of syntax.validateCommands(commands, { commands: commandTable, knownNames }).diagnostics) {
+      problems.push(`第 ${d.line + 1} 行 ${d.command}：${d.message}`);
+    }
+
+    if (problems.length) {
+      failed += 1;
+      console.log(`✗ ${text}\n  ${problems.join('\n  ')}`);
+    }
+  }
+
+  console.log(`${corpus.length - failed}/${corpus.length} 条通过`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
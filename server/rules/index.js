@@ -0,0 +1,155 @@
+const { normalizeText, splitClauses, formatNumber } = require('./text');
+const { RULES } = require('./patterns');
+
+/**
+ * 离线规则引擎：未配置 LLM 提供方时，把常见的中文作图说法翻译为 GeoGebra 命令。
+ * 输入先规范化并切分为子句，每个子句依次经过 RULES；规则之间通过上下文共享已创建的对象
+ * （最近的三角形、圆、函数、滑块），所以“三角形ABC，作它的外接圆”这类连续描述能接上。
+ */
+
+// 常用点名的默认位置，其余点名依次使用备用位置
+const DEFAULT_POSITIONS = {
+  O: [0, 0],
+  A: [-3, -2],
+  B: [4, -2],
+  C: [1, 3],
+  D: [-3, 3],
+  E: [5, 2],
+  F: [-5, 1],
+  P: [6, 1],
+  Q: [-6, -1],
+  M: [2, 4],
+  N: [-2, 4]
+};
+const SPARE_POSITIONS = [[3, 4], [-4, -4], [5, -3], [-5, 3], [0, 5], [0, -5]];
+
+function createContext(text, knownNames) {
+  const names = new Set(knownNames);
+  const commands = [];
+  const notes = [];
+  const questions = [];
+  let spare = 0;
+
+  const ctx = {
+    text,
+    commands,
+    notes,
+    questions,
+    triangle: null,
+    circle: null,
+    func: null,
+    conic: null,
+    sliders: [],
+    animating: false,
+    has(name) {
+      return names.has(name);
+    },
+    add(command, name) {
+      if (!commands.includes(command)) commands.push(command);
+      if (name) names.add(name);
+    },
+    say(note) {
+      if (!notes.includes(note)) notes.push(note);
+    },
+    // 参数不合理（如半径为负）时不猜默认值，记下要问用户的问题，该子句不生成命令
+    clarify(question) {
+      if (!questions.includes(question)) questions.push(question);
+    },
+    // 同名对象已存在时依次尝试 base_1、base_2……
+    fresh(base) {
+      if (!names.has(base)) return base;
+      for (let i = 1; ; i += 1) {
+        const name = `${base}_${i}`;
+        if (!names.has(name)) return name;
+      }
+    },
+    // 点已存在（本次或画布上）时直接复用，否则按给定/默认坐标创建
+    point(name, coords) {
+      if (names.has(name)) return name;
+      const [x, y] = coords || DEFAULT_POSITIONS[name] || SPARE_POSITIONS[spare++ % SPARE_POSITIONS.length];
+      ctx.add(`${name} = (${formatNumber(x)}, ${formatNumber(y)})`, name);
+      return name;
+    }
+  };
+  return ctx;
+}
+
+// 子句里出现这些词才算描述了一个对象；其余子句（“边长3”“垂足为D”“a从-3到3”）只是修饰语
+const OBJECT_WORDS =
+  /三角形|边形|正方形|(?<!椭)圆(?!心)|椭圆|抛物线|函数|图像|曲线|线段|直线|射线|连接|中点|垂线|平分线|中垂线|切线|高|[A-Z]\d?\s*\(|[a-z](?:\(x\))?\s*=|x\^2/;
+
+// 修饰语并入前一个子句（开头就是修饰语时并入后一个），让规则能在同一子句里读到参数
+function groupClauses(clauses) {
+  const groups = [];
+  let pending = '';
+  for (const clause of clauses) {
+    if (OBJECT_WORDS.test(clause)) {
+      groups.push(pending ? `${pending}, ${clause}` : clause);
+      pending = '';
+    } else if (groups.length) {
+      groups[groups.length - 1] += `, ${clause}`;
+    } else {
+      pending = pending ? `${pending}, ${clause}` : clause;
+    }
+  }
+  if (pending) groups.push(pending);
+  return groups;
+}
+
+// 规则吃掉识别的片段后，剩下的若还有实质内容（不只是“画、作、一个”之类），就算没识别
+const FILLER = /请|帮我|帮忙|画出?|作出?|做|绘制|构造|生成|创建|显示|一个|一条|一下|它|的|和|与|及|在|上|中|出来|图形|[\s,.!?、:]/g;
+
+function leftover(clause) {
+  return clause.replace(FILLER, '').trim();
+}
+
+const UNSUPPORTED_HINT =
+  '当前服务未配置 LLM 提供方，已进入离线规则模式。我没能从这句话里识别出作图指令；离线模式支持的说法例如：' +
+  '“三角形ABC”“正六边形，边长3”“过C作AB的垂线，垂足D”“AB的中点M”“三角形ABC的外接圆”“以O为圆心半径3的圆”“过P作圆的切线”' +
+  '“椭圆，长半轴4，短半轴2”“y=sin(x)”“画抛物线并用滑块控制开口大小”“点在圆上运动的动画”。' +
+  '请在后端配置 LLM 提供方（如 DEEPSEEK_API_KEY，或 LLM_PROVIDER=local 使用本地模型）后再试更复杂的自然语言绘图。';
+
+/**
+ * 把中文描述翻译为 GeoGebra 命令，返回 { explanation, commands }。
+ * 参数不合理时不生成对应命令，explanation 里写明要用户补充什么（没有任何命令时前端按澄清处理）。
+ * knownNames：画布上已存在的对象名，同名点直接复用、新对象避开这些名字。
+ */
+function ruleBasedFallback(userText, { knownNames = [] } = {}) {
+  const text = normalizeText(userText);
+  if (!text) {
+    return {
+      explanation: '你的输入为空，请描述你想绘制的图形或动画。',
+      commands: []
+    };
+  }
+
+  const ctx = createContext(text, knownNames);
+  const unmatched = [];
+
+  for (const clause of groupClauses(splitClauses(text))) {
+    const before = ctx.commands.length;
+    const asked = ctx.questions.length;
+    const rest = RULES.reduce((current, rule) => (current ? rule.apply(current, ctx) : current), clause);
+    if (ctx.commands.length === before && ctx.questions.length === asked && leftover(rest)) unmatched.push(clause);
+  }
+
+  // 提到“动画/动起来”时让新建的滑块动起来（圆周运动规则已自行启动动画）
+  if (!ctx.animating && ctx.sliders.length && /(动画|动起来|播放|自动)/.test(text)) {
+    for (const s of ctx.sliders) ctx.add(`StartAnimation(${s}, true)`);
+    ctx.say(`启动滑块 ${ctx.sliders.join('、')} 的动画。`);
+  }
+
+  const questions = ctx.questions.join('');
+  if (!ctx.commands.length) {
+    return { explanation: questions || UNSUPPORTED_HINT, commands: [] };
+  }
+
+  let explanation = ctx.notes.join('');
+  if (questions) explanation += `\n\n${questions}`;
+  if (unmatched.length) {
+    explanation += `\n\n（离线规则模式未能识别：${unmatched.join('；')}。配置 LLM 提供方后可以处理更复杂的描述。）`;
+  }
+  return { explanation, commands: ctx.commands };
+}
+
+module.exports = { ruleBasedFallback };
@@ -0,0 +1,599 @@
+const { NUM, parseNumber, formatNumber } = require('./text');
+const { getShared } = require('../shared');
+
+// 规则表：每条规则 apply(clause, ctx) 生成命令并返回“吃掉”已识别片段后的子句，
+// 按顺序执行：先建立基础对象（点、多边形、圆、函数），再做依赖它们的构造（中点、垂线、切线……）。
+
+const PT = '([A-Z]\\d?)';
+const EXPR = '([^\\u4e00-\\u9fa5,;]+)';
+
+function numberFrom(clause, pattern) {
+  const m = clause.match(pattern);
+  return m ? parseNumber(m[1]) : NaN;
+}
+
+/**
+ * 读取“半径3”“边长2”这类长度：没给时返回 NaN（规则用默认值）；
+ * 给了但不是正数时请用户澄清并返回 null，规则不再生成该对象。
+ */
+function lengthFrom(clause, ctx, word) {
+  const value = numberFrom(clause, new RegExp(`${word}(?:为|是|等于)?\\s*${NUM}`));
+  if (Number.isFinite(value) && value <= 0) {
+    ctx.clarify(`${word}必须大于 0（这里是 ${formatNumber(value)}），请重新给出${word}。`);
+    return null;
+  }
+  return value;
+}
+
+// ------------------------
+// 点与多边形
+// ------------------------
+
+const coordinates = {
+  name: '坐标点',
+  apply(clause, ctx) {
+    const re = new RegExp(`(?:点\\s*)?${PT}\\s*(?:=|:|为|是|坐标为)?\\s*\\(\\s*${NUM}\\s*,\\s*${NUM}\\s*\\)`, 'g');
+    const created = [];
+    const rest = clause.replace(re, (all, name, x, y) => {
+      if (!ctx.has(name)) {
+        ctx.point(name, [parseNumber(x), parseNumber(y)]);
+        created.push(name);
+      }
+      return ' ';
+    });
+    if (created.length) ctx.say(`按给定坐标创建点 ${created.join('、')}。`);
+    return rest;
+  }
+};
+
+// 边数再多就和圆看不出区别了，多半是输错了数字
+const MAX_POLYGON_SIDES = 50;
+
+// 正 n 边形内角的度数写法：能整除时写整数，否则写成分数（如 900°/7）
+function interiorAngle(n) {
+  const total = (n - 2) * 180;
+  return total % n === 0 ? `${total / n}°` : `${total}°/${n}`;
+}
+
+const regularPolygon = {
+  name: '正多边形',
+  apply(clause, ctx) {
+    const re = new RegExp(`(?:正\\s*${NUM}\\s*边形|(正方形)|(正三角形|等边三角形))\\s*([A-Z]*)`);
+    const m = clause.match(re);
+    if (!m) return clause;
+
+    const n = m[2] ? 4 : m[3] ? 3 : parseNumber(m[1]);
+    if (!Number.isInteger(n) || n < 3) return clause;
+    if (n > MAX_POLYGON_SIDES) {
+      ctx.clarify(`正多边形的边数最多 ${MAX_POLYGON_SIDES}（这里是 ${n}），请确认边数。`);
+      return '';
+    }
+
+    const names = m[4] ? m[4].split('') : [];
+    if (names.length > 2 && (names.length !== n || new Set(names).size !== n)) {
+      ctx.clarify(`正 ${n} 边形需要 ${n} 个不同的顶点名（这里是 ${m[4]}），请重新给出顶点。`);
+      return '';
+    }
+    const taken = names.slice(2).filter((name) => ctx.has(name));
+    if (taken.length) {
+      ctx.clarify(`点 ${taken.join('、')} 已存在，无法作为新正多边形的顶点，请换用其他顶点名。`);
+      return '';
+    }
+    const side = lengthFrom(clause, ctx, '边长');
+    if (side === null) return '';
+    const s = Number.isFinite(side) ? side : 2;
+
+    const [a = 'A', b = 'B'] = names;
+    // 两个端点里有已存在的点时，边长由它们的位置决定
+    const edge = ctx.has(a) || ctx.has(b) ? `线段 ${a}${b}` : `线段 ${a}${b}（长 ${formatNumber(s)}）`;
+    ctx.point(a, [0, 0]);
+    ctx.point(b, [s, 0]);
+    if (names.length > 2) {
+      // 其余顶点：把前前一个顶点绕前一个顶点顺时针转过一个内角
+      const angle = interiorAngle(n);
+      for (let i = 2; i < n; i += 1) ctx.add(`${names[i]} = Rotate(${names[i - 2]}, -${angle}, ${names[i - 1]})`, names[i]);
+      ctx.add(`Polygon(${names.join(', ')})`);
+      ctx.say(`以${edge}为一边，依次把前一条边绕顶点旋转内角 ${angle} 得到 ${names.slice(2).join('、')}，再连成正 ${n} 边形 ${m[4]}。`);
+    } else {
+      ctx.add(`Polygon(${a}, ${b}, ${n})`);
+      ctx.say(`以${edge}为一边，用 Polygon(${a}, ${b}, ${n}) 作正 ${n} 边形，其余顶点由 GeoGebra 自动生成。`);
+    }
+    return clause.replace(m[0], ' ');
+  }
+};
+
+// 常见三角形的默认摆放：直角默认在 C，等腰默认 AB = AC
+const TRIANGLE_LAYOUTS = {
+  直角: [[0, 3], [4, 0], [0, 0]],
+  等腰: [[0, 4], [-3, 0], [3, 0]],
+  default: [[-3, -2], [4, -2], [1, 3]]
+};
+
+const polygon = {
+  name: '三角形/多边形',
+  apply(clause, ctx) {
+    const tri = clause.match(/(直角|等腰)?三角形\s*([A-Z]{3})?/);
+    if (tri) {
+      const names = tri[2] ? tri[2].split('') : ['A', 'B', 'C'];
+      const layout = TRIANGLE_LAYOUTS[tri[1] || 'default'];
+      const created = names.filter((n) => !ctx.has(n));
+      names.forEach((n, i) => ctx.point(n, layout[i]));
+      ctx.add(`Polygon(${names.join(', ')})`);
+      ctx.triangle = names;
+      const first = created.length ? `先确定顶点 ${created.join('、')}，再` : '';
+      ctx.say(`${first}用 Polygon 连成${tri[1] || ''}三角形 ${names.join('')}（拖动顶点可改变形状）。`);
+      return clause.replace(tri[0], ' ');
+    }
+
+    const poly = clause.match(/(?:四边形|五边形|六边形|多边形)\s*([A-Z]{3,})/);
+    if (poly) {
+      const names = poly[1].split('');
+      names.forEach((n) => ctx.point(n));
+      ctx.add(`Polygon(${names.join(', ')})`);
+      ctx.say(`依次连接 ${names.join('、')} 得到多边形 ${poly[1]}。`);
+      return clause.replace(poly[0], ' ');
+    }
+
+    return clause;
+  }
+};
+
+const LINE_KINDS = { 线段: 'Segment', 直线: 'Line', 射线: 'Ray' };
+
+const lines = {
+  name: '线段/直线/射线',
+  apply(clause, ctx) {
+    let rest = clause.replace(/(线段|直线|射线)\s*([A-Z])([A-Z])(?![A-Z])(?!\s*(?:的|上|中点|垂))/g, (all, kind, a, b) => {
+      ctx.point(a);
+      ctx.point(b);
+      ctx.add(`${LINE_KINDS[kind]}(${a}, ${b})`);
+      ctx.say(`作${kind} ${a}${b}。`);
+      return ' ';
+    });
+    rest = rest.replace(/连接\s*([A-Z])\s*[、和与]?\s*([A-Z])(?![A-Z])/g, (all, a, b) => {
+      ctx.point(a);
+      ctx.point(b);
+      ctx.add(`Segment(${a}, ${b})`);
+      ctx.say(`连接 ${a}${b}。`);
+      return ' ';
+    });
+    return rest;
+  }
+};
+
+// ------------------------
+// 圆与圆锥曲线
+// ------------------------
+
+const circularMotion = {
+  name: '圆周运动',
+  apply(clause, ctx) {
+    if (!/(?<!椭)圆/.test(clause) || !/(运动|动画|转动|旋转|动起来)/.test(clause)) return clause;
+
+    const r = lengthFrom(clause, ctx, '半径');
+    if (r === null) return '';
+    const radius = formatNumber(Number.isFinite(r) ? r : 5);
+    const a = ctx.fresh('a');
+    const p = ctx.fresh('P');
+    ctx.add(`${a} = Slider(0, 2π, 0.01)`, a);
+    ctx.add(`Circle((0, 0), ${radius})`);
+    ctx.add(`${p} = (${radius} cos(${a}), ${radius} sin(${a}))`, p);
+    ctx.add(`StartAnimation(${a}, true)`);
+    ctx.sliders.push(a);
+    ctx.animating = true;
+    ctx.say(
+      `用滑块 ${a} 作为参数角度（从 0 到 $$2\\pi$$），点 ${p} 按 (${radius} cos(${a}), ${radius} sin(${a})) 在半径 ${radius} 的圆周上运动，然后启动滑块动画。`
+    );
+    return '';
+  }
+};
+
+// 没有现成的圆时，补一个以原点为圆心的圆
+function ensureCircle(clause, ctx) {
+  if (ctx.circle) return ctx.circle;
+  const r = lengthFrom(clause, ctx, '半径');
+  if (r === null) return null;
+  const o = ctx.point('O', [0, 0]);
+  const c = ctx.fresh('c');
+  ctx.add(`${c} = Circle(${o}, ${formatNumber(Number.isFinite(r) ? r : 3)})`, c);
+  ctx.circle = c;
+  return c;
+}
+
+const circleTangent = {
+  name: '圆的切线',
+  apply(clause, ctx) {
+    const m =
+      clause.match(new RegExp(`(?:过|从)(?:圆外)?(?:一)?(?:点)?\\s*${PT}\\s*(?:作|做|画|引)[^,]*?圆[^,]*?切线`)) ||
+      clause.match(new RegExp(`圆[^,]*?(?:在|过)(?:点)?\\s*${PT}\\s*处?的?切线`));
+    if (!m) return clause;
+
+    const c = ensureCircle(clause, ctx);
+    if (!c) return '';
+    const p = ctx.point(m[1]);
+    ctx.add(`Tangent(${p}, ${c})`);
+    ctx.say(`用 Tangent(${p}, ${c}) 作过点 ${p} 的圆的切线（点在圆外时有两条，在圆上时有一条）。`);
+    return clause.replace(m[0], ' ');
+  }
+};
+
+const circle = {
+  name: '圆',
+  apply(clause, ctx) {
+    const special = clause.match(/(外接圆|内切圆)/);
+    if (special && ctx.triangle) {
+      const [a, b, c] = ctx.triangle;
+      const name = ctx.fresh('c');
+      const cmd = special[1] === '外接圆' ? `Circle(${a}, ${b}, ${c})` : `Incircle(${a}, ${b}, ${c})`;
+      ctx.add(`${name} = ${cmd}`, name);
+      ctx.circle = name;
+      ctx.say(`${special[1] === '外接圆' ? '过三个顶点作外接圆' : '用 Incircle 作内切圆'} ${name}。`);
+      return clause.replace(special[0], ' ');
+    }
+
+    const eq = clause.match(new RegExp(`(x\\^2\\s*\\+\\s*y\\^2\\s*=${EXPR})`));
+    if (eq) {
+      const name = ctx.fresh('c');
+      ctx.add(`${name}: ${eq[1].trim()}`, name);
+      ctx.circle = name;
+      ctx.say(`直接输入圆的方程 $$${eq[1].trim()}$$。`);
+      return clause.replace(eq[0], ' ');
+    }
+
+    if (!/(?<!椭)圆(?!周|弧|心角)/.test(clause)) return clause;
+
+    const radius = lengthFrom(clause, ctx, '半径');
+    const diameter = lengthFrom(clause, ctx, '直径');
+    if (radius === null || diameter === null) return '';
+
+    const centerCoords = clause.match(new RegExp(`圆心(?:为|是|在)?\\s*\\(\\s*${NUM}\\s*,\\s*${NUM}\\s*\\)`));
+    const centerName =
+      (clause.match(new RegExp(`以(?:点)?\\s*${PT}\\s*为圆心`)) ||
+        clause.match(new RegExp(`圆心(?:为|是|在)?(?:点)?\\s*${PT}`)) ||
+        clause.match(new RegExp(`圆\\s*${PT}(?![A-Z])`)) || [])[1] || 'O';
+    const centerExists = ctx.has(centerName);
+    const o = ctx.point(
+      centerName,
+      centerCoords ? [parseNumber(centerCoords[1]), parseNumber(centerCoords[2])] : [0, 0]
+    );
+
+    const through = clause.match(new RegExp(`(?:经过|过)(?:点)?\\s*${PT}`));
+    const name = ctx.fresh('c');
+
+    if (through && through[1] !== o) {
+      const p = ctx.point(through[1]);
+      ctx.add(`${name} = Circle(${o}, ${p})`, name);
+      ctx.say(`以 ${o} 为圆心、经过点 ${p} 作圆 ${name}。`);
+    } else {
+      let r = 5;
+      if (/单位圆/.test(clause)) r = 1;
+      else if (Number.isFinite(radius)) r = radius;
+      else if (Number.isFinite(diameter)) r = diameter / 2;
+      ctx.add(`${name} = Circle(${o}, ${formatNumber(r)})`, name);
+      ctx.say(
+        centerExists
+          ? `以 ${o} 为圆心、半径 ${formatNumber(r)} 绘制圆 ${name}。`
+          : `先创建圆心 ${o}，再以半径 ${formatNumber(r)} 绘制圆 ${name}。`
+      );
+    }
+    ctx.circle = name;
+    return '';
+  }
+};
+
+function sqrtExpr(n) {
+  const root = Math.sqrt(n);
+  return Number.isInteger(root) ? String(root) : `sqrt(${formatNumber(n)})`;
+}
+
+const ellipse = {
+  name: '椭圆',
+  apply(clause, ctx) {
+    if (!/椭圆/.test(clause)) return clause;
+
+    let a = numberFrom(clause, new RegExp(`长半轴(?:长)?(?:为|是|等于)?\\s*${NUM}`));
+    let b = numberFrom(clause, new RegExp(`短半轴(?:长)?(?:为|是|等于)?\\s*${NUM}`));
+    if (!Number.isFinite(a)) a = numberFrom(clause, new RegExp(`长轴(?:长)?(?:为|是|等于)?\\s*${NUM}`)) / 2;
+    if (!Number.isFinite(b)) b = numberFrom(clause, new RegExp(`短轴(?:长)?(?:为|是|等于)?\\s*${NUM}`)) / 2;
+    if (!Number.isFinite(a)) a = numberFrom(clause, new RegExp(`(?<![a-z])a\\s*=\\s*${NUM}`));
+    if (!Number.isFinite(b)) b = numberFrom(clause, new RegExp(`(?<![a-z])b\\s*=\\s*${NUM}`));
+    if (!(a > 0)) a = 5;
+    if (!(b > 0)) b = 3;
+
+    const a2 = formatNumber(a * a);
+    const b2 = formatNumber(b * b);
+    const eq = `x^2/${a2} + y^2/${b2} = 1`;
+    ctx.add(eq);
+    ctx.add(`Text("椭圆：${eq}", (${formatNumber(-(a + 4))}, ${formatNumber(b + 3)}))`);
+    ctx.say(
+      `用标准椭圆方程 $$x^2/a^2 + y^2/b^2 = 1$$（这里取 a=${formatNumber(a)}, b=${formatNumber(b)}）来绘制椭圆。第一条命令直接定义隐式曲线；第二条命令添加文字标注。`
+    );
+
+    if (/焦点/.test(clause)) {
+      const c2 = Math.abs(a * a - b * b);
+      const f1 = ctx.fresh('F_1');
+      const f2 = ctx.fresh('F_2');
+      const c = sqrtExpr(c2);
+      if (a >= b) {
+        ctx.add(`${f1} = (-${c}, 0)`, f1);
+        ctx.add(`${f2} = (${c}, 0)`, f2);
+      } else {
+        ctx.add(`${f1} = (0, -${c})`, f1);
+        ctx.add(`${f2} = (0, ${c})`, f2);
+      }
+      ctx.say(`焦距满足 $$c^2 = |a^2 - b^2|$$，据此标出两个焦点。`);
+    }
+    return '';
+  }
+};
+
+// ------------------------
+// 函数图像与滑块
+// ------------------------
+
+const MATH_FUNCS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+  'sinh', 'cosh', 'tanh', 'sqrt', 'cbrt', 'abs', 'exp', 'ln', 'log', 'lg', 'sgn', 'floor', 'ceil', 'round'
+]);
+
+// 没给表达式时按关键词选一个典型函数；useSlider 时换成带参数 a（或 k、b）的版本
+const NAMED_FUNCTIONS = [
+  [/正弦/, 'sin(x)', 'a sin(x)'],
+  [/余弦/, 'cos(x)', 'a cos(x)'],
+  [/正切/, 'tan(x)', 'tan(a x)'],
+  [/指数/, 'exp(x)', 'a^x'],
+  [/对数/, 'ln(x)', 'a ln(x)'],
+  [/反比例/, '1/x', 'a/x'],
+  [/一次函数/, '2x + 1', 'k x + b'],
+  [/(二次函数|抛物线)/, 'x^2', 'a x^2']
+];
+
+// 表达式被中文截断时（“y = sin(x) + 你好”）末尾会留下悬空的运算符
+const TRAILING_OPERATORS = /[\s+\-*/^·×÷=(,]+$/;
+
+/** 找出表达式里的参数（x 以外的单字母），并把 ax、kx 这类连写拆成 a x、k x */
+function extractParameters(expr) {
+  const params = [];
+  const rewritten = expr.replace(/[A-Za-z]+/g, (word) => {
+    if (MATH_FUNCS.has(word) || word === 'pi') return word;
+    if (!/^[a-z]+$/.test(word)) return word;
+    for (const ch of word) {
+      if (ch !== 'x' && ch !== 'e' && !params.includes(ch)) params.push(ch);
+    }
+    return word.length > 1 ? word.split('').join(' ') : word;
+  });
+  return { expr: rewritten.replace(/\s+/g, ' ').trim(), params };
+}
+
+function sliderRange(text, p) {
+  const m = text.match(new RegExp(`(?<![a-z])${p}\\s*(?:从|的?(?:取值)?范围(?:是|为)?|在|∈)?\\s*\\[?\\s*${NUM}\\s*(?:到|至|~|,)\\s*${NUM}`));
+  if (m) {
+    const min = parseNumber(m[1]);
+    const max = parseNumber(m[2]);
+    if (Number.isFinite(min) && Number.isFinite(max) && min < max) return [min, max];
+  }
+  return [-5, 5];
+}
+
+const functionGraph = {
+  name: '函数图像',
+  apply(clause, ctx) {
+    const conicEq = clause.match(new RegExp(`((?:y\\^2|x\\^2)\\s*=${EXPR})`));
+    const eq = clause.match(new RegExp(`(?<![a-z])(y|[a-z]\\(x\\))\\s*=${EXPR}`));
+    const isParabola = /抛物线/.test(clause);
+    const wantsSlider = /滑块|滑动条|参数/.test(ctx.text);
+
+    // y^2 = 4x、x^2 = 2y 这类不是 x 的函数，按圆锥曲线输入
+    if (conicEq && isParabola) {
+      const p = ctx.fresh('p');
+      ctx.add(`${p}: ${conicEq[1].trim()}`, p);
+      ctx.conic = p;
+      ctx.say(`直接输入抛物线方程 $$${conicEq[1].trim()}$$。`);
+      addParabolaFeatures(clause, ctx, p);
+      return clause.replace(conicEq[0], ' ');
+    }
+
+    let source = null;
+    let lhsName = null;
+    let ignored = '';
+    if (eq) {
+      source = eq[2].replace(TRAILING_OPERATORS, '');
+      if (source !== eq[2].trim()) {
+        ignored = `${eq[2].slice(source.length)}${clause.slice(eq.index + eq[0].length)}`.trim();
+      }
+      if (eq[1] !== 'y') lhsName = eq[1].replace(/\(x\)$/, '');
+    } else if (/(函数|图像|曲线|抛物线)/.test(clause)) {
+      const named = NAMED_FUNCTIONS.find(([re]) => re.test(clause));
+      if (named) source = wantsSlider ? named[2] : named[1];
+    }
+    if (!source) return clause;
+
+    const { expr, params } = extractParameters(source);
+    try {
+      getShared().syntax.parseLine(`f(x) = ${expr}`);
+    } catch {
+      ctx.clarify(`没能读懂函数表达式“${eq ? eq[2].trim() : expr}”，请检查括号和运算符后重新输入。`);
+      return '';
+    }
+    const newParams = params.filter((p) => !ctx.has(p));
+    for (const p of newParams) {
+      const [min, max] = sliderRange(ctx.text, p);
+      ctx.add(`${p} = Slider(${formatNumber(min)}, ${formatNumber(max)}, 0.1)`, p);
+      ctx.sliders.push(p);
+    }
+
+    if (isParabola && /(焦点|准线)/.test(clause)) {
+      const p = ctx.fresh('p');
+      ctx.add(`${p}: y = ${expr}`, p);
+      ctx.conic = p;
+      ctx.say(`把抛物线作为圆锥曲线 ${p}: $$y = ${expr}$$ 输入，便于求焦点和准线。`);
+      addParabolaFeatures(clause, ctx, p);
+    } else {
+      const f = lhsName && !ctx.has(lhsName) ? lhsName : ctx.fresh('f');
+      ctx.add(`${f}(x) = ${expr}`, f);
+      ctx.func = f;
+      ctx.say(`定义函数 $$${f}(x) = ${expr}$$ 并绘制图像。`);
+    }
+    if (ignored) ctx.say(`表达式后面的“${ignored}”无法识别，已忽略。`);
+    if (newParams.length) {
+      ctx.say(`为参数 ${newParams.join('、')} 创建滑块，拖动滑块即可观察图像的变化。`);
+    }
+    return eq ? clause.replace(eq[0], ' ') : clause.replace(/(函数|图像|曲线|抛物线)/g, ' ');
+  }
+};
+
+function addParabolaFeatures(clause, ctx, p) {
+  if (/焦点/.test(clause)) {
+    const f = ctx.fresh('F');
+    ctx.add(`${f} = Focus(${p})`, f);
+    ctx.say(`用 Focus 求焦点 ${f}。`);
+  }
+  if (/准线/.test(clause)) {
+    const d = ctx.fresh('d');
+    ctx.add(`${d} = Directrix(${p})`, d);
+    ctx.say(`用 Directrix 作准线 ${d}。`);
+  }
+}
+
+const functionTangent = {
+  name: '函数切线',
+  apply(clause, ctx) {
+    const m =
+      clause.match(new RegExp(`在\\s*x\\s*=\\s*${NUM}\\s*处的?切线`)) ||
+      clause.match(new RegExp(`在(?:点)?\\s*${PT}\\s*处的?切线`));
+    if (!m || !ctx.func) return clause;
+
+    const at = /^[A-Z]/.test(m[1]) ? ctx.point(m[1]) : formatNumber(parseNumber(m[1]));
+    const t = ctx.fresh('t');
+    ctx.add(`${t} = Tangent(${at}, ${ctx.func})`, t);
+    ctx.say(`用 Tangent 作 ${ctx.func} 在 ${/^[A-Z]/.test(at) ? `点 ${at}` : `x = ${at}`} 处的切线 ${t}。`);
+    return clause.replace(m[0], ' ');
+  }
+};
+
+// ------------------------
+// 依赖已有对象的构造
+// ------------------------
+
+const midpoint = {
+  name: '中点',
+  apply(clause, ctx) {
+    return clause.replace(
+      /(?:线段)?([A-Z])([A-Z])(?:的|边的|边)?中点(?:\s*(?:为|是|记为|记作)?\s*([A-Z]\d?)(?![A-Z]))?/g,
+      (all, a, b, label) => {
+        ctx.point(a);
+        ctx.point(b);
+        const m = label && !ctx.has(label) ? label : ctx.fresh('M');
+        ctx.add(`${m} = Midpoint(${a}, ${b})`, m);
+        ctx.say(`用 Midpoint 取 ${a}${b} 的中点 ${m}。`);
+        return ' ';
+      }
+    );
+  }
+};
+
+const perpendicularBisector = {
+  name: '垂直平分线',
+  apply(clause, ctx) {
+    return clause.replace(/(?:线段)?([A-Z])([A-Z])的?(?:垂直平分线|中垂线)/g, (all, a, b) => {
+      ctx.point(a);
+      ctx.point(b);
+      const l = ctx.fresh('l');
+      ctx.add(`${l} = PerpendicularBisector(${a}, ${b})`, l);
+      ctx.say(`作 ${a}${b} 的垂直平分线 ${l}。`);
+      return ' ';
+    });
+  }
+};
+
+const AXES = { x: 'xAxis', y: 'yAxis' };
+
+const perpendicular = {
+  name: '垂线',
+  apply(clause, ctx) {
+    const axis = clause.match(new RegExp(`(?:过|从|自)(?:点)?\\s*${PT}\\s*(?:作|做|画|向)\\s*([xy])\\s*轴(?:的|作)?垂线`));
+    if (axis) {
+      const p = ctx.point(axis[1]);
+      const l = ctx.fresh('l');
+      ctx.add(`${l} = PerpendicularLine(${p}, ${AXES[axis[2]]})`, l);
+      ctx.say(`过点 ${p} 作 ${axis[2]} 轴的垂线 ${l}。`);
+      return clause.replace(axis[0], ' ');
+    }
+
+    let from;
+    let a;
+    let b;
+    let matched;
+    const m = clause.match(
+      new RegExp(`(?:过|从|自)(?:点)?\\s*${PT}\\s*(?:作|做|画|向)\\s*(?:直线|线段)?\\s*([A-Z])([A-Z])(?:的|作)?垂线`)
+    );
+    const height = clause.match(/([A-Z])([A-Z])边?上的高/);
+    if (m) {
+      [matched, from, a, b] = m;
+    } else if (height && ctx.triangle) {
+      [matched, a, b] = height;
+      from = ctx.triangle.find((v) => v !== a && v !== b);
+    }
+    if (!from) return clause;
+
+    ctx.point(from);
+    ctx.point(a);
+    ctx.point(b);
+    const l = ctx.fresh('l');
+    ctx.add(`${l} = PerpendicularLine(${from}, Line(${a}, ${b}))`, l);
+    ctx.say(`过点 ${from} 作直线 ${a}${b} 的垂线 ${l}。`);
+
+    const foot = clause.match(new RegExp(`垂足(?:为|是|记为)?\\s*${PT}`));
+    if (foot || height) {
+      const h = foot && !ctx.has(foot[1]) ? foot[1] : ctx.fresh(height ? 'H' : 'D');
+      ctx.add(`${h} = Intersect(${l}, Line(${a}, ${b}))`, h);
+      ctx.say(`垂线与直线 ${a}${b} 的交点即垂足 ${h}。`);
+    }
+    return clause.replace(matched, ' ').replace(/垂足(?:为|是|记为)?\s*[A-Z]\d?/, ' ');
+  }
+};
+
+const angleBisector = {
+  name: '角平分线',
+  apply(clause, ctx) {
+    const three = clause.match(/(?:∠|角)\s*([A-Z])([A-Z])([A-Z])的?(?:角)?平分线/);
+    const one = clause.match(/(?:∠|角)\s*([A-Z])(?![A-Z])的?(?:角)?平分线/);
+    let args = null;
+    let matched = null;
+
+    if (three) {
+      args = [three[1], three[2], three[3]];
+      matched = three[0];
+    } else if (one && ctx.triangle?.includes(one[1])) {
+      const others = ctx.triangle.filter((v) => v !== one[1]);
+      args = [others[0], one[1], others[1]];
+      matched = one[0];
+    }
+    if (!args) return clause;
+
+    args.forEach((p) => ctx.point(p));
+    const name = ctx.fresh('w');
+    ctx.add(`${name} = AngleBisector(${args.join(', ')})`, name);
+    ctx.say(`用 AngleBisector 作 ∠${args.join('')} 的平分线 ${name}（顶点为 ${args[1]}）。`);
+    return clause.replace(matched, ' ');
+  }
+};
+
+const RULES = [
+  coordinates,
+  circularMotion,
+  regularPolygon,
+  polygon,
+  lines,
+  circleTangent,
+  circle,
+  ellipse,
+  functionGraph,
+  functionTangent,
+  midpoint,
+  perpendicularBisector,
+  perpendicular,
+  angleBisector
+];
+
+module.exports = { RULES };
@@ -0,0 +1,78 @@
+// 中文输入的预处理：全角转半角、常见数学符号统一、中文数字解析、按语义切分子句。
+
+const SYMBOLS = {
+  '。': '.',
+  '“': '"',
+  '”': '"',
+  '−': '-',
+  '×': '*',
+  '÷': '/',
+  '·': '*',
+  '²': '^2',
+  '³': '^3',
+  '　': ' '
+};
+
+function normalizeText(input) {
+  return String(input || '')
+    .replace(/[！-～]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0xfee0))
+    .replace(/[。“”−×÷·²³　]/g, (ch) => SYMBOLS[ch])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const CN_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+// 数字（阿拉伯或 99 以内的中文数字）的正则片段
+const NUM = '(-?\\d+(?:\\.\\d+)?|[零〇一二两三四五六七八九十]+)';
+
+function parseNumber(s) {
+  const str = String(s ?? '').trim();
+  if (/^-?\d+(?:\.\d+)?$/.test(str)) return Number(str);
+  if (str.length === 1 && str in CN_DIGITS) return CN_DIGITS[str];
+  const m = str.match(/^([一二两三四五六七八九])?十([一二三四五六七八九])?$/);
+  if (m) return (m[1] ? CN_DIGITS[m[1]] : 1) * 10 + (m[2] ? CN_DIGITS[m[2]] : 0);
+  return NaN;
+}
+
+// 保留至多 4 位小数，去掉多余的 0
+function formatNumber(n) {
+  return String(Math.round(n * 10000) / 10000);
+}
+
+// 子句分隔：逗号/分号/句号以及“然后、再、并、接着”等连接词；括号内的逗号（如坐标）不切分
+const CONNECTIVES = /^(?:然后|接着|并且|同时|并|再)/;
+
+function splitClauses(text) {
+  const clauses = [];
+  let depth = 0;
+  let current = '';
+
+  const push = () => {
+    const c = current.trim();
+    if (c) clauses.push(c);
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth += 1;
+    if (ch === ')' || ch === ']' || ch === '}') depth = Math.max(0, depth - 1);
+
+    if (depth === 0 && (ch === ',' || ch === ';' || (ch === '.' && !/\d/.test(text[i + 1] || '')))) {
+      push();
+      continue;
+    }
+    const connective = depth === 0 ? text.slice(i).match(CONNECTIVES) : null;
+    if (connective && current.trim()) {
+      push();
+      i += connective[0].length - 1;
+      continue;
+    }
+    current += ch;
+  }
+  push();
+  return clauses;
+}
+
+module.exports = { normalizeText, parseNumber, formatNumber, splitClauses, NUM };
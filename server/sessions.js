@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// 服务端会话：每个会话存为 SESSIONS_DIR 下的一个 JSON 文件，文件名即短分享 ID。
+// 会话保存对话回合与当前构造的 XML，学生打开 ?session=<id> 即可看到同样的构造与解释。
+// 分享 ID 只能读取；追加回合、删除需要创建时单独返回给创建者的编辑令牌（文件里只存它的哈希）。
+const SESSIONS_DIR = path.resolve(process.env.SESSIONS_DIR || path.join(__dirname, '..', 'data', 'sessions'));
+
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789'; // 去掉容易看错的 l/o/0/1
+const ID_LENGTH = 8;
+const ID_PATTERN = /^[a-z0-9]{6,32}$/;
+const EDIT_TOKEN_BYTES = 24;
+
+const MAX_TURNS = 200;
+const MAX_TEXT_CHARS = 20000;
+const MAX_COMMANDS = 300;
+const MAX_CONSTRUCTION_CHARS = 4 * 1024 * 1024;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function createShareId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  let id = '';
+  for (const b of bytes) id += ID_ALPHABET[b % ID_ALPHABET.length];
+  return id;
+}
+
+function createEditToken() {
+  return crypto.randomBytes(EDIT_TOKEN_BYTES).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// 编辑令牌校验：没带令牌 401，令牌不对 403；没有令牌哈希的旧会话只能读取
+function checkEditToken(session, token) {
+  if (!token) throw httpError(401, '修改会话需要编辑令牌');
+  const expected = Buffer.from(session.editTokenHash || '', 'hex');
+  const given = Buffer.from(hashToken(token), 'hex');
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw httpError(403, '编辑令牌不正确，分享链接只能查看会话');
+  }
+}
+
+// 返回给客户端的会话不含令牌哈希
+function publicView(session) {
+  const { editTokenHash, ...rest } = session;
+  return rest;
+}
+
+function fileOf(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) throw httpError(400, '会话 ID 格式不正确');
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+function text(value, max = MAX_TEXT_CHARS) {
+  return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+function normalizeTurn(raw) {
+  if (!raw || typeof raw !== 'object') throw httpError(400, 'turn 必须是对象');
+  const request = text(raw.request).trim();
+  if (!request) throw httpError(400, 'turn.request 不能为空');
+
+  const commands = (Array.isArray(raw.commands) ? raw.commands : [])
+    .filter((c) => typeof c === 'string' && c.trim())
+    .slice(0, MAX_COMMANDS)
+    .map((c) => c.trim());
+  const steps = (Array.isArray(raw.steps) ? raw.steps : [])
+    .filter((st) => st && Array.isArray(st.commands))
+    .map((st) => ({ caption: text(st.caption), commands: st.commands.filter((c) => typeof c === 'string') }));
+
+  return { request, explanation: text(raw.explanation), commands, steps, createdAt: Date.now() };
+}
+
+function normalizeConstructionXml(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string') throw httpError(400, 'construction 必须是 GeoGebra XML 字符串');
+  if (value.length > MAX_CONSTRUCTION_CHARS) throw httpError(413, '构造 XML 过大');
+  return value;
+}
+
+function summarize(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    turnCount: session.turns.length
+  };
+}
+
+async function readSession(id) {
+  try {
+    return JSON.parse(await fs.readFile(fileOf(id), 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') throw httpError(404, '会话不存在');
+    throw e;
+  }
+}
+
+// 先写临时文件再改名，避免写到一半时被读到残缺 JSON
+async function writeSession(session) {
+  await fs.mkdir(SESSIONS_DIR, { recursive: true });
+  const file = fileOf(session.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(session), 'utf8');
+  await fs.rename(tmp, file);
+}
+
+// 同一会话的读改写串行执行，避免并发追加回合时互相覆盖
+const locks = new Map();
+
+function withLock(id, fn) {
+  const prev = locks.get(id) || Promise.resolve();
+  const next = prev.catch(() => {}).then(fn);
+  const tail = next.catch(() => {});
+  locks.set(id, tail);
+  tail.then(() => {
+    if (locks.get(id) === tail) locks.delete(id);
+  });
+  return next;
+}
+
+/**
+ * 新建会话，返回 { session, editToken }。body 可带 title、turns（初始回合）、construction（XML）。
+ * editToken 只在这里返回一次，之后追加回合、删除会话都要带上它。
+ */
+async function createSession({ title, turns, construction } = {}) {
+  const initialTurns = (Array.isArray(turns) ? turns : []).slice(-MAX_TURNS).map(normalizeTurn);
+  const now = Date.now();
+
+  for (let i = 0; i < 5; i += 1) {
+    const id = createShareId();
+    try {
+      await fs.access(fileOf(id));
+      continue; // 极少见的 ID 冲突，换一个
+    } catch {
+      // 不存在，可以使用
+    }
+    const editToken = createEditToken();
+    const session = {
+      id,
+      title: text(title, 100).trim() || initialTurns[0]?.request.slice(0, 40) || '未命名会话',
+      createdAt: now,
+      updatedAt: now,
+      turns: initialTurns,
+      construction: normalizeConstructionXml(construction) || '',
+      editTokenHash: hashToken(editToken)
+    };
+    await writeSession(session);
+    return { session: publicView(session), editToken };
+  }
+  throw httpError(500, '生成会话 ID 失败，请重试');
+}
+
+async function getSession(id) {
+  return publicView(await readSession(id));
+}
+
+/**
+ * 追加一轮对话，并（可选）更新构造 XML 为这一轮执行后的状态；token 为创建时返回的编辑令牌。
+ */
+async function appendTurn(id, { turn, construction, token }) {
+  const normalized = normalizeTurn(turn);
+  const xml = normalizeConstructionXml(construction);
+
+  return withLock(id, async () => {
+    const session = await readSession(id);
+    checkEditToken(session, token);
+    session.turns = [...session.turns, normalized].slice(-MAX_TURNS);
+    if (xml !== undefined) session.construction = xml;
+    session.updatedAt = Date.now();
+    await writeSession(session);
+    return session;
+  });
+}
+
+async function deleteSession(id, { token } = {}) {
+  return withLock(id, async () => {
+    checkEditToken(await readSession(id), token);
+    try {
+      await fs.unlink(fileOf(id));
+    } catch (e) {
+      if (e?.code === 'ENOENT') throw httpError(404, '会话不存在');
+      throw e;
+    }
+  });
+}
+
+module.exports = { SESSIONS_DIR, createSession, getSession, appendTurn, deleteSession, summarize };
@@ -0,0 +1,20 @@
+// shared/ 下是前后端共用的 ESM 模块（前端由 Vite 直接 import）。
+// CommonJS 的服务端在启动时通过动态 import 预加载一次，之后同步取用。
+const loaded = {};
+
+async function loadShared() {
+  if (!loaded.syntax) {
+    loaded.syntax = await import('../shared/ggbSyntax.mjs');
+    loaded.normalize = await import('../shared/ggbNormalize.mjs');
+  }
+  return loaded;
+}
+
+function getShared() {
+  if (!loaded.syntax) {
+    throw new Error('shared 模块尚未加载，请先 await loadShared()');
+  }
+  return loaded;
+}
+
+module.exports = { loadShared, getShared };
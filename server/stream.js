@@ -0,0 +1,160 @@
+const { sanitizeCommands } = require('./commands');
+
+/**
+ * 增量解析模型输出：把 ```geogebra 代码块之外的文本作为解释增量转发，
+ * 代码块内每凑齐一整行就作为一条命令输出。
+ * 与 extractGeoGebraBlock 保持一致：只取第一个 geogebra 代码块，其它代码块原样算作解释；
+ * ```geogebra-ops 编辑操作块既不是解释也不逐行下发，由 done 中的 operations 统一给出。
+ *
+ * 用法：parser.push(delta) / parser.end() 返回事件数组
+ *   { type: 'explanation', delta } | { type: 'command', command }
+ */
+function createFenceStreamParser() {
+  // text：代码块外；fence：geogebra 代码块内；ops：geogebra-ops 代码块内；other：其它语言代码块内；
+  // after：已读完 geogebra 代码块
+  let state = 'text';
+  let resume = 'text'; // geogebra-ops 代码块结束后回到的状态
+  let buffer = '';
+
+  function emitText(events, delta) {
+    if (delta) events.push({ type: 'explanation', delta });
+  }
+
+  function emitCommand(events, line) {
+    const [command] = sanitizeCommands([line]);
+    if (command) events.push({ type: 'command', command });
+  }
+
+  function drain(events, final) {
+    for (;;) {
+      if (state === 'fence') {
+        const idx = buffer.indexOf('\n');
+        if (idx < 0) {
+          if (final) {
+            if (!/^\s*```/.test(buffer)) emitCommand(events, buffer);
+            buffer = '';
+          }
+          return;
+        }
+        const line = buffer.slice(0, idx).replace(/\r$/, '');
+        buffer = buffer.slice(idx + 1);
+        if (/^\s*```/.test(line)) {
+          state = 'after';
+          // 代码块结束后的换行不计入解释，与 extractGeoGebraBlock 的 trim 行为一致
+          continue;
+        }
+        emitCommand(events, line);
+        continue;
+      }
+
+      if (state === 'ops') {
+        const end = buffer.indexOf('```');
+        if (end < 0) {
+          // 结束标记可能被截成两段，留下末尾的反引号
+          buffer = final ? '' : (buffer.match(/`+$/) || [''])[0];
+          return;
+        }
+        buffer = buffer.slice(end + 3).replace(/^[ \t]*\r?\n/, '');
+        state = resume;
+        continue;
+      }
+
+      if (state === 'after') {
+        const tick = buffer.indexOf('```');
+        // 代码块之后也可能跟着编辑操作块，需要读到行尾才能判断
+        if (tick < 0 || (buffer.indexOf('\n', tick) < 0 && !final)) {
+          const keep = tick < 0 ? (final ? 0 : Math.min(2, (buffer.match(/`+$/) || [''])[0].length)) : buffer.length - tick;
+          emitText(events, buffer.slice(0, buffer.length - keep));
+          buffer = buffer.slice(buffer.length - keep);
+          return;
+        }
+        const eol = buffer.indexOf('\n', tick);
+        if (/^geogebra-ops$/i.test(buffer.slice(tick + 3, eol < 0 ? buffer.length : eol).trim())) {
+          emitText(events, buffer.slice(0, tick));
+          buffer = eol < 0 ? '' : buffer.slice(eol + 1);
+          resume = 'after';
+          state = 'ops';
+          continue;
+        }
+        emitText(events, buffer.slice(0, tick + 3));
+        buffer = buffer.slice(tick + 3);
+        continue;
+      }
+
+      // text / other：寻找下一个 ```
+      const tick = buffer.indexOf('```');
+      if (tick < 0) {
+        // 末尾可能是半个 ```，先留在缓冲区
+        const keep = final ? 0 : Math.min(2, (buffer.match(/`+$/) || [''])[0].length);
+        emitText(events, buffer.slice(0, buffer.length - keep));
+        buffer = buffer.slice(buffer.length - keep);
+        return;
+      }
+
+      if (state === 'other') {
+        emitText(events, buffer.slice(0, tick + 3));
+        buffer = buffer.slice(tick + 3);
+        state = 'text';
+        continue;
+      }
+
+      // 开始标记需要读到行尾才能判断语言
+      const eol = buffer.indexOf('\n', tick);
+      if (eol < 0 && !final) {
+        emitText(events, buffer.slice(0, tick));
+        buffer = buffer.slice(tick);
+        return;
+      }
+      const header = buffer.slice(tick + 3, eol < 0 ? buffer.length : eol).trim();
+      if (/^geogebra$/i.test(header)) {
+        emitText(events, buffer.slice(0, tick));
+        buffer = eol < 0 ? '' : buffer.slice(eol + 1);
+        state = 'fence';
+        continue;
+      }
+      if (/^geogebra-ops$/i.test(header)) {
+        emitText(events, buffer.slice(0, tick));
+        buffer = eol < 0 ? '' : buffer.slice(eol + 1);
+        resume = 'text';
+        state = 'ops';
+        continue;
+      }
+      emitText(events, buffer.slice(0, tick + 3));
+      buffer = buffer.slice(tick + 3);
+      state = 'other';
+    }
+  }
+
+  return {
+    push(delta) {
+      const events = [];
+      buffer += String(delta || '');
+      drain(events, false);
+      return events;
+    },
+    end() {
+      const events = [];
+      drain(events, true);
+      return events;
+    }
+  };
+}
+
+/**
+ * 以 NDJSON（每行一个 JSON）写出流式事件。
+ * 选择 NDJSON 而非 EventSource：前端需要 POST 请求体（历史、提供方等）。
+ */
+function startNdjson(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  return (event) => {
+    if (res.writableEnded) return;
+    res.write(`${JSON.stringify(event)}\n`);
+  };
+}
+
+module.exports = { createFenceStreamParser, startNdjson };
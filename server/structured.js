@@ -0,0 +1,187 @@
+const { extractGeoGebraBlock } = require('./commands');
+const { extractOperationsBlock } = require('./operations');
+
+// 结构化输出的 JSON Schema：OpenAI 兼容接口用 response_format.json_schema，Anthropic 用工具调用的 input_schema。
+// strict 模式要求所有字段都列入 required 且禁止额外字段。
+const TRANSLATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['explanation', 'steps', 'operations', 'clarificationQuestions', 'suggestions'],
+  properties: {
+    explanation: { type: 'string', description: '面向用户的解释，可包含 Markdown 与 $$ 公式' },
+    steps: {
+      type: 'array',
+      description: '按执行顺序排列的构造步骤',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['caption', 'commands'],
+        properties: {
+          caption: { type: 'string', description: '这一步做了什么' },
+          commands: { type: 'array', items: { type: 'string' }, description: '每项一条 GeoGebra 命令' }
+        }
+      }
+    },
+    operations: {
+      type: 'array',
+      description: '对画布上已有对象的修改（删除、重新定义、改样式、显示/隐藏、设数值），在 steps 的命令之后执行',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['op', 'name', 'definition', 'color', 'lineThickness', 'pointSize', 'lineStyle', 'filling', 'visible', 'value'],
+        properties: {
+          op: { type: 'string', enum: ['redefine', 'delete', 'setStyle', 'setVisible', 'setValue'] },
+          name: { type: 'string', description: '要修改的对象名' },
+          definition: { type: ['string', 'null'], description: 'redefine 的新定义，如 (1, 2)' },
+          color: { type: ['string', 'null'], description: 'setStyle 的颜色，#RRGGBB 或颜色名' },
+          lineThickness: { type: ['number', 'null'], description: 'setStyle 的线宽 1～13' },
+          pointSize: { type: ['number', 'null'], description: 'setStyle 的点大小 1～9' },
+          lineStyle: { type: ['number', 'null'], description: 'setStyle 的线型 0～4' },
+          filling: { type: ['number', 'null'], description: 'setStyle 的填充不透明度 0～1' },
+          visible: { type: ['boolean', 'null'], description: 'setVisible 的目标状态' },
+          value: { type: ['number', 'null'], description: 'setValue 的新数值' }
+        }
+      }
+    },
+    clarificationQuestions: { type: 'array', items: { type: 'string' }, description: '请求不明确时向用户提出的问题' },
+    suggestions: { type: 'array', items: { type: 'string' }, description: '用户接下来可以尝试的请求' }
+  }
+};
+
+const OUTPUT_MODES = new Set(['fence', 'json']);
+
+function resolveOutputMode(mode) {
+  const value = String(mode || process.env.OUTPUT_MODE || 'fence').trim().toLowerCase();
+  if (!OUTPUT_MODES.has(value)) {
+    const err = new Error(`未知的输出模式：${value}（可选：fence, json）`);
+    err.status = 400;
+    throw err;
+  }
+  return value;
+}
+
+function isStringArray(v) {
+  return Array.isArray(v) && v.every((x) => typeof x === 'string');
+}
+
+/**
+ * 校验模型返回的结构化对象，返回 { ok, errors, value }。
+ * 可选字段缺失时补默认值；类型不对记为错误。
+ */
+function validateStructured(obj) {
+  const errors = [];
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    return { ok: false, errors: ['根节点必须是 JSON 对象'], value: null };
+  }
+
+  if (typeof obj.explanation !== 'string') errors.push('explanation 必须是字符串');
+
+  const steps = obj.steps === undefined ? [] : obj.steps;
+  if (!Array.isArray(steps)) {
+    errors.push('steps 必须是数组');
+  } else {
+    steps.forEach((step, i) => {
+      if (!step || typeof step !== 'object') {
+        errors.push(`steps[${i}] 必须是对象`);
+        return;
+      }
+      if (step.caption !== undefined && typeof step.caption !== 'string') errors.push(`steps[${i}].caption 必须是字符串`);
+      if (!isStringArray(step.commands)) errors.push(`steps[${i}].commands 必须是字符串数组`);
+    });
+  }
+
+  // 操作的字段由 operations.js 逐条校验，这里只检查外层结构
+  const operations = obj.operations === undefined || obj.operations === null ? [] : obj.operations;
+  if (!Array.isArray(operations)) errors.push('operations 必须是数组');
+
+  for (const key of ['clarificationQuestions', 'suggestions']) {
+    if (obj[key] !== undefined && !isStringArray(obj[key])) errors.push(`${key} 必须是字符串数组`);
+  }
+
+  if (errors.length) return { ok: false, errors, value: null };
+
+  return {
+    ok: true,
+    errors: [],
+    value: {
+      explanation: obj.explanation.trim(),
+      steps: steps.map((step) => ({
+        caption: String(step.caption || '').trim(),
+        commands: step.commands.map((c) => c.trim()).filter(Boolean)
+      })),
+      operations,
+      clarificationQuestions: (obj.clarificationQuestions || []).map((q) => q.trim()).filter(Boolean),
+      suggestions: (obj.suggestions || []).map((q) => q.trim()).filter(Boolean)
+    }
+  };
+}
+
+// 有的模型会把 JSON 包在 ```json 代码块里，或在前后多说几句
+function parseJsonLoose(text) {
+  const s = String(text || '').trim();
+  const fenced = s.match(/```(?:json)?\s*\r?\n([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : s.slice(s.indexOf('{'), s.lastIndexOf('}') + 1);
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * 把结构化输出（对象或 JSON 文本）转换为统一结果；校验失败时退回 ```geogebra 代码块解析。
+ * 返回 { format, explanation, commands, operations, steps, clarificationQuestions, suggestions, structuredErrors }
+ */
+function interpretStructured({ data, raw }) {
+  const parsed = data !== undefined && data !== null ? data : parseJsonLoose(raw);
+  const checked = parsed === undefined ? { ok: false, errors: ['输出不是合法的 JSON'] } : validateStructured(parsed);
+
+  if (checked.ok) {
+    const { explanation, steps, operations, clarificationQuestions, suggestions } = checked.value;
+    return {
+      format: 'json',
+      explanation,
+      commands: steps.flatMap((s) => s.commands),
+      operations,
+      steps,
+      clarificationQuestions,
+      suggestions,
+      structuredErrors: []
+    };
+  }
+
+  const { operations, text } = extractOperationsBlock(raw);
+  const { commands, explanation } = extractGeoGebraBlock(text);
+  return {
+    format: 'fence',
+    explanation,
+    commands,
+    operations,
+    steps: [],
+    clarificationQuestions: [],
+    suggestions: [],
+    structuredErrors: checked.errors
+  };
+}
+
+/**
+ * 清洗/校验会剔除部分命令，这里把步骤里的命令同步为最终下发的命令（后者是前者展开后的子序列），
+ * 剔除后为空的步骤一并去掉。
+ */
+function alignSteps(steps, keptCommands) {
+  let pos = 0;
+  return (Array.isArray(steps) ? steps : [])
+    .map((step) => {
+      const commands = [];
+      for (const cmd of step.commands) {
+        if (pos < keptCommands.length && cmd.trim() === keptCommands[pos]) {
+          commands.push(keptCommands[pos]);
+          pos += 1;
+        }
+      }
+      return { caption: step.caption, commands };
+    })
+    .filter((step) => step.commands.length);
+}
+
+module.exports = { TRANSLATION_SCHEMA, resolveOutputMode, validateStructured, interpretStructured, alignSteps };
@@ -0,0 +1,210 @@
+/**
+ * GeoGebra 输入规范化（前后端共享的 ESM 模块）：在校验和执行之前，把模型或用户写出的“方言”改写成标准语法，
+ * 并记录每一处改写，方便界面上告诉用户改了什么。
+ *
+ * - 全角标点与全角字母数字：`，（）＝；：【】` → `,()=;:[]`，中文引号 `“”` → `"`
+ * - Unicode 数学符号：`√x` → `sqrt(x)`、`x²` → `x^2`、`≤ ≥ ≠` → `<= >= !=`、`· × ÷ −` → `* * / -`
+ * - 旧式方括号调用：`Slider[0, 10, 0.1]` → `Slider(0, 10, 0.1)`
+ * - 中文命令名：`圆周(A, 3)` → `Circle(A, 3)`（名称表由调用方从命令目录传入）；已有同名对象、或出现在赋值左边（`圆(x) = x^2`）时不改
+ *
+ * 字符串字面量（"..."）里的内容保持不变。
+ */
+import { definedNames, tokenize } from './ggbSyntax.mjs';
+
+const FULLWIDTH = {
+  '，': ',', '（': '(', '）': ')', '＝': '=', '；': ';', '：': ':', '【': '[', '】': ']',
+  '［': '[', '］': ']', '｛': '{', '｝': '}', '、': ',', '＜': '<', '＞': '>', '＋': '+',
+  '－': '-', '＊': '*', '／': '/', '＾': '^', '．': '.', '。': '.', '！': '!', '｜': '|', '　': ' '
+};
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+
+const MATH_SYMBOLS = { '≤': '<=', '≥': '>=', '≠': '!=', '·': '*', '×': '*', '÷': '/', '−': '-', '∗': '*' };
+
+// 常见的非官方中文叫法，补充命令目录里的中文名
+export const ZH_COMMAND_ALIASES = {
+  圆: 'Circle', 点: 'Point', 滑块: 'Slider', 中垂线: 'PerpendicularBisector', 垂线: 'PerpendicularLine',
+  切线: 'Tangent', 交点: 'Intersect', 文字: 'Text', 开始动画: 'StartAnimation'
+};
+
+function record(rewrites, kind, from, to) {
+  const existing = rewrites.find((r) => r.kind === kind && r.from === from && r.to === to);
+  if (existing) existing.count += 1;
+  else rewrites.push({ kind, from, to, count: 1 });
+}
+
+// 按双引号切分，奇数段在字符串里面
+function outsideStrings(src, fn) {
+  return src
+    .split('"')
+    .map((part, i) => (i % 2 === 0 ? fn(part) : part))
+    .join('"');
+}
+
+function rewriteCharacters(src, rewrites) {
+  let s = src.replace(/[“”＂]/g, (ch) => {
+    record(rewrites, 'punctuation', ch, '"');
+    return '"';
+  });
+
+  s = outsideStrings(s, (part) => {
+    let out = '';
+    for (const ch of part) {
+      const code = ch.codePointAt(0);
+      if (FULLWIDTH[ch] !== undefined) {
+        record(rewrites, 'punctuation', ch, FULLWIDTH[ch]);
+        out += FULLWIDTH[ch];
+      } else if (code >= 0xff10 && code <= 0xff5e) {
+        // 全角数字与字母
+        const ascii = String.fromCodePoint(code - 0xfee0);
+        record(rewrites, 'punctuation', ch, ascii);
+        out += ascii;
+      } else {
+        out += ch;
+      }
+    }
+    return out;
+  });
+
+  return outsideStrings(s, (part) =>
+    part
+      // 连续上标数字合成一个指数：x²³ 不常见，但 x¹⁰ 应得到 x^10
+      .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, (m) => {
+        const to = `^${[...m].map((c) => SUPERSCRIPTS[c]).join('')}`;
+        record(rewrites, 'math', m, to);
+        return to;
+      })
+      // √(...) / √2 / √x：不带括号时只取一串数字或一个标识符，√2x 是 sqrt(2)x 而不是 sqrt(2x)
+      .replace(/√\s*(\(|\d+(?:\.\d+)?|\.\d+|\p{L}[\p{L}\p{Nd}]*(?:_\p{Nd}+)?)/gu, (m, arg) => {
+        const to = arg === '(' ? 'sqrt(' : `sqrt(${arg})`;
+        record(rewrites, 'math', m, to);
+        return to;
+      })
+      .replace(/[≤≥≠·×÷−∗]/g, (ch) => {
+        record(rewrites, 'math', ch, MATH_SYMBOLS[ch]);
+        return MATH_SYMBOLS[ch];
+      })
+  );
+}
+
+// 赋值、函数定义、带标签方程的左边（第一个顶层的 = / := / : 之前）在 tokens 中的结束下标；没有时为 -1
+function lhsEnd(tokens) {
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i += 1) {
+    const t = tokens[i];
+    if (t.type === 'lparen' || t.type === 'lbracket' || t.type === 'lbrace') depth += 1;
+    else if (t.type === 'rparen' || t.type === 'rbracket' || t.type === 'rbrace') depth -= 1;
+    else if (depth === 0 && t.type === 'op' && (t.value === '=' || t.value === ':=' || t.value === ':')) return i;
+  }
+  return -1;
+}
+
+// 命令调用层面的改写：中文命令名 → 英文（同名对象与左边的名字除外），Cmd[...] → Cmd(...)
+function rewriteCalls(src, localizedNames, knownNames, rewrites) {
+  let tokens;
+  try {
+    tokens = tokenize(src);
+  } catch {
+    return src; // 词法错误交给校验器报告
+  }
+
+  const lhs = lhsEnd(tokens);
+  const edits = []; // { start, end, text }
+  const openers = new Map(); // lbracket 下标 → 是否需要改成圆括号
+  const stack = [];
+
+  tokens.forEach((t, i) => {
+    const next = tokens[i + 1];
+    if (t.type === 'ident' && next && (next.type === 'lparen' || next.type === 'lbracket')) {
+      let name = t.value;
+      const english = localizedNames.get(name);
+      if (english && i > lhs && !knownNames.has(name)) {
+        record(rewrites, 'command', name, english);
+        edits.push({ start: t.start, end: t.end, text: english });
+        name = english;
+      }
+      // 只改命令调用（大写开头）的方括号；小写的 f[1] 之类保持原样
+      if (next.type === 'lbracket' && /^[A-Z]/.test(name)) openers.set(i + 1, name);
+    }
+
+    if (t.type === 'lbracket' || t.type === 'lparen' || t.type === 'lbrace') {
+      stack.push(i);
+    } else if (t.type === 'rbracket' || t.type === 'rparen' || t.type === 'rbrace') {
+      const open = stack.pop();
+      if (open !== undefined && t.type === 'rbracket' && openers.has(open)) {
+        const name = openers.get(open);
+        record(rewrites, 'bracket', `${name}[…]`, `${name}(…)`);
+        edits.push({ start: tokens[open].start, end: tokens[open].end, text: '(' });
+        edits.push({ start: t.start, end: t.end, text: ')' });
+      }
+    }
+  });
+
+  edits.sort((a, b) => b.start - a.start);
+  let out = src;
+  for (const e of edits) out = out.slice(0, e.start) + e.text + out.slice(e.end);
+  return out;
+}
+
+/**
+ * 规范化一行命令：返回 { command, rewrites: [{ kind, from, to, count }] }。
+ * kind: punctuation | math | bracket | command
+ *
+ * @param {string} line
+ * @param {object} [options]
+ * @param {Map<string, string>|Record<string, string>} [options.localizedNames] 中文命令名 → 英文命令名
+ * @param {Iterable<string>} [options.knownNames] 已存在的对象名，与中文命令名同名时按对象处理
+ */
+export function normalizeCommand(line, { localizedNames, knownNames } = {}) {
+  const names = new Map(Object.entries(ZH_COMMAND_ALIASES));
+  if (localizedNames) {
+    for (const [zh, en] of localizedNames instanceof Map ? localizedNames : Object.entries(localizedNames)) names.set(zh, en);
+  }
+
+  const rewrites = [];
+  const original = String(line ?? '');
+  const command = rewriteCalls(rewriteCharacters(original, rewrites), names, new Set(knownNames), rewrites).trim();
+  return { command, rewrites: command === original.trim() ? [] : rewrites };
+}
+
+const KIND_LABELS = { punctuation: '全角字符', math: '数学符号', bracket: '方括号调用', command: '中文命令名' };
+
+/** 一行改写记录的中文说明，如“全角字符 “，”→“,”（2 处）；方括号调用 Slider[…]→Slider(…)” */
+export function describeRewrites(rewrites) {
+  return rewrites
+    .map((r) => `${KIND_LABELS[r.kind] || r.kind} “${r.from}”→“${r.to}”${r.count > 1 ? `（${r.count} 处）` : ''}`)
+    .join('；');
+}
+
+/**
+ * 把一行的改写记录包装成与校验结果同一形状的诊断（level 为 info，不拦截），前端在诊断列表里展示。
+ */
+export function rewriteDiagnostic(line, original, result) {
+  return {
+    line,
+    command: result.command,
+    original,
+    level: 'info',
+    kind: 'rewrite',
+    message: describeRewrites(result.rewrites),
+    rewrites: result.rewrites,
+    rejected: false
+  };
+}
+
+/**
+ * 批量规范化：返回 { commands, rewrites: [{ line, original, command, rewrites }] }，只列出有改动的行。
+ * 前面各行定义的对象并入 knownNames，供后面的行判断中文名是对象还是命令。
+ */
+export function normalizeCommands(lines, options = {}) {
+  const commands = [];
+  const rewrites = [];
+  const knownNames = new Set(options.knownNames);
+  (Array.isArray(lines) ? lines : []).forEach((original, line) => {
+    const result = normalizeCommand(original, { ...options, knownNames });
+    for (const name of definedNames([result.command])) knownNames.add(name);
+    commands.push(result.command);
+    if (result.rewrites.length) rewrites.push({ line, original, command: result.command, rewrites: result.rewrites });
+  });
+  return { commands, rewrites };
+}
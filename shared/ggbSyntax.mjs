@@ -0,0 +1,628 @@
+/**
+ * GeoGebra 输入语法：词法分析、语法分析与逐行校验（前后端共享的 ESM 模块）。
+ *
+ * 覆盖模型最常输出的几类输入：
+ * - 赋值：`A = (1, 2)`、`a := 3`、带标签的方程 `c: x^2 + y^2 = 9`
+ * - 函数定义：`f(x) = a x^2`、`f(x) := x^2`
+ * - 命令调用：`Circle(O, 5)` / `Slider[0, 10, 0.1]`
+ * - 点/向量 `(1, 2)`、极坐标 `(5; 30°)`、列表 `{1, 2, 3}`、隐式方程 `x^2/25 + y^2/9 = 1`
+ * - 常量 `π`、`∞`（如 `Integral(f, 0, ∞)`）
+ *
+ * 目标不是完整复刻 GeoGebra 的解析器，而是在命令下发到 applet 之前拦住明显错误
+ * （括号不配对、未知命令、参数个数不对、空参数等），并给出逐行诊断。
+ */
+
+/**
+ * 内置的常用命令及其参数个数范围 [最少, 最多]。
+ * 参数个数取自 GeoGebra 5.0 语言包中的 `<命令>.Syntax`（含 3D 语法）。
+ * 服务端会用从语言包提取的完整命令目录（server/commandCatalog.js，/api/commands）覆盖它，
+ * 这里的表在目录不可用时兜底。
+ */
+export const KNOWN_COMMANDS = {
+  Point: [1, 2], Segment: [2, 2], Line: [2, 2], Ray: [2, 2], Vector: [1, 2], UnitVector: [1, 1],
+  Circle: [2, 3], Semicircle: [2, 2], Arc: [3, 3], CircularArc: [3, 3], CircumcircularArc: [3, 3],
+  CircularSector: [3, 3], CircumcircularSector: [3, 3], Sector: [3, 3], Ellipse: [3, 3], Hyperbola: [3, 3],
+  Parabola: [2, 2], Conic: [1, 6], Polygon: [1, Infinity], Polyline: [1, Infinity], Midpoint: [1, 2],
+  Center: [1, 1], Centroid: [1, 1], Intersect: [2, 4], PerpendicularLine: [2, 3],
+  PerpendicularBisector: [1, 3], AngleBisector: [2, 3], Angle: [1, 4], Tangent: [2, 2], Asymptote: [1, 1],
+  Directrix: [1, 1], Focus: [1, 1], Vertex: [1, 2], Distance: [2, 2], Length: [1, 3], Area: [1, Infinity],
+  Perimeter: [1, 1], Radius: [1, 1], Slope: [1, 1], Derivative: [1, 3], Integral: [1, 4],
+  IntegralBetween: [4, 5], Root: [1, 3], Roots: [3, 3], Extremum: [1, 3], Min: [1, 3], Max: [1, 3],
+  Function: [1, 7], Curve: [5, 6], Locus: [2, 2], Sequence: [1, 5], Sum: [1, 4], Product: [1, 4],
+  Zip: [5, Infinity], Element: [2, Infinity], First: [1, 2], Last: [1, 2], Append: [2, 2],
+  Join: [1, Infinity], If: [2, 3], Text: [1, 6], FormulaText: [1, 3], Slider: [2, 9], Checkbox: [0, 2],
+  Button: [0, 1], InputBox: [1, 1], StartAnimation: [0, Infinity], SetValue: [2, 3], SetColor: [2, 4],
+  SetBackgroundColor: [1, 4], SetCaption: [2, 2], SetConditionToShowObject: [2, 2], SetCoords: [3, 4],
+  SetDecoration: [2, 3], SetDynamicColor: [4, 5], SetFilling: [2, 2], SetFixed: [2, 3], SetLabelMode: [2, 2],
+  SetLayer: [2, 2], SetLineStyle: [2, 2], SetLineThickness: [2, 2], SetPointSize: [2, 2],
+  SetPointStyle: [2, 2], SetTrace: [2, 2], SetVisibleInView: [3, 3], ShowLabel: [2, 2], ShowAxes: [0, 2],
+  ShowGrid: [0, 2], ZoomIn: [0, 6], ZoomOut: [1, 2], CenterView: [1, 1], Delete: [1, 1], Rename: [2, 2],
+  UpdateConstruction: [0, 1], Translate: [2, 2], Rotate: [2, 4], Reflect: [2, 2], Dilate: [2, 3],
+  Shear: [3, 3], Stretch: [2, 3], TaylorPolynomial: [3, 3], Solve: [1, 1], NSolve: [1, 1], Simplify: [1, 1],
+  Factor: [1, 1], Expand: [1, 1], Mod: [2, 2], Div: [2, 2], RandomBetween: [2, 3], Sphere: [2, 2],
+  Plane: [1, 3], Pyramid: [2, Infinity], Prism: [2, Infinity], Cone: [2, 3], Cylinder: [2, 3], Cube: [1, 3],
+  Tetrahedron: [1, 3], Surface: [2, 9], Mean: [1, 2], Median: [1, 2], Mode: [1, 1], SD: [1, 2],
+  Variance: [1, 2], Histogram: [2, 5], BarChart: [2, 7], BoxPlot: [3, 7], FitLine: [1, 1], FitPoly: [2, 2],
+  FitExp: [1, 1], Normal: [3, 4], Spline: [1, 3], Polynomial: [1, 1], Coefficients: [1, 1], Degree: [1, 1],
+  Numerator: [1, 1], Denominator: [1, 1], LowerSum: [4, 4], UpperSum: [4, 4], Incircle: [3, 3],
+  OsculatingCircle: [2, 2], Execute: [1, Infinity], RunClickScript: [1, 1], RunUpdateScript: [1, 1],
+  CopyFreeObject: [1, 1], Dot: [2, 2], Cross: [2, 2], Direction: [1, 1], ClosestPoint: [2, 2],
+  PointIn: [1, 1], ConvexHull: [1, 1], SetClickScript: [2, 3], SetUpdateScript: [2, 3]
+};
+
+/** 内置数学函数（小写，按函数调用处理而非命令） */
+export const KNOWN_FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'asin', 'acos', 'atan', 'atan2',
+  'sinh', 'cosh', 'tanh', 'coth', 'sech', 'csch', 'asinh', 'acosh', 'atanh', 'arcsinh', 'arccosh', 'arctanh',
+  'sqrt', 'cbrt', 'nroot', 'abs', 'sgn', 'sign', 'exp', 'ln', 'log', 'lg', 'ld', 'floor', 'ceil', 'round',
+  'random', 'gamma', 'beta', 'erf', 'psi', 'real', 'imaginary', 're', 'im', 'arg', 'conjugate', 'fractionalpart',
+  'x', 'y', 'z'
+]);
+
+/** 变量名为 x / y / z 时，`y = 2x + 1` 是直线方程而不是给 y 赋值 */
+const COORD_NAMES = new Set(['x', 'y', 'z']);
+
+export class GgbSyntaxError extends Error {
+  constructor(message, column) {
+    super(message);
+    this.name = 'GgbSyntaxError';
+    this.column = column;
+  }
+}
+
+// ------------------------
+// 词法分析
+// ------------------------
+
+const IDENT_RE = /^[\p{L}][\p{L}\p{Nd}']*(?:_(?:\{[^}]*\}|[\p{L}\p{Nd}]+))?'*/u;
+const NUMBER_RE = /^(?:\d+(?:\.\d*)?|\.\d+)/;
+const MULTI_OPS = ['==', '!=', '<=', '>=', ':=', '&&', '||'];
+const SINGLE_OPS = new Set([
+  '+', '-', '*', '/', '^', '=', '<', '>', '!', ':', '|',
+  '≤', '≥', '≠', '∧', '∨', '¬', '°', '²', '³', '√', '·', '×', '÷', '⊗'
+]);
+const BRACKETS = { '(': 'lparen', ')': 'rparen', '[': 'lbracket', ']': 'rbracket', '{': 'lbrace', '}': 'rbrace' };
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * 把一行输入切成 token：{ type, value, start, end }
+ * type: number | ident | string | op | lparen | rparen | lbracket | rbracket | lbrace | rbrace | comma | semicolon | eof
+ */
+export function tokenize(src) {
+  const s = String(src ?? '');
+  const tokens = [];
+  let i = 0;
+
+  while (i < s.length) {
+    const ch = s[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    const rest = s.slice(i);
+    let m;
+
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < s.length && s[j] !== '"') {
+        j += s[j] === '\\' ? 2 : 1;
+      }
+      if (j >= s.length) throw new GgbSyntaxError('字符串缺少结束引号', i);
+      tokens.push({ type: 'string', value: s.slice(i + 1, j), start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+
+    if ((m = rest.match(NUMBER_RE))) {
+      tokens.push({ type: 'number', value: m[0], start: i, end: i + m[0].length });
+      i += m[0].length;
+      continue;
+    }
+
+    // ∞ 不是字母，单独按常量名处理（与 π 一样是标识符）
+    if (ch === '∞') {
+      tokens.push({ type: 'ident', value: ch, start: i, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    if ((m = rest.match(IDENT_RE))) {
+      tokens.push({ type: 'ident', value: m[0], start: i, end: i + m[0].length });
+      i += m[0].length;
+      continue;
+    }
+
+    if (BRACKETS[ch]) {
+      tokens.push({ type: BRACKETS[ch], value: ch, start: i, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    if (ch === ',' || ch === ';') {
+      tokens.push({ type: ch === ',' ? 'comma' : 'semicolon', value: ch, start: i, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    const multi = MULTI_OPS.find((op) => rest.startsWith(op));
+    if (multi) {
+      tokens.push({ type: 'op', value: multi, start: i, end: i + multi.length });
+      i += multi.length;
+      continue;
+    }
+
+    if (SINGLE_OPS.has(ch)) {
+      tokens.push({ type: 'op', value: ch, start: i, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    throw new GgbSyntaxError(`无法识别的字符“${ch}”`, i);
+  }
+
+  tokens.push({ type: 'eof', value: '', start: s.length, end: s.length });
+  return tokens;
+}
+
+/** 括号配对检查：在语法分析之前给出更准确的位置信息 */
+export function checkBrackets(tokens) {
+  const stack = [];
+  for (const t of tokens) {
+    if (t.type === 'lparen' || t.type === 'lbracket' || t.type === 'lbrace') {
+      stack.push(t);
+    } else if (t.type === 'rparen' || t.type === 'rbracket' || t.type === 'rbrace') {
+      const open = stack.pop();
+      if (!open) throw new GgbSyntaxError(`多余的右括号“${t.value}”`, t.start);
+      if (CLOSING[open.value] !== t.value) {
+        throw new GgbSyntaxError(`括号不匹配：“${open.value}”与“${t.value}”`, t.start);
+      }
+    }
+  }
+  if (stack.length) {
+    const open = stack[stack.length - 1];
+    throw new GgbSyntaxError(`括号未闭合：“${open.value}”缺少“${CLOSING[open.value]}”`, open.start);
+  }
+}
+
+// ------------------------
+// 语法分析（Pratt）
+// ------------------------
+
+const INFIX = {
+  '=': [1, 'right'],
+  '||': [2], '∨': [2],
+  '&&': [3], '∧': [3],
+  '==': [4], '!=': [4], '≠': [4], '<': [4], '>': [4], '<=': [4], '>=': [4], '≤': [4], '≥': [4],
+  '+': [5], '-': [5],
+  '*': [6], '/': [6], '·': [6], '×': [6], '÷': [6], '⊗': [6],
+  '^': [8, 'right']
+};
+const IMPLICIT_MUL_BP = 6;
+const PREFIX_BP = 7;
+const POSTFIX = new Set(['!', '°', '²', '³']);
+const POSTFIX_BP = 9;
+
+function startsPrimary(t) {
+  return (
+    t.type === 'number' ||
+    t.type === 'ident' ||
+    t.type === 'string' ||
+    t.type === 'lparen' ||
+    t.type === 'lbrace' ||
+    (t.type === 'op' && t.value === '√')
+  );
+}
+
+function createParser(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function expect(type, what) {
+    const t = peek();
+    if (t.type !== type) {
+      throw new GgbSyntaxError(t.type === 'eof' ? `缺少${what}` : `此处应为${what}，实际为“${t.value}”`, t.start);
+    }
+    return next();
+  }
+
+  function describe(t) {
+    return t.type === 'eof' ? '输入意外结束' : `意外的“${t.value}”`;
+  }
+
+  // 逗号分隔的参数/元素；allowEmpty 控制 `[]`、`{}` 这类空列表
+  function parseSequence(closeType, closeText, { allowEmpty, separators = ['comma'] }) {
+    const items = [];
+    let sawSemicolon = false;
+    if (peek().type === closeType) {
+      if (!allowEmpty) throw new GgbSyntaxError(`“${closeText}”前缺少内容`, peek().start);
+      next();
+      return { items, sawSemicolon };
+    }
+    for (;;) {
+      const t = peek();
+      if (t.type === 'comma' || t.type === 'semicolon' || t.type === closeType) {
+        throw new GgbSyntaxError(`第 ${items.length + 1} 个参数为空`, t.start);
+      }
+      items.push(parseExpression(0));
+      const sep = peek();
+      if (separators.includes(sep.type)) {
+        if (sep.type === 'semicolon') sawSemicolon = true;
+        next();
+        continue;
+      }
+      expect(closeType, `“${closeText}”`);
+      return { items, sawSemicolon };
+    }
+  }
+
+  function parsePrimary() {
+    const t = next();
+
+    if (t.type === 'number') return { type: 'num', value: Number(t.value), start: t.start };
+    if (t.type === 'string') return { type: 'str', value: t.value, start: t.start };
+
+    if (t.type === 'ident') {
+      const after = peek();
+      if (after.type === 'lbracket' || after.type === 'lparen') {
+        next();
+        const close = after.type === 'lbracket' ? ['rbracket', ']'] : ['rparen', ')'];
+        const { items } = parseSequence(close[0], close[1], { allowEmpty: true });
+        return { type: 'call', name: t.value, bracket: after.value, args: items, start: t.start };
+      }
+      return { type: 'ident', name: t.value, start: t.start };
+    }
+
+    if (t.type === 'lparen') {
+      const { items, sawSemicolon } = parseSequence('rparen', ')', { allowEmpty: false, separators: ['comma', 'semicolon'] });
+      if (items.length === 1 && !sawSemicolon) return { type: 'group', expr: items[0], start: t.start };
+      return { type: 'tuple', items, polar: sawSemicolon, start: t.start };
+    }
+
+    if (t.type === 'lbrace') {
+      const { items } = parseSequence('rbrace', '}', { allowEmpty: true });
+      return { type: 'list', items, start: t.start };
+    }
+
+    if (t.type === 'op' && t.value === '|') {
+      // 绝对值 |x|：内部表达式遇到“|”自然停止（“|”不是中缀运算符）
+      const expr = parseExpression(0);
+      expect('op', '“|”');
+      return { type: 'call', name: 'abs', bracket: '|', args: [expr], start: t.start };
+    }
+
+    if (t.type === 'op' && (t.value === '-' || t.value === '+' || t.value === '!' || t.value === '¬' || t.value === '√')) {
+      const operand = parseExpression(t.value === '√' ? INFIX['^'][0] : PREFIX_BP);
+      return { type: 'unary', op: t.value, operand, start: t.start };
+    }
+
+    throw new GgbSyntaxError(describe(t), t.start);
+  }
+
+  function parseExpression(minBp) {
+    let left = parsePrimary();
+
+    for (;;) {
+      const t = peek();
+
+      if (t.type === 'op' && POSTFIX.has(t.value)) {
+        if (POSTFIX_BP < minBp) break;
+        next();
+        left = { type: 'postfix', op: t.value, operand: left, start: left.start };
+        continue;
+      }
+
+      if (t.type === 'op' && INFIX[t.value]) {
+        const [bp, assoc] = INFIX[t.value];
+        if (bp < minBp || (bp === minBp && assoc !== 'right')) break;
+        next();
+        const right = parseExpression(assoc === 'right' ? bp : bp + 1);
+        left = { type: 'binary', op: t.value, left, right, start: left.start };
+        continue;
+      }
+
+      // 隐式乘法：2x、5 cos(a)、a x^2、(x+1)(x-1)
+      if (startsPrimary(t)) {
+        if (IMPLICIT_MUL_BP <= minBp) break;
+        const right = parseExpression(IMPLICIT_MUL_BP + 1);
+        left = { type: 'binary', op: '*', implicit: true, left, right, start: left.start };
+        continue;
+      }
+
+      break;
+    }
+
+    return left;
+  }
+
+  function parseStatement() {
+    const first = tokens[0];
+    const second = tokens[1];
+
+    // 标签：`c: x^2 + y^2 = 9`；赋值：`a := 3`
+    if (first.type === 'ident' && second?.type === 'op' && (second.value === ':' || second.value === ':=')) {
+      pos = 2;
+      if (peek().type === 'eof') throw new GgbSyntaxError(`“${second.value}”后缺少内容`, second.end);
+      const expr = parseExpression(0);
+      if (peek().type !== 'eof') throw new GgbSyntaxError(describe(peek()), peek().start);
+      return { label: first.value, expr };
+    }
+
+    const expr = parseExpression(0);
+    // 函数定义也可以写成 `f(x) := x^2`，与 `f(x) = x^2` 相同
+    if (expr.type === 'call' && expr.bracket === '(' && peek().type === 'op' && peek().value === ':=') {
+      const op = next();
+      if (peek().type === 'eof') throw new GgbSyntaxError('“:=”后缺少内容', op.end);
+      const right = parseExpression(0);
+      if (peek().type !== 'eof') throw new GgbSyntaxError(describe(peek()), peek().start);
+      return { label: null, expr: { type: 'binary', op: '=', left: expr, right, start: expr.start } };
+    }
+    if (peek().type !== 'eof') throw new GgbSyntaxError(describe(peek()), peek().start);
+    return { label: null, expr };
+  }
+
+  return { parseStatement };
+}
+
+function isPointShorthand(node) {
+  // `A(1, 2)` 在 GeoGebra 输入栏里等价于 `A = (1, 2)`
+  return node.type === 'call' && node.bracket === '(' && /^[A-Z](?:_?\d+|_\{[^}]*\})?'*$/.test(node.name);
+}
+
+/**
+ * 解析一行输入，返回 { kind, name, params, ast }
+ * kind: assignment | function | equation | command | expression
+ * 语法错误抛出 GgbSyntaxError（带 column）。
+ */
+export function parseLine(src) {
+  const tokens = tokenize(src);
+  if (tokens.length === 1) throw new GgbSyntaxError('空行', 0);
+  checkBrackets(tokens);
+
+  const { label, expr } = createParser(tokens).parseStatement();
+
+  if (label) {
+    return { kind: 'assignment', name: label, params: [], ast: expr };
+  }
+
+  if (expr.type === 'binary' && expr.op === '=') {
+    const lhs = expr.left;
+    if (lhs.type === 'ident' && !COORD_NAMES.has(lhs.name)) {
+      return { kind: 'assignment', name: lhs.name, params: [], ast: expr.right };
+    }
+    if (lhs.type === 'call' && lhs.bracket === '(' && lhs.args.length && lhs.args.every((a) => a.type === 'ident')) {
+      return { kind: 'function', name: lhs.name, params: lhs.args.map((a) => a.name), ast: expr.right };
+    }
+    return { kind: 'equation', name: null, params: [], ast: expr };
+  }
+
+  if (isPointShorthand(expr) && expr.args.length >= 2) {
+    return { kind: 'assignment', name: expr.name, params: [], ast: { type: 'tuple', items: expr.args, start: expr.start } };
+  }
+
+  if (expr.type === 'call' && expr.bracket !== '|') {
+    return { kind: 'command', name: null, params: [], ast: expr };
+  }
+
+  return { kind: 'expression', name: null, params: [], ast: expr };
+}
+
+// ------------------------
+// 语义校验
+// ------------------------
+
+function walk(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  visit(node);
+  switch (node.type) {
+    case 'call':
+      node.args.forEach((a) => walk(a, visit));
+      break;
+    case 'tuple':
+    case 'list':
+      node.items.forEach((a) => walk(a, visit));
+      break;
+    case 'group':
+      walk(node.expr, visit);
+      break;
+    case 'unary':
+    case 'postfix':
+      walk(node.operand, visit);
+      break;
+    case 'binary':
+      walk(node.left, visit);
+      walk(node.right, visit);
+      break;
+    default:
+      break;
+  }
+}
+
+function formatArity([min, max]) {
+  if (min === max) return `${min} 个`;
+  if (max === Infinity) return `至少 ${min} 个`;
+  return `${min}～${max} 个`;
+}
+
+// 编辑距离（含相邻字母对调），用于“是不是要用”提示
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * 为未知命令找相近的已知命令名（忽略大小写）：编辑距离足够小，或一方是另一方的前缀。
+ * 按相近程度排序，最多返回 limit 个。
+ */
+export function suggestCommands(name, candidates = Object.keys(KNOWN_COMMANDS), limit = 3) {
+  const target = String(name || '').toLowerCase();
+  if (!target) return [];
+  const maxDistance = Math.max(1, Math.floor(target.length / 3));
+  const scored = [];
+  for (const candidate of candidates) {
+    const lower = candidate.toLowerCase();
+    if (lower === target) continue;
+    const distance = editDistance(target, lower);
+    const prefix = target.length >= 3 && (lower.startsWith(target) || target.startsWith(lower));
+    if (distance <= maxDistance || prefix) scored.push({ candidate, score: prefix ? Math.min(distance, maxDistance) : distance });
+  }
+  return scored
+    .sort((a, b) => a.score - b.score || a.candidate.length - b.candidate.length)
+    .slice(0, limit)
+    .map((s) => s.candidate);
+}
+
+/**
+ * 创建逐行校验器。会记住前面各行定义的对象名，供后续行引用（如先定义 f(x) 再调用 f(2)）。
+ *
+ * @param {object} [options]
+ * @param {Record<string, [number, number]>} [options.commands] 命令表，默认 KNOWN_COMMANDS
+ * @param {Iterable<string>} [options.knownNames] 构造中已存在的对象名
+ * @param {(name: string, node: object) => object|null} [options.policy] 命令策略：对每个已知命令的调用
+ *   （name 为规范命令名，node 为调用节点）返回一条诊断或 null，服务端用它按部署配置拦截命令、限制参数；
+ *   诊断默认为 error（拦截），带 level: 'warning' 时只提示
+ * @returns {{ check(line: string): { ok: boolean, parsed: object|null, diagnostics: Array<{ level: 'error'|'warning', message: string, column: number }> } }}
+ */
+export function createValidator({ commands = KNOWN_COMMANDS, knownNames = [], policy = null } = {}) {
+  const commandIndex = new Map(Object.keys(commands).map((name) => [name.toLowerCase(), name]));
+  const defined = new Set(knownNames);
+
+  function checkCall(node, diagnostics) {
+    if (node.bracket === '|') return;
+
+    const canonical = commandIndex.get(node.name.toLowerCase());
+    // f'(x)、f''(x) 是已定义函数 f 的导数
+    const userDefined = defined.has(node.name) || defined.has(node.name.replace(/'+$/, ''));
+    const isLowerCase = /^[a-z]/.test(node.name);
+
+    if (node.bracket === '(' && (userDefined || (isLowerCase && KNOWN_FUNCTIONS.has(node.name)))) return;
+
+    if (!canonical) {
+      if (node.bracket === '(' && isLowerCase) {
+        diagnostics.push({ level: 'warning', message: `未定义的函数：${node.name}`, column: node.start });
+      } else {
+        const similar = suggestCommands(node.name, Object.keys(commands));
+        diagnostics.push({
+          level: 'error',
+          message: `未知命令：${node.name}${similar.length ? `（是不是要用 ${similar.join(' / ')}？）` : ''}`,
+          column: node.start,
+          suggestions: similar
+        });
+      }
+      return;
+    }
+
+    const arity = commands[canonical];
+    if (Array.isArray(arity) && (node.args.length < arity[0] || node.args.length > arity[1])) {
+      diagnostics.push({
+        level: 'error',
+        message: `${canonical} 需要 ${formatArity(arity)}参数，实际为 ${node.args.length} 个`,
+        column: node.start
+      });
+    }
+
+    const denied = policy ? policy(canonical, node) : null;
+    if (denied) diagnostics.push({ level: 'error', column: node.start, ...denied });
+  }
+
+  function check(line) {
+    const diagnostics = [];
+    let parsed = null;
+
+    try {
+      parsed = parseLine(line);
+    } catch (e) {
+      if (!(e instanceof GgbSyntaxError)) throw e;
+      diagnostics.push({ level: 'error', message: e.message, column: e.column ?? 0 });
+      return { ok: false, parsed: null, diagnostics };
+    }
+
+    // 函数定义里参数先视为已定义，避免 f(x) = g(x) 之类的误报
+    if (parsed.kind === 'function') {
+      parsed.params.forEach((p) => defined.add(p));
+    }
+
+    walk(parsed.ast, (node) => {
+      if (node.type === 'call') checkCall(node, diagnostics);
+    });
+
+    const ok = !diagnostics.some((d) => d.level === 'error');
+    if (ok && parsed.name) defined.add(parsed.name);
+
+    return { ok, parsed, diagnostics };
+  }
+
+  return { check };
+}
+
+/**
+ * 收集若干行命令定义的对象名（赋值、带标签的方程、函数），无法解析的行跳过。
+ */
+export function definedNames(lines) {
+  const names = [];
+  for (const line of Array.isArray(lines) ? lines : []) {
+    try {
+      const { name } = parseLine(line);
+      if (name) names.push(name);
+    } catch {
+      // 忽略语法错误的行
+    }
+  }
+  return names;
+}
+
+/**
+ * 按映射表改名：renames 为 Map 或对象（旧名 → 新名），一行里的所有标识符同时替换，
+ * 所以 A→A_1、A_1→A_2 这样的链式映射不会叠加。字符串里的同名文字不受影响，词法错误的行原样返回。
+ */
+export function renameIdentifiers(line, renames) {
+  const map = renames instanceof Map ? renames : new Map(Object.entries(renames || {}));
+  const src = String(line ?? '');
+  let tokens;
+  try {
+    tokens = tokenize(src);
+  } catch {
+    return src;
+  }
+  let out = '';
+  let pos = 0;
+  for (const t of tokens) {
+    if (t.type !== 'ident' || !map.has(t.value)) continue;
+    out += src.slice(pos, t.start) + map.get(t.value);
+    pos = t.end;
+  }
+  return out + src.slice(pos);
+}
+
+/**
+ * 批量校验：返回可执行的命令与逐行诊断。
+ * 有 error 的行被剔除；只有 warning 的行保留，但诊断一并返回。
+ *
+ * @returns {{ commands: string[], diagnostics: Array<{ line: number, command: string, level: string, message: string, column: number, rejected: boolean }> }}
+ */
+export function validateCommands(lines, options) {
+  const validator = createValidator(options);
+  const commands = [];
+  const diagnostics = [];
+
+  (Array.isArray(lines) ? lines : []).forEach((command, line) => {
+    const result = validator.check(command);
+    for (const d of result.diagnostics) {
+      diagnostics.push({ line, command, ...d, rejected: !result.ok });
+    }
+    if (result.ok) commands.push(command);
+  });
+
+  return { commands, diagnostics };
+}
@@ -1,11 +1,25 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
-import remarkMath from 'remark-math';
-import rehypeKatex from 'rehype-katex';
 import Geogebra from './components/Geogebra.jsx';
+import Transcript from './components/Transcript.jsx';
+import SessionSidebar from './components/SessionSidebar.jsx';
+import { readNdjson } from './lib/ndjson.js';
+import { captureConstruction, objectNames } from './lib/construction.js';
+import { captureBase64, restoreSnapshot, sameSnapshot, takeSnapshot } from './lib/snapshots.js';
+import { createSessionId, deleteSession, listSessions, loadSession, saveSession } from './lib/sessionStore.js';
+import {
+  appendSharedTurn,
+  createSharedSession,
+  fetchSharedSession,
+  shareLinkFor,
+  sharedIdFromLocation
+} from './lib/sharedSessions.js';
+import { withRepaintSuspended } from './lib/transaction.js';
+import { activeCommands, activeIndices, confirmRedefinition, contextMessages, editedMessages } from './lib/turns.js';
+import { attachErrorCapture, runCommand } from './lib/ggbExec.js';
+import { applyOperation } from './lib/ggbOps.js';
+import { fallbackCatalog, fetchCommandCatalog, normalizeInput } from './lib/commandCatalog.js';
 
-
+const API_BASE = 'http://localhost:3002';
 
 function normalizeCommands(commands) {
   if (!commands) return [];
@@ -23,13 +37,393 @@ export default function App() {
   const [error, setError] = useState('');
   const [explanation, setExplanation] = useState('');
   const [lastCommands, setLastCommands] = useState([]);
+  const [diagnostics, setDiagnostics] = useState([]); // 逐行校验结果与规范化改写记录
+  const [execReport, setExecReport] = useState([]); // 最近一次执行的逐条结果：{ command, ok, labels, error }
+  const [repairStatus, setRepairStatus] = useState('');
+  // 结构化输出（outputMode=json）附带的澄清问题与后续建议；分步说明随回合记入对话记录
+  const [questions, setQuestions] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [structuredOutput, setStructuredOutput] = useState(false);
+  // 一轮执行失败（自动修复也失败）时默认回滚到执行前；勾选后保留已成功执行的部分
+  const [keepPartial, setKeepPartial] = useState(false);
+  // 脚本命令（Execute、Button 等）默认被服务端命令策略拦截；勾选后本次请求放行（部署策略允许时）
+  const [allowScripting, setAllowScripting] = useState(false);
+  const [pendingRequest, setPendingRequest] = useState(''); // 正在生成的这一轮，显示在对话记录末尾
+  const textareaRef = useRef(null);
   const abortRef = useRef(null);
 
-  // 多轮对话：保留最近若干条 user/assistant 消息作为上下文发给后端
-  const HISTORY_KEEP_MESSAGES = 12; // 本地最多保留 6 轮
-  const HISTORY_SEND_MESSAGES = 8; // 每次请求带最近 4 轮，避免 token 过大
-  const [chatHistory, setChatHistory] = useState([]); // { role: 'user'|'assistant', content: string }[]
+  // 模型提供方：空字符串表示使用后端默认（LLM_PROVIDER）
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState('');
+  // 提示词学科：空字符串表示由后端按请求自动识别；可选学科取自默认的提示词模板版本
+  const [subjects, setSubjects] = useState([]);
+  const [subject, setSubject] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_BASE}/api/providers`)
+      .then((res) => (res.ok ? res.json() : { providers: [] }))
+      .then((data) => {
+        if (!cancelled) setProviders(Array.isArray(data?.providers) ? data.providers : []);
+      })
+      .catch(() => {
+        // 后端未启动时忽略，提交时会给出错误
+      });
+    fetch(`${API_BASE}/api/prompts`)
+      .then((res) => (res.ok ? res.json() : { versions: [] }))
+      .then((data) => {
+        const current = (Array.isArray(data?.versions) ? data.versions : []).find((v) => v.version === data.default);
+        if (!cancelled) setSubjects(Array.isArray(current?.subjects) ? current.subjects : []);
+      })
+      .catch(() => {
+        // 同上
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // 命令目录：命令编辑器的补全、悬停说明与校验；后端未启动时先用内置命令表
+  const [commandCatalog, setCommandCatalog] = useState(() => fallbackCatalog());
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCommandCatalog(API_BASE)
+      .then((catalog) => {
+        if (!cancelled) setCommandCatalog(catalog);
+      })
+      .catch(() => {
+        // 保持内置命令表
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // 回合记录：每轮执行前后各存一份画布快照，用于撤销/重做/回到某一轮，同时作为对话记录展示。
+  // index 是已生效的回合数，小于 turns.length 时后面的回合可以重做；新提交会丢弃可重做的部分。
+  // turn: { id, kind: 'ai'|'rerun'|'clear', request, explanation, commands, disabledLines, steps, failedIndex, before, after, messages, excluded }
+  const MAX_TURNS = 30; // 快照是整份 XML，限制数量避免占用过多内存
+  const [timeline, setTimeline] = useState({ turns: [], index: 0 });
+  const turnIdRef = useRef(0);
+
+  // 发给后端的对话历史只取已生效、且没有被移出上下文的回合；
+  // 不在前端截断，服务端按 token 预算保留最近的回合、把更早的压缩成摘要（server/history.js）
+  const chatHistory = useMemo(
+    () =>
+      timeline.turns
+        .slice(0, timeline.index)
+        .filter((t) => !t.excluded)
+        .flatMap(contextMessages),
+    [timeline]
+  );
+
+  const pushTurn = useCallback(
+    (turn) => {
+      turnIdRef.current += 1;
+      const id = turnIdRef.current;
+      setTimeline(({ turns, index }) => {
+        const next = [
+          ...turns.slice(0, index),
+          {
+            explanation: '',
+            commands: [],
+            disabledLines: [],
+            steps: [],
+            failedIndex: -1,
+            collisions: [],
+            operations: [],
+            messages: [],
+            excluded: false,
+            ...turn,
+            id
+          }
+        ].slice(-MAX_TURNS);
+        return { turns: next, index: next.length };
+      });
+    },
+    [MAX_TURNS]
+  );
+
+  // 会话持久化：回合记录变化时把回合与画布（base64）写入 IndexedDB；刷新页面后自动打开最近的会话
+  const [sessionId, setSessionId] = useState(() => createSessionId());
+  const [sessions, setSessions] = useState([]);
+  const [showSessions, setShowSessions] = useState(false);
+  const sessionCreatedAtRef = useRef(Date.now());
+  const sessionRestoredRef = useRef(false); // 首次恢复完成前不自动保存，避免空会话覆盖
+  const skipNextSaveRef = useRef(false); // 打开会话引起的回合变化不需要回写
+  // 分享：当前会话对应的服务端会话 id 与编辑令牌；分享之后新生效的回合会继续追加到服务端
+  const [shareId, setShareId] = useState('');
+  const [shareToken, setShareToken] = useState('');
+  const [shareLink, setShareLink] = useState('');
+  const [sharing, setSharing] = useState(false);
+  const sharedUpToRef = useRef(0); // 已同步到服务端的最大回合 id
+
+  const refreshSessions = useCallback(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(() => {
+        // 不支持 IndexedDB 时侧栏保持为空
+      });
+  }, []);
+
+  const persistSession = useCallback(() => {
+    if (!ggbApi || !timeline.turns.length) return Promise.resolve();
+    const first = timeline.turns.find((t) => t.kind === 'ai') || timeline.turns[0];
+    return saveSession({
+      id: sessionId,
+      title: first.request.slice(0, 40),
+      createdAt: sessionCreatedAtRef.current,
+      updatedAt: Date.now(),
+      turns: timeline.turns,
+      index: timeline.index,
+      construction: captureBase64(ggbApi),
+      shareId,
+      shareToken,
+      sharedUpTo: sharedUpToRef.current
+    }).then(refreshSessions);
+  }, [ggbApi, timeline, sessionId, shareId, shareToken, refreshSessions]);
+
+  useEffect(() => {
+    if (!sessionRestoredRef.current) return;
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return;
+    }
+    persistSession().catch((e) => setError(`保存会话失败：${e?.message || e}`));
+  }, [persistSession]);
+
+  // 用户在回合之间拖动/编辑的结果不会触发回合变化，切到后台时再存一次画布
+  const persistRef = useRef(persistSession);
+  persistRef.current = persistSession;
+  useEffect(() => {
+    const onHide = () => {
+      if (document.visibilityState === 'hidden' && sessionRestoredRef.current) {
+        persistRef.current().catch(() => {});
+      }
+    };
+    document.addEventListener('visibilitychange', onHide);
+    return () => document.removeEventListener('visibilitychange', onHide);
+  }, []);
+
+  const applySession = useCallback(
+    (session) => {
+      const turns = Array.isArray(session.turns) ? session.turns : [];
+      const index = Math.min(Math.max(0, Number(session.index) || 0), turns.length);
+      const last = turns[index - 1];
+      if (session.construction) {
+        restoreSnapshot(ggbApi, { format: 'base64', data: session.construction });
+      } else if (last?.after) {
+        restoreSnapshot(ggbApi, last.after);
+      } else {
+        ggbApi.reset();
+      }
+      skipNextSaveRef.current = true;
+      turnIdRef.current = turns.reduce((max, t) => Math.max(max, t.id || 0), 0);
+      setTimeline({ turns, index });
+      setSessionId(session.id);
+      sessionCreatedAtRef.current = session.createdAt || Date.now();
+      setShareId(session.shareId || '');
+      setShareToken(session.shareToken || '');
+      setShareLink(session.shareId ? shareLinkFor(session.shareId) : '');
+      sharedUpToRef.current = session.sharedUpTo || 0;
+      setError('');
+      setExplanation('');
+      setLastCommands([]);
+      setDiagnostics([]);
+      setExecReport([]);
+      setQuestions([]);
+      setSuggestions([]);
+    },
+    [ggbApi]
+  );
+
+  // 打开分享链接（?session=<id>）：服务端会话复制成一个新的本地会话，之后的修改不会写回分享者的会话
+  const openSharedSession = useCallback(
+    async (id) => {
+      const shared = await fetchSharedSession(API_BASE, id);
+      let turnId = 0;
+      const turns = (shared.turns || []).map((t) => {
+        turnId += 1;
+        return {
+          id: turnId,
+          kind: 'ai',
+          request: t.request,
+          explanation: t.explanation || '',
+          commands: t.commands || [],
+          steps: t.steps || [],
+          failedIndex: -1,
+          before: null,
+          after: null,
+          messages: [
+            { role: 'user', content: t.request },
+            { role: 'assistant', content: t.explanation || '' }
+          ],
+          excluded: false
+        };
+      });
+      // 服务端只保存最终构造，所以只有最后一轮能恢复；更早的回合仅作记录展示
+      if (turns.length && shared.construction) turns[turns.length - 1].after = { format: 'xml', data: shared.construction };
+      applySession({ id: createSessionId(), createdAt: Date.now(), turns, index: turns.length });
+      if (!turns.length && shared.construction) restoreSnapshot(ggbApi, { format: 'xml', data: shared.construction });
+      skipNextSaveRef.current = false; // 立即存一份本地副本
+
+      const url = new URL(window.location.href);
+      url.searchParams.delete('session');
+      window.history.replaceState(null, '', url.toString());
+    },
+    [ggbApi, applySession]
+  );
+
+  useEffect(() => {
+    if (!ggbApi || sessionRestoredRef.current) return;
+    let cancelled = false;
+    const sharedId = sharedIdFromLocation();
+    const restore = sharedId
+      ? openSharedSession(sharedId)
+      : listSessions().then(async (list) => {
+          setSessions(list);
+          const session = list.length ? await loadSession(list[0].id) : null;
+          if (!cancelled && session) applySession(session);
+        });
+    restore
+      .catch((e) => {
+        // 不支持 IndexedDB 或数据损坏时从空白会话开始；分享链接打不开时提示原因
+        if (!cancelled && sharedId) setError(`打开分享的会话失败：${e?.message || e}`);
+      })
+      .finally(() => {
+        if (!cancelled) sessionRestoredRef.current = true;
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ggbApi, applySession, openSharedSession]);
+
+  const onOpenSession = useCallback(
+    async (id) => {
+      try {
+        await persistSession();
+        const session = await loadSession(id);
+        if (!session) throw new Error('会话不存在或已被删除');
+        applySession(session);
+      } catch (e) {
+        setError(`打开会话失败：${e?.message || e}`);
+      }
+    },
+    [persistSession, applySession]
+  );
+
+  const onNewSession = useCallback(async () => {
+    try {
+      await persistSession();
+    } catch (e) {
+      setError(`保存会话失败：${e?.message || e}`);
+    }
+    try {
+      ggbApi?.reset();
+    } catch {
+      // ignore
+    }
+    skipNextSaveRef.current = true;
+    turnIdRef.current = 0;
+    setTimeline({ turns: [], index: 0 });
+    setSessionId(createSessionId());
+    sessionCreatedAtRef.current = Date.now();
+    setShareId('');
+    setShareToken('');
+    setShareLink('');
+    sharedUpToRef.current = 0;
+    setExplanation('');
+    setLastCommands([]);
+    setDiagnostics([]);
+    setExecReport([]);
+    setQuestions([]);
+    setSuggestions([]);
+  }, [ggbApi, persistSession]);
+
+  const onDeleteSession = useCallback(
+    async (id) => {
+      try {
+        await deleteSession(id);
+        if (id === sessionId) {
+          // 删除当前会话后换一个新的会话 id，画布保持不动
+          skipNextSaveRef.current = true;
+          turnIdRef.current = 0;
+          setTimeline({ turns: [], index: 0 });
+          setSessionId(createSessionId());
+          sessionCreatedAtRef.current = Date.now();
+          setShareId('');
+          setShareToken('');
+          setShareLink('');
+          sharedUpToRef.current = 0;
+        }
+        refreshSessions();
+      } catch (e) {
+        setError(`删除会话失败：${e?.message || e}`);
+      }
+    },
+    [sessionId, refreshSessions]
+  );
+
+  const copyShareLink = useCallback(async (link) => {
+    try {
+      await navigator.clipboard.writeText(link);
+      return true;
+    } catch {
+      return false;
+    }
+  }, []);
 
+  // 分享当前会话：上传已生效的回合与当前构造（XML），得到 ?session=<id> 链接
+  const onShare = useCallback(async () => {
+    if (!ggbApi) return;
+    if (shareId) {
+      const link = shareLinkFor(shareId);
+      setShareLink(link);
+      await copyShareLink(link);
+      return;
+    }
+    const applied = timeline.turns.slice(0, timeline.index);
+    if (!applied.length) {
+      setError('还没有可分享的内容，先提交一个请求');
+      return;
+    }
+    setSharing(true);
+    setError('');
+    try {
+      const first = applied.find((t) => t.kind === 'ai') || applied[0];
+      const { session: shared, editToken } = await createSharedSession(API_BASE, {
+        title: first.request.slice(0, 40),
+        turns: applied,
+        construction: ggbApi.getXML()
+      });
+      sharedUpToRef.current = applied[applied.length - 1].id;
+      setShareId(shared.id);
+      setShareToken(editToken || '');
+      const link = shareLinkFor(shared.id);
+      setShareLink(link);
+      await copyShareLink(link);
+    } catch (e) {
+      setError(`分享失败：${e?.message || e}`);
+    } finally {
+      setSharing(false);
+    }
+  }, [ggbApi, shareId, timeline, copyShareLink]);
+
+  // 分享之后新生效的回合逐个追加到服务端；撤销/回退不会删除服务端已有的回合。
+  // 没有编辑令牌（旧版本分享的会话）时只保留链接，不再同步
+  useEffect(() => {
+    if (!shareId || !shareToken || !ggbApi) return;
+    const pending = timeline.turns.slice(0, timeline.index).filter((t) => t.id > sharedUpToRef.current);
+    if (!pending.length) return;
+    sharedUpToRef.current = pending[pending.length - 1].id;
+    const construction = ggbApi.getXML();
+    (async () => {
+      for (const turn of pending) {
+        await appendSharedTurn(API_BASE, shareId, shareToken, { turn, construction });
+      }
+    })().catch((e) => setError(`同步分享会话失败：${e?.message || e}`));
+  }, [shareId, shareToken, ggbApi, timeline]);
 
   // AI 对话框：固定尺寸 + 可拖动位置（px）
   const PANEL_W = 330;
@@ -119,6 +513,9 @@ export default function App() {
     setPanelDragging(false);
   }, []);
 
+  // 画布上的对象名（命令编辑器据此判断引用的对象是否存在）；每轮执行、撤销或重做后重新读取
+  const canvasNames = useMemo(() => objectNames(ggbApi), [ggbApi, timeline, execReport]);
+
   const readyBadge = useMemo(() => (ggbApi ? 'GeoGebra 已就绪' : 'GeoGebra 未就绪'), [ggbApi]);
 
 
@@ -130,32 +527,103 @@ export default function App() {
     }
   }, []);
 
-  const executeCommands = useCallback(
-    (commands) => {
-      const cmds = normalizeCommands(commands);
+  const evalCommandOrThrow = useCallback(
+    (cmd) => {
       if (!ggbApi) {
         throw new Error('GeoGebra 尚未就绪，请稍等 applet 加载完成');
       }
-      if (cmds.length === 0) {
-        throw new Error('没有可执行的 GeoGebra 命令');
+      const report = runCommand(ggbApi, cmd, { commands: commandCatalog.arity });
+      setExecReport((prev) => [...prev, report]);
+      if (!report.ok) {
+        const err = new Error(`命令执行失败：${cmd}（${report.error}）`);
+        err.command = cmd;
+        err.reason = report.error;
+        throw err;
       }
+      return report;
+    },
+    [ggbApi, commandCatalog]
+  );
 
-      // 尽量按顺序执行；一旦失败就中止并抛错
-      for (const cmd of cmds) {
-        const ok = ggbApi.evalCommand(cmd);
-        if (!ok) {
-          throw new Error(`命令执行失败：${cmd}`);
+  // 自动修复：把失败命令、已执行命令和报错发给后端，按模型给出的续写从失败处继续执行。
+  // 次数由后端按翻译结果的 repairId 计数（maxAttempts），超过后放弃并把最后的错误抛给调用方。
+  const repairAndResume = useCallback(
+    async ({ request, history, repairId, applied, failure, remaining, signal }) => {
+      const done = [...applied];
+      let current = failure;
+      let rest = remaining;
+      const notes = [];
+
+      for (let attempt = 1; ; attempt += 1) {
+        setRepairStatus(`自动修复中（第 ${attempt} 次）…`);
+        const res = await fetch(`${API_BASE}/api/repair`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            text: request,
+            history,
+            construction: captureConstruction(ggbApi),
+            appliedCommands: done,
+            failedCommand: current.command,
+            failedIndex: current.index,
+            error: current.reason,
+            remainingCommands: rest,
+            repairId,
+            provider: provider || undefined,
+            subject: subject || undefined,
+            allowScripting
+          }),
+          signal
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          throw new Error(data?.error || `自动修复失败（HTTP ${res.status}）`);
         }
-      }
 
-      setLastCommands(cmds);
+        const fixed = normalizeCommands(data.commands);
+        if (fixed.length === 0) {
+          throw new Error(data?.explanation || '模型没有给出修正后的命令');
+        }
+        if (data.explanation) notes.push(String(data.explanation).trim());
+
+        let nextFailure = null;
+        withRepaintSuspended(ggbApi, () => {
+          for (let i = 0; i < fixed.length; i += 1) {
+            try {
+              evalCommandOrThrow(fixed[i]);
+              done.push(fixed[i]);
+            } catch (err) {
+              nextFailure = { command: fixed[i], index: done.length, reason: err?.reason || err?.message, message: err?.message };
+              rest = fixed.slice(i + 1);
+              break;
+            }
+          }
+        });
+
+        if (!nextFailure) {
+          return { commands: done, notes };
+        }
+        if ((data.attempt || attempt) >= (data.maxAttempts || 1)) {
+          const err = new Error(`自动修复 ${attempt} 次后仍失败：${nextFailure.message}`);
+          err.commands = done;
+          err.failure = nextFailure;
+          throw err;
+        }
+        current = nextFailure;
+      }
     },
-    [ggbApi]
+    [evalCommandOrThrow, ggbApi, provider, subject, allowScripting]
   );
 
   const onSubmit = useCallback(async () => {
     setError('');
     setExplanation('');
+    setLastCommands([]);
+    setDiagnostics([]);
+    setExecReport([]);
+    setRepairStatus('');
+    setQuestions([]);
+    setSuggestions([]);
 
     const trimmed = text.trim();
     if (!trimmed) {
@@ -170,65 +638,411 @@ export default function App() {
     abortRef.current = controller;
 
     setLoading(true);
+    setPendingRequest(trimmed);
+    // 一轮执行视为一个事务：先记下执行前的状态，失败时整体回滚（除非用户选择保留部分结果）
+    const before = takeSnapshot(ggbApi);
+    let messages = null;
+    // 记入对话记录的本轮结果
+    const result = { explanation: '', commands: [], steps: [], failedIndex: -1, collisions: [], operations: [] };
+
+    // 返回画布是否已处于执行前的状态
+    const rollback = () => {
+      if (keepPartial || !before) return false;
+      if (sameSnapshot(before, takeSnapshot(ggbApi))) return true;
+      try {
+        withRepaintSuspended(ggbApi, () => restoreSnapshot(ggbApi, before));
+        return true;
+      } catch {
+        return false;
+      }
+    };
     try {
-      const historyToSend = chatHistory.slice(-HISTORY_SEND_MESSAGES);
-      const res = await fetch('http://localhost:3002/api/translate', {
+      const res = await fetch(`${API_BASE}/api/translate/stream`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text: trimmed, history: historyToSend }),
+        body: JSON.stringify({
+          text: trimmed,
+          history: chatHistory,
+          // 画布实际状态（含用户拖动、手动编辑的结果），后端据此生成摘要注入提示词
+          construction: captureConstruction(ggbApi),
+          provider: provider || undefined,
+          subject: subject || undefined,
+          outputMode: structuredOutput ? 'json' : undefined,
+          allowScripting
+        }),
         signal: controller.signal
       });
 
-
-      const data = await res.json().catch(() => ({}));
       if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
         throw new Error(data?.error || `AI 服务错误（HTTP ${res.status}）`);
       }
 
+      // 流式：解释边到边渲染；代码块每完成一行就立即执行。整个流期间暂停重绘，结束或中止后一次性重绘。
+      // 第一条失败后停止执行，记录失败点，等完整结果到达后再发起自动修复。
+      const streamed = [];
+      const applied = [];
+      let failure = null;
+      let data = null;
+
+      const tryRun = (cmd) => {
+        if (failure) return;
+        try {
+          evalCommandOrThrow(cmd);
+          applied.push(cmd);
+        } catch (err) {
+          failure = { command: cmd, index: applied.length, reason: err?.reason || err?.message, message: err?.message };
+          setError(err?.message || '命令执行失败');
+        }
+      };
+
+      await withRepaintSuspended(ggbApi, () =>
+        readNdjson(res, (evt) => {
+          if (evt.type === 'explanation') {
+            setExplanation((prev) => prev + evt.delta);
+          } else if (evt.type === 'command') {
+            streamed.push(evt.command);
+            setLastCommands([...streamed]);
+            tryRun(evt.command);
+          } else if (evt.type === 'diagnostic') {
+            setDiagnostics((prev) => [...prev, evt]);
+          } else if (evt.type === 'done') {
+            data = evt;
+          } else if (evt.type === 'error') {
+            throw new Error(evt.error || 'AI 服务异常');
+          }
+        })
+      );
+
+      if (!data) {
+        throw new Error('AI 服务连接中断，结果不完整');
+      }
+
       const cmds = normalizeCommands(data.commands);
+      let explanationMd = String(data.explanation || '').trim();
       setExplanation(data.explanation || '');
       setLastCommands(cmds);
+      setDiagnostics(Array.isArray(data.diagnostics) ? data.diagnostics : []);
+      result.commands = cmds;
+      result.steps = Array.isArray(data.steps) ? data.steps : [];
+      // 与已有对象重名、服务端拿不准用户是否想覆盖的，先改了名，在对话记录里请用户确认
+      result.collisions = (Array.isArray(data.collisions) ? data.collisions : []).filter((c) => c.kind === 'confirm');
+      setQuestions(Array.isArray(data.clarificationQuestions) ? data.clarificationQuestions : []);
+      setSuggestions(Array.isArray(data.suggestions) ? data.suggestions : []);
 
-      // 把本轮对话记入历史，供下一轮续写（assistant 内容包含解释 + geogebra 命令块）
-      const assistantMd = `${String(data.explanation || '').trim()}${cmds.length ? `\n\n\`\`\`geogebra\n${cmds.join('\n')}\n\`\`\`` : ''}`.trim();
-      setChatHistory((prev) => {
-        const next = [
-          ...prev,
-          { role: 'user', content: trimmed },
-          ...(assistantMd ? [{ role: 'assistant', content: assistantMd }] : [])
-        ];
-        return next.slice(-HISTORY_KEEP_MESSAGES);
-      });
+      // 正常情况下命令已在流中逐条执行；这里只补齐流中未出现的剩余命令
+      withRepaintSuspended(ggbApi, () => cmds.slice(streamed.length).forEach(tryRun));
 
-      // 允许 AI 先提出澄清问题（此时可能没有可执行命令）
+      let finalCmds = cmds;
+      if (failure) {
+        try {
+          const repaired = await repairAndResume({
+            request: trimmed,
+            history: chatHistory,
+            repairId: data.repairId,
+            applied,
+            failure,
+            remaining: cmds.slice(failure.index + 1),
+            signal: controller.signal
+          });
+          finalCmds = repaired.commands;
+          setLastCommands(finalCmds);
+          result.commands = finalCmds;
+          if (repaired.notes.length) {
+            explanationMd = `${explanationMd}\n\n> 自动修复：${repaired.notes.join(' ')}`.trim();
+          }
+          setError('');
+        } catch (err) {
+          if (err?.name === 'AbortError') throw err;
+          // 报告最后一次失败的那一行：修复过的话是修复后的命令，否则是原始命令
+          const last = err?.failure || failure;
+          const rolledBack = rollback();
+          finalCmds = rolledBack ? [] : err?.commands || applied;
+          result.commands = [...(err?.commands || applied), last.command];
+          result.failedIndex = last.index;
+          setLastCommands(result.commands);
+          setError(
+            `第 ${last.index + 1} 条命令执行失败：${last.command}（${last.reason || '未知原因'}）；${err?.message || '自动修复失败'}。` +
+              (rolledBack ? '已回滚到本轮执行前的状态，可勾选“保留部分结果”后重试。' : '已保留成功执行的部分。')
+          );
+          explanationMd = `${explanationMd}\n\n> ${rolledBack ? '本轮命令执行失败，已回滚。' : `本轮只执行了前 ${finalCmds.length} 条命令。`}`.trim();
+        }
+        setExplanation(explanationMd);
+        // 修复后的命令不再对应原来的分步说明
+        result.steps = [];
+      }
+
+      // 编辑操作（删除、重新定义、改样式、显示/隐藏、设数值）在命令之后执行；
+      // 等价的 GeoGebra 命令并入本轮命令，重新执行、编辑与分享时照样生效
+      const operations = Array.isArray(data.operations) ? data.operations : [];
+      if (operations.length && result.failedIndex < 0) {
+        const reports = withRepaintSuspended(ggbApi, () =>
+          operations.map((op) => applyOperation(ggbApi, op, { commands: commandCatalog.arity }))
+        );
+        setExecReport((prev) => [...prev, ...reports]);
+        const done = operations.filter((_, i) => reports[i].ok);
+        result.operations = done.map((op) => op.summary);
+        result.commands = [...result.commands, ...done.flatMap((op) => op.commands)];
+        setLastCommands(result.commands);
+        const failed = reports.filter((r) => !r.ok);
+        if (failed.length) {
+          setError(`有 ${failed.length} 项修改未能执行：${failed.map((r) => `${r.command}（${r.error}）`).join('；')}`);
+        }
+      }
+      result.explanation = explanationMd;
 
-      if (cmds.length > 0) {
-        executeCommands(cmds);
-      } else if (data?.needClarification) {
+      // 把本轮对话记入历史，供下一轮理解上下文。只记解释：画布上有什么以每次请求附带的画布状态为准，
+      // 历史里的旧命令在用户拖动/编辑后会过时，留着反而误导模型。
+      const assistantMd = explanationMd;
+      messages = [{ role: 'user', content: trimmed }, ...(assistantMd ? [{ role: 'assistant', content: assistantMd }] : [])];
+
+      // 允许 AI 先提出澄清问题（此时可能没有可执行命令）
+      if (cmds.length === 0 && data?.needClarification) {
         setError('请根据上方解释补充信息后再提交。');
       }
 
     } catch (e) {
       if (e?.name === 'AbortError') return;
-      setError(e?.message || '请求失败');
+      // 流中途出错时画布上可能只有一半的构造，同样按事务回滚
+      const changed = !sameSnapshot(before, takeSnapshot(ggbApi));
+      const rolledBack = changed && rollback();
+      setError(`${e?.message || '请求失败'}${rolledBack ? '（已回滚本轮已执行的命令）' : ''}`);
     } finally {
+      setRepairStatus('');
       setLoading(false);
+      setPendingRequest('');
+      // 请求中途失败但已执行了部分命令时也记一轮，保证可以撤销；被新提交打断的请求交给新请求处理
+      if (!controller.signal.aborted) {
+        const after = takeSnapshot(ggbApi);
+        if (messages || !sameSnapshot(before, after)) {
+          pushTurn({ kind: 'ai', request: trimmed, ...result, before, after, messages: messages || [] });
+        }
+      }
     }
-  }, [executeCommands, text, chatHistory, HISTORY_KEEP_MESSAGES, HISTORY_SEND_MESSAGES]);
+  }, [
+    ggbApi,
+    evalCommandOrThrow,
+    repairAndResume,
+    pushTurn,
+    text,
+    chatHistory,
+    provider,
+    subject,
+    structuredOutput,
+    keepPartial,
+    allowScripting,
+    commandCatalog
+  ]);
+
+  const restoreTurn = useCallback(
+    (snapshot, index) => {
+      try {
+        restoreSnapshot(ggbApi, snapshot);
+        setTimeline((prev) => ({ ...prev, index }));
+        setError('');
+      } catch (e) {
+        setError(e?.message || '恢复快照失败');
+      }
+    },
+    [ggbApi]
+  );
+
+  const onUndo = useCallback(() => {
+    const { turns, index } = timeline;
+    if (index > 0) restoreTurn(turns[index - 1].before, index - 1);
+  }, [timeline, restoreTurn]);
+
+  const onRedo = useCallback(() => {
+    const { turns, index } = timeline;
+    if (index < turns.length) restoreTurn(turns[index].after, index + 1);
+  }, [timeline, restoreTurn]);
+
+  // 回到某一轮刚执行完的状态；之后的回合保留为可重做
+  const onRevertTo = useCallback(
+    (i) => {
+      const turn = timeline.turns[i];
+      if (turn) restoreTurn(turn.after, i + 1);
+    },
+    [timeline, restoreTurn]
+  );
+
+  // 按事务执行一组命令：可先恢复到 base 快照再执行；失败时（未勾选“保留部分结果”）回到执行前的画布
+  const executeCommands = useCallback(
+    (commands, base = null) => {
+      setError('');
+      setExecReport([]);
+      const before = takeSnapshot(ggbApi);
+      let failure = null;
+      withRepaintSuspended(ggbApi, () => {
+        if (base) restoreSnapshot(ggbApi, base);
+        for (let i = 0; i < commands.length; i += 1) {
+          try {
+            evalCommandOrThrow(commands[i]);
+          } catch (err) {
+            failure = { index: i, command: commands[i], reason: err?.reason || err?.message };
+            break;
+          }
+        }
+      });
+
+      let rolledBack = false;
+      if (failure) {
+        if (!keepPartial && before) {
+          try {
+            withRepaintSuspended(ggbApi, () => restoreSnapshot(ggbApi, before));
+            rolledBack = true;
+          } catch {
+            // ignore
+          }
+        }
+        setError(
+          `第 ${failure.index + 1} 条命令执行失败：${failure.command}（${failure.reason || '未知原因'}）。` +
+            (rolledBack ? '已回滚到执行前的状态。' : '已保留成功执行的部分。')
+        );
+      }
+      return { before, failure, rolledBack };
+    },
+    [ggbApi, evalCommandOrThrow, keepPartial]
+  );
+
+  // 在当前画布上重新执行一组命令，作为新的一轮记录
+  const rerunAsTurn = useCallback(
+    (request, commands) => {
+      const { before, failure } = executeCommands(commands);
+      pushTurn({
+        kind: 'rerun',
+        request,
+        commands,
+        failedIndex: failure ? failure.index : -1,
+        before,
+        after: takeSnapshot(ggbApi)
+      });
+    },
+    [ggbApi, executeCommands, pushTurn]
+  );
+
+  const onRerun = useCallback(
+    (turn) => {
+      const commands = activeCommands(turn);
+      if (!ggbApi || !commands.length) return;
+      rerunAsTurn(`重新执行：${turn.request}`, commands);
+    },
+    [ggbApi, rerunAsTurn]
+  );
+
+  // 手动编辑命令：先规范化（改写记录显示在诊断列表里），再写回这一轮（清掉失败标记与分步说明），
+  // 并更新这一轮在对话历史中的内容
+  const onEditCommands = useCallback(
+    (turn, { commands: edited, disabledLines }) => {
+      const { commands, diagnostics: rewrites } = normalizeInput(commandCatalog, edited, objectNames(ggbApi));
+      if (rewrites.length) setDiagnostics(rewrites);
+      setTimeline((prev) => ({
+        ...prev,
+        turns: prev.turns.map((t) => {
+          if (t.id !== turn.id) return t;
+          const next = { ...t, commands, disabledLines, failedIndex: -1, steps: [] };
+          const changed = activeCommands(next).join('\n') !== activeCommands(t).join('\n');
+          return changed ? { ...next, messages: editedMessages(t, activeCommands(next)) } : next;
+        })
+      }));
+    },
+    [commandCatalog, ggbApi]
+  );
+
+  // 运行编辑后的命令：lines 为选中行的下标，null 表示全部启用的行。
+  // 全部运行当前这一轮时在原地重放（先回到这一轮执行前的快照），否则在当前画布上作为新的一轮执行。
+  const onRunCommands = useCallback(
+    (turn, lines) => {
+      if (!ggbApi) return;
+      const indices = lines || activeIndices(turn);
+      const commands = indices.map((i) => turn.commands[i]);
+      if (!commands.length) return;
+
+      const isCurrent = timeline.turns[timeline.index - 1]?.id === turn.id;
+      if (lines || !isCurrent || !turn.before) {
+        rerunAsTurn(`${lines ? `运行选中的 ${commands.length} 条命令` : '运行修改后的命令'}：${turn.request}`, commands);
+        return;
+      }
+
+      let result;
+      try {
+        result = executeCommands(commands, turn.before);
+      } catch (e) {
+        setError(e?.message || '恢复快照失败');
+        return;
+      }
+      const { failure, rolledBack } = result;
+      const after = rolledBack ? turn.after : takeSnapshot(ggbApi);
+      setTimeline((prev) => ({
+        ...prev,
+        turns: prev.turns.map((t) =>
+          t.id === turn.id ? { ...t, after, failedIndex: failure ? indices[failure.index] : -1 } : t
+        )
+      }));
+    },
+    [ggbApi, timeline, executeCommands, rerunAsTurn]
+  );
+
+  // 重名确认：用户要的就是修改原来的对象，把改掉的名字改回去并重放这一轮；或者保留改名，只收起提示
+  const onConfirmRedefine = useCallback(
+    (turn, collision) => {
+      const next = confirmRedefinition(turn, collision);
+      setTimeline((prev) => ({ ...prev, turns: prev.turns.map((t) => (t.id === turn.id ? next : t)) }));
+      onRunCommands(next, null);
+    },
+    [onRunCommands]
+  );
+
+  const onKeepRename = useCallback((turn, collision) => {
+    setTimeline((prev) => ({
+      ...prev,
+      turns: prev.turns.map((t) =>
+        t.id === turn.id ? { ...t, collisions: (t.collisions || []).filter((c) => c.name !== collision.name) } : t
+      )
+    }));
+  }, []);
+
+  const onCopyCommands = useCallback(async (turn) => {
+    try {
+      await navigator.clipboard.writeText(activeCommands(turn).join('\n'));
+    } catch {
+      setError('复制失败：浏览器不允许访问剪贴板');
+    }
+  }, []);
+
+  // 把这一轮的请求放回输入框，修改后重新提交
+  const onEditPrompt = useCallback((turn) => {
+    setText(turn.request);
+    textareaRef.current?.focus();
+  }, []);
+
+  // 移出/恢复上下文：只影响发给后端的对话历史，不改动画布
+  const onToggleContext = useCallback((turn) => {
+    setTimeline((prev) => ({
+      ...prev,
+      turns: prev.turns.map((t) => (t.id === turn.id ? { ...t, excluded: !t.excluded } : t))
+    }));
+  }, []);
 
 
   const onClear = useCallback(() => {
     setError('');
     setExplanation('');
     setLastCommands([]);
+    setDiagnostics([]);
+    setExecReport([]);
+    setQuestions([]);
+    setSuggestions([]);
     if (!ggbApi) return;
+    const before = takeSnapshot(ggbApi);
     try {
-      // reset 会清空当前构造
+      // reset 会清空当前构造；清空前的快照记为一轮，可以撤销
       ggbApi.reset();
     } catch {
       // ignore
     }
-  }, [ggbApi]);
+    pushTurn({ kind: 'clear', request: '清空画布', before, after: takeSnapshot(ggbApi) });
+  }, [ggbApi, pushTurn]);
 
   return (
     <div className="appRoot">
@@ -252,6 +1066,8 @@ export default function App() {
             } catch {
               // ignore
             }
+            // 关闭错误弹窗，改为收集 GeoGebra 的报错文本显示在执行结果里
+            attachErrorCapture(api);
             // 初始给个干净视图
             try {
               api.setCoordSystem(-10, 10, -7.5, 7.5);
@@ -263,6 +1079,18 @@ export default function App() {
         />
       </div>
 
+      {showSessions ? (
+        <SessionSidebar
+          sessions={sessions}
+          currentId={sessionId}
+          busy={loading || !ggbApi}
+          onOpen={onOpenSession}
+          onDelete={onDeleteSession}
+          onNew={onNewSession}
+          onClose={() => setShowSessions(false)}
+        />
+      ) : null}
+
       <div
         className={`floatingPanel${panelDragging ? ' dragging' : ''}`}
         role="dialog"
@@ -283,31 +1111,183 @@ export default function App() {
 
         <div className="panelBody">
           <div className="small">输入示例：画一个椭圆 / 圆上做一个点并沿圆周运动 / 画抛物线并用滑块控制开口大小</div>
-          <textarea value={text} onChange={(e) => setText(e.target.value)} placeholder='例如:"画一个椭圆"' />
+          <textarea
+            ref={textareaRef}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder='例如:"画一个椭圆"'
+          />
+
+          <div className="row options">
+            <label className="toggle" title="让模型输出 JSON（分步说明、澄清问题、后续建议）">
+              <input
+                type="checkbox"
+                checked={structuredOutput}
+                onChange={(e) => setStructuredOutput(e.target.checked)}
+                disabled={loading}
+              />
+              分步
+            </label>
+            <label className="toggle" title="命令执行失败且自动修复不成功时，保留已成功执行的部分，而不是回滚整轮">
+              <input
+                type="checkbox"
+                checked={keepPartial}
+                onChange={(e) => setKeepPartial(e.target.checked)}
+                disabled={loading}
+              />
+              保留部分结果
+            </label>
+            <label className="toggle" title="允许 Execute、Button、RunClickScript 等脚本命令；服务端部署策略禁止时仍会拦截">
+              <input
+                type="checkbox"
+                checked={allowScripting}
+                onChange={(e) => setAllowScripting(e.target.checked)}
+                disabled={loading}
+              />
+              允许脚本命令
+            </label>
+            <button type="button" className="sessionsToggle" onClick={() => setShowSessions((v) => !v)}>
+              会话{sessions.length ? `（${sessions.length}）` : ''}
+            </button>
+            <button
+              type="button"
+              className="shareButton"
+              onClick={onShare}
+              disabled={loading || sharing || !ggbApi}
+              title={shareId ? '复制分享链接' : '上传当前会话并生成分享链接'}
+            >
+              {sharing ? '分享中…' : '分享'}
+            </button>
+          </div>
+
+          {shareLink ? (
+            <div className="small shareLink">
+              分享链接：
+              <a href={shareLink} target="_blank" rel="noreferrer">
+                {shareLink}
+              </a>
+            </div>
+          ) : null}
 
           <div className="row">
+            {providers.length ? (
+              <select
+                className="providerSelect"
+                value={provider}
+                onChange={(e) => setProvider(e.target.value)}
+                disabled={loading}
+                aria-label="模型提供方"
+              >
+                <option value="">默认模型</option>
+                {providers.map((p) => (
+                  <option key={p.name} value={p.name}>
+                    {p.label}
+                    {p.configured ? '' : '（未配置）'}
+                  </option>
+                ))}
+              </select>
+            ) : null}
+            {subjects.length ? (
+              <select
+                className="providerSelect"
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+                disabled={loading}
+                aria-label="学科"
+              >
+                <option value="">自动识别学科</option>
+                {subjects.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+            ) : null}
             <button onClick={onClear} disabled={!ggbApi || loading}>
               清空
             </button>
             <button className="primary" onClick={onSubmit} disabled={loading}>
-              {loading ? '生成中…' : '提交给 AI'}
+              {loading ? repairStatus || '生成中…' : '提交给 AI'}
             </button>
           </div>
 
           {error ? <div className="error">{error}</div> : null}
 
-          {explanation ? (
-            <div className="output markdown" aria-label="AI 解释">
-              <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
-                {explanation}
-              </ReactMarkdown>
-            </div>
+          <Transcript
+            turns={timeline.turns}
+            index={timeline.index}
+            pending={pendingRequest ? { request: pendingRequest, explanation, commands: lastCommands } : null}
+            busy={loading}
+            catalog={commandCatalog}
+            knownNames={canvasNames}
+            actions={{
+              onUndo,
+              onRedo,
+              onRevertTo,
+              onRerun,
+              onCopy: onCopyCommands,
+              onEdit: onEditPrompt,
+              onToggleContext,
+              onEditCommands,
+              onRunCommands,
+              onConfirmRedefine,
+              onKeepRename
+            }}
+          />
+
+          {questions.length ? (
+            <ul className="questions" aria-label="需要补充的信息">
+              {questions.map((q, i) => (
+                <li key={i}>{q}</li>
+              ))}
+            </ul>
+          ) : null}
+
+          {execReport.length ? (
+            <details className="execReport" open={execReport.some((r) => !r.ok)}>
+              <summary>
+                执行结果：{execReport.filter((r) => r.ok).length} 条成功
+                {execReport.some((r) => !r.ok) ? `，${execReport.filter((r) => !r.ok).length} 条失败` : ''}
+              </summary>
+              <ul aria-label="逐条执行结果">
+                {execReport.map((r, i) => (
+                  <li key={i} className={r.ok ? 'ok' : 'failed'}>
+                    <code>{r.command}</code>
+                    <span>
+                      {r.ok
+                        ? r.labels.length
+                          ? `✓ 创建 ${r.labels.join(', ')}`
+                          : '✓ 已执行'
+                        : `✗ ${r.error}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </details>
           ) : null}
 
-          {lastCommands?.length ? (
-            <pre className="commands" aria-label="GeoGebra 命令">
-              <code>{lastCommands.join('\n')}</code>
-            </pre>
+          {diagnostics.length ? (
+            <ul className="diagnostics" aria-label="命令校验结果">
+              {diagnostics.map((d, i) => (
+                <li key={`${d.line}-${i}`} className={d.level}>
+                  <code>{d.kind === 'rewrite' ? `${d.original} → ${d.command}` : d.command}</code>
+                  <span>
+                    {d.rejected ? '已拦截：' : d.kind === 'rewrite' ? '已改写：' : '提示：'}
+                    {d.message}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+
+          {suggestions.length ? (
+            <div className="suggestions" aria-label="接下来可以试试">
+              {suggestions.map((sug, i) => (
+                <button key={i} type="button" onClick={() => setText(sug)} disabled={loading}>
+                  {sug}
+                </button>
+              ))}
+            </div>
           ) : null}
 
         </div>
@@ -0,0 +1,323 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { highlightSegments, lineErrors } from '../lib/ggbHighlight.js';
+import { commandDoc, completeCommands, completionText, similarCommands } from '../lib/commandCatalog.js';
+
+// 命令名带悬停说明（语法 + 示例）；不认识的命令提示相近的命令名
+function HighlightedLine({ text, catalog, commandNames }) {
+  return highlightSegments(text, commandNames).map((seg, i) => {
+    if (!seg.kind) return seg.text;
+    let title;
+    if (seg.kind === 'command') {
+      title = commandDoc(catalog.byName.get(seg.text.toLowerCase()));
+    } else if (seg.kind === 'unknown') {
+      const similar = similarCommands(catalog, seg.text);
+      title = `未知命令：${seg.text}${similar.length ? `\n是不是要用：${similar.join(' / ')}` : ''}`;
+    }
+    return (
+      <span key={i} className={`tok-${seg.kind}`} title={title}>
+        {seg.text}
+      </span>
+    );
+  });
+}
+
+const PLACEHOLDER_RE = /<[^<>]*>/g;
+
+// 光标处正在输入的标识符（补全用）；后面紧跟括号说明命令名已经写完，不再补全
+function wordBeforeCaret(value, caret) {
+  const m = value.slice(0, caret).match(/[A-Za-z][A-Za-z0-9]*$/);
+  if (!m || /^[A-Za-z0-9]/.test(value.slice(caret))) return null;
+  if (/^\s*[([]/.test(value.slice(caret))) return null;
+  return { word: m[0], start: caret - m[0].length };
+}
+
+// 从 from 开始找下一个 <参数> 占位符
+function nextPlaceholder(value, from) {
+  PLACEHOLDER_RE.lastIndex = from;
+  const m = PLACEHOLDER_RE.exec(value) || (from > 0 ? ((PLACEHOLDER_RE.lastIndex = 0), PLACEHOLDER_RE.exec(value)) : null);
+  return m ? [m.index, m.index + m[0].length] : null;
+}
+
+/**
+ * 单行命令输入框：输入命令名时弹出补全（↑↓ 选择，Tab/Enter 确认），确认后插入参数占位符并选中第一个；
+ * 还有占位符时 Tab 跳到下一个。Enter 提交，Esc 关闭补全或取消编辑。
+ */
+function CommandInput({ value, catalog, onChange, onCommit, onCancel }) {
+  const inputRef = useRef(null);
+  const [completion, setCompletion] = useState(null); // { start, word, items, active }
+  const [pendingSelection, setPendingSelection] = useState(null);
+
+  useEffect(() => {
+    if (!pendingSelection || !inputRef.current) return;
+    inputRef.current.setSelectionRange(pendingSelection[0], pendingSelection[1]);
+    setPendingSelection(null);
+  }, [pendingSelection]);
+
+  const refreshCompletion = (nextValue, caret) => {
+    const hit = wordBeforeCaret(nextValue, caret);
+    const items = hit ? completeCommands(catalog, hit.word) : [];
+    const exact = items.length === 1 && items[0].name === hit?.word;
+    setCompletion(items.length && !exact ? { ...hit, items, active: 0 } : null);
+  };
+
+  const accept = (cmd) => {
+    const { start, word } = completion;
+    const insert = completionText(cmd);
+    const next = value.slice(0, start) + insert + value.slice(start + word.length);
+    onChange(next);
+    setCompletion(null);
+    const range = nextPlaceholder(next, start);
+    const end = start + insert.length;
+    setPendingSelection(range && range[0] < end ? range : [end, end]);
+  };
+
+  const onKeyDown = (e) => {
+    if (completion) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const delta = e.key === 'ArrowDown' ? 1 : -1;
+        const n = completion.items.length;
+        setCompletion({ ...completion, active: (completion.active + delta + n) % n });
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        accept(completion.items[completion.active]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setCompletion(null);
+        return;
+      }
+    }
+    if (e.key === 'Tab') {
+      const range = nextPlaceholder(value, e.currentTarget.selectionEnd);
+      if (range) {
+        e.preventDefault();
+        e.currentTarget.setSelectionRange(range[0], range[1]);
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      onCommit();
+    } else if (e.key === 'Escape') {
+      onCancel();
+    }
+  };
+
+  return (
+    <span className="cmdInputWrap">
+      <input
+        ref={inputRef}
+        className="cmdInput"
+        value={value}
+        autoFocus
+        spellCheck={false}
+        onChange={(e) => {
+          onChange(e.target.value);
+          refreshCompletion(e.target.value, e.target.selectionStart);
+        }}
+        onBlur={() => {
+          setCompletion(null);
+          onCommit();
+        }}
+        onKeyDown={onKeyDown}
+        aria-label="编辑命令"
+        aria-autocomplete="list"
+      />
+      {completion ? (
+        <ul className="cmdSuggest" role="listbox">
+          {completion.items.map((cmd, i) => (
+            <li
+              key={cmd.name}
+              role="option"
+              aria-selected={i === completion.active}
+              className={i === completion.active ? 'active' : undefined}
+              // mousedown 先于 blur，阻止默认行为以免输入框失焦提交
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(cmd);
+              }}
+            >
+              <span className="name">{cmd.name}</span>
+              {cmd.zhName ? <span className="zh">{cmd.zhName}</span> : null}
+              {cmd.syntax[0] ? <span className="syntax">{cmd.syntax[0]}</span> : null}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </span>
+  );
+}
+
+// 交换 i 与 j 两行时同步调整下标集合（停用行、选中行）
+function swapIndex(indices, i, j) {
+  return indices.map((k) => (k === i ? j : k === j ? i : k));
+}
+
+// 删除第 i 行后，后面的下标整体前移
+function dropIndex(indices, i) {
+  return indices.filter((k) => k !== i).map((k) => (k > i ? k - 1 : k));
+}
+
+/**
+ * 可编辑的命令块：语法高亮、逐行启用/停用、上下移动、单击行编辑，以及“运行选中”/“全部运行”。
+ * 命令名悬停显示语法与示例，编辑时可补全命令名（目录见 lib/commandCatalog.js）。
+ *
+ * - `commands` / `disabledLines`：回合中的全部命令与被停用行的下标，由上层保存（受控组件）
+ * - `catalog`：命令目录，由 App 从 /api/commands 加载
+ * - `knownNames`：画布上已有的对象名，逐行检查时视为已定义
+ * - `onChange({ commands, disabledLines })`：每次编辑后回写到回合
+ * - `onRun(indices | null)`：运行选中的行（按原顺序的下标）；null 表示运行全部启用的行
+ */
+export default function CommandEditor({
+  commands,
+  disabledLines = [],
+  failedIndex = -1,
+  catalog,
+  knownNames = [],
+  busy,
+  onChange,
+  onRun
+}) {
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(-1); // 正在编辑的行；等于 commands.length 时表示新增一行
+  const [draft, setDraft] = useState('');
+  const cancelledRef = useRef(false); // Esc 取消后输入框卸载时的 blur 不再提交
+
+  const commandNames = useMemo(() => new Set(catalog.byName.keys()), [catalog]);
+  const errors = useMemo(() => lineErrors(commands, knownNames, catalog.arity), [commands, knownNames, catalog]);
+  const disabled = new Set(disabledLines);
+  const runnableSelected = selected.filter((i) => !disabled.has(i)).sort((a, b) => a - b);
+
+  const emit = (nextCommands, nextDisabled) => onChange({ commands: nextCommands, disabledLines: nextDisabled });
+
+  const toggleEnabled = (i) => {
+    emit(commands, disabled.has(i) ? disabledLines.filter((k) => k !== i) : [...disabledLines, i]);
+  };
+
+  const toggleSelected = (i) => {
+    setSelected((prev) => (prev.includes(i) ? prev.filter((k) => k !== i) : [...prev, i]));
+  };
+
+  const move = (i, delta) => {
+    const j = i + delta;
+    if (j < 0 || j >= commands.length) return;
+    const next = [...commands];
+    [next[i], next[j]] = [next[j], next[i]];
+    setSelected((prev) => swapIndex(prev, i, j));
+    emit(next, swapIndex(disabledLines, i, j));
+  };
+
+  const remove = (i) => {
+    setSelected((prev) => dropIndex(prev, i));
+    emit(
+      commands.filter((_, k) => k !== i),
+      dropIndex(disabledLines, i)
+    );
+  };
+
+  const startEdit = (i) => {
+    if (busy) return;
+    cancelledRef.current = false;
+    setEditing(i);
+    setDraft(commands[i] ?? '');
+  };
+
+  const commitEdit = () => {
+    const i = editing;
+    const value = draft.trim();
+    setEditing(-1);
+    if (i < 0 || cancelledRef.current) return;
+    cancelledRef.current = true;
+    if (i >= commands.length) {
+      if (value) emit([...commands, value], disabledLines);
+      return;
+    }
+    if (!value) remove(i);
+    else if (value !== commands[i]) emit(commands.map((c, k) => (k === i ? value : c)), disabledLines);
+  };
+
+  const editorInput = (
+    <CommandInput
+      value={draft}
+      catalog={catalog}
+      onChange={setDraft}
+      onCommit={commitEdit}
+      onCancel={() => {
+        cancelledRef.current = true;
+        setEditing(-1);
+      }}
+    />
+  );
+
+  return (
+    <div className="cmdEditor" aria-label="GeoGebra 命令">
+      <ol>
+        {commands.map((cmd, i) => {
+          const classes = ['cmdLine'];
+          if (disabled.has(i)) classes.push('off');
+          if (selected.includes(i)) classes.push('selected');
+          if (i === failedIndex) classes.push('failedLine');
+          if (errors[i]) classes.push('invalid');
+
+          return (
+            <li key={i} className={classes.join(' ')}>
+              <input
+                type="checkbox"
+                checked={!disabled.has(i)}
+                onChange={() => toggleEnabled(i)}
+                disabled={busy}
+                title={disabled.has(i) ? '启用此行' : '停用此行（运行时跳过）'}
+              />
+              <button
+                type="button"
+                className="lineNo"
+                onClick={() => toggleSelected(i)}
+                title="选中/取消选中，用于“运行选中”"
+              >
+                {i + 1}
+              </button>
+              {editing === i ? (
+                editorInput
+              ) : (
+                <code onClick={() => startEdit(i)} title={errors[i] || undefined}>
+                  <HighlightedLine text={cmd} catalog={catalog} commandNames={commandNames} />
+                </code>
+              )}
+              <span className="lineTools">
+                <button type="button" onClick={() => move(i, -1)} disabled={busy || i === 0} aria-label="上移">
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => move(i, 1)}
+                  disabled={busy || i === commands.length - 1}
+                  aria-label="下移"
+                >
+                  ↓
+                </button>
+                <button type="button" onClick={() => remove(i)} disabled={busy} aria-label="删除此行">
+                  ×
+                </button>
+              </span>
+            </li>
+          );
+        })}
+        {editing === commands.length ? <li className="cmdLine">{editorInput}</li> : null}
+      </ol>
+
+      <div className="cmdEditorActions">
+        <button type="button" onClick={() => startEdit(commands.length)} disabled={busy}>
+          添加一行
+        </button>
+        <button type="button" onClick={() => onRun(runnableSelected)} disabled={busy || !runnableSelected.length}>
+          运行选中{runnableSelected.length ? `（${runnableSelected.length}）` : ''}
+        </button>
+        <button type="button" onClick={() => onRun(null)} disabled={busy || disabled.size === commands.length}>
+          全部运行
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+function formatTime(ts) {
+  try {
+    return new Date(ts).toLocaleString('zh-CN', { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * 会话侧栏：列出 IndexedDB 中保存的会话（标题、更新时间、回合数），可打开、删除或新建。
+ */
+export default function SessionSidebar({ sessions, currentId, busy, onOpen, onDelete, onNew, onClose }) {
+  return (
+    <aside className="sessionSidebar" aria-label="会话列表">
+      <div className="sessionSidebarHeader">
+        <span className="title">会话</span>
+        <button type="button" onClick={onNew} disabled={busy}>
+          新建
+        </button>
+        <button type="button" onClick={onClose} aria-label="关闭会话列表">
+          ×
+        </button>
+      </div>
+
+      {sessions.length ? (
+        <ul>
+          {sessions.map((s) => (
+            <li key={s.id} className={s.id === currentId ? 'current' : undefined}>
+              <button
+                type="button"
+                className="sessionOpen"
+                onClick={() => onOpen(s.id)}
+                disabled={busy || s.id === currentId}
+                title={s.title}
+              >
+                <span className="sessionTitle">{s.title || '未命名会话'}</span>
+                <span className="sessionMeta">
+                  {formatTime(s.updatedAt)} · {s.turnCount} 轮
+                </span>
+              </button>
+              <button type="button" className="sessionDelete" onClick={() => onDelete(s.id)} disabled={busy} aria-label="删除会话">
+                删除
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="small">还没有保存的会话，提交第一个请求后会自动保存。</div>
+      )}
+    </aside>
+  );
+}
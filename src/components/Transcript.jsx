@@ -0,0 +1,187 @@
+import { useEffect, useRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import CommandEditor from './CommandEditor.jsx';
+
+function Markdown({ children }) {
+  return (
+    <div className="output markdown">
+      <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
+        {children}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+function CommandList({ commands, failedIndex = -1 }) {
+  return (
+    <pre className="commands" aria-label="GeoGebra 命令">
+      <code>
+        {commands.map((cmd, i) => (
+          <span key={i} className={i === failedIndex ? 'failedLine' : undefined}>
+            {i ? '\n' : ''}
+            {cmd}
+          </span>
+        ))}
+      </code>
+    </pre>
+  );
+}
+
+function StepList({ steps }) {
+  return (
+    <ol className="steps" aria-label="构造步骤">
+      {steps.map((step, i) => (
+        <li key={i}>
+          <div className="caption">{step.caption || `步骤 ${i + 1}`}</div>
+          <code>{step.commands.join('\n')}</code>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/**
+ * 对话记录：按回合渲染用户请求与助手回复（Markdown + KaTeX），每轮附带操作按钮。
+ *
+ * - `turns` / `index`：App 中的回合时间线，index 之后的回合已被撤销（可重做）
+ * - `pending`：正在生成的一轮 `{ request, explanation, commands }`，没有则为 null
+ * - `catalog`：命令目录（补全与悬停说明），见 lib/commandCatalog.js
+ * - `knownNames`：画布上已有的对象名，命令编辑器的逐行检查把它们视为已定义
+ * - `actions`：`{ onUndo, onRedo, onRevertTo, onRerun, onCopy, onEdit, onToggleContext, onEditCommands, onRunCommands,
+ *   onConfirmRedefine, onKeepRename }`
+ *   命令块可直接编辑（见 CommandEditor）；有分步说明的回合先显示步骤，点“编辑命令”后切换为编辑器
+ *   新对象与画布上已有对象重名且服务端已改名的，在当前回合下提示用户确认（覆盖原对象或保留新名字）
+ *   `turn.operations` 为本轮编辑操作（删除、改样式等）的修改摘要
+ */
+export default function Transcript({ turns, index, pending, busy, catalog, knownNames, actions }) {
+  const endRef = useRef(null);
+
+  // 新回合或流式输出时滚到末尾
+  useEffect(() => {
+    endRef.current?.scrollIntoView?.({ block: 'nearest' });
+  }, [turns.length, pending?.explanation, pending?.commands?.length]);
+
+  if (!turns.length && !pending) return null;
+
+  return (
+    <div className="transcript" aria-label="对话记录">
+      <div className="transcriptHeader">
+        <span>对话记录</span>
+        <button type="button" onClick={actions.onUndo} disabled={busy || !turns[index - 1]?.before}>
+          撤销
+        </button>
+        <button type="button" onClick={actions.onRedo} disabled={busy || !turns[index]?.after}>
+          重做
+        </button>
+      </div>
+
+      {turns.map((turn, i) => {
+        const classes = ['turn', turn.kind];
+        if (i === index - 1) classes.push('current');
+        if (i >= index) classes.push('undone');
+        if (turn.excluded) classes.push('excluded');
+
+        return (
+          <div key={turn.id} className={classes.join(' ')}>
+            <div className="bubble user">{turn.request}</div>
+            {turn.explanation ? <Markdown>{turn.explanation}</Markdown> : null}
+            {turn.steps.length ? (
+              <StepList steps={turn.steps} />
+            ) : turn.commands.length ? (
+              <CommandEditor
+                commands={turn.commands}
+                disabledLines={turn.disabledLines}
+                failedIndex={turn.failedIndex}
+                catalog={catalog}
+                knownNames={knownNames}
+                busy={busy}
+                onChange={(edit) => actions.onEditCommands(turn, edit)}
+                onRun={(lines) => actions.onRunCommands(turn, lines)}
+              />
+            ) : null}
+
+            {turn.operations?.length > 0 ? (
+              <ul className="opSummary" aria-label="本轮修改">
+                {turn.operations.map((summary, k) => (
+                  <li key={k}>{summary}</li>
+                ))}
+              </ul>
+            ) : null}
+
+            {turn.collisions?.length > 0 && i === index - 1 ? (
+              <ul className="collisions" aria-label="重名确认">
+                {turn.collisions.map((c) => (
+                  <li key={c.name}>
+                    <span>
+                      画布上已有 <code>{c.name}</code>，本轮新建的对象已改名为 <code>{c.renamedTo}</code>。要改为修改原来的{' '}
+                      <code>{c.name}</code> 吗？
+                    </span>
+                    <button type="button" onClick={() => actions.onConfirmRedefine(turn, c)} disabled={busy}>
+                      修改原来的 {c.name}
+                    </button>
+                    <button type="button" onClick={() => actions.onKeepRename(turn, c)} disabled={busy}>
+                      保留 {c.renamedTo}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+
+            <div className="turnActions">
+              {turn.commands.length ? (
+                <>
+                  <button type="button" onClick={() => actions.onRerun(turn)} disabled={busy}>
+                    重新执行
+                  </button>
+                  <button type="button" onClick={() => actions.onCopy(turn)}>
+                    复制命令
+                  </button>
+                  {turn.steps.length ? (
+                    <button
+                      type="button"
+                      onClick={() => actions.onEditCommands(turn, { commands: turn.commands, disabledLines: [] })}
+                      disabled={busy}
+                    >
+                      编辑命令
+                    </button>
+                  ) : null}
+                </>
+              ) : null}
+              {turn.kind === 'ai' ? (
+                <>
+                  <button type="button" onClick={() => actions.onEdit(turn)} disabled={busy}>
+                    编辑重发
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => actions.onToggleContext(turn)}
+                    title="只影响发给模型的对话历史，不改动画布"
+                  >
+                    {turn.excluded ? '恢复上下文' : '移出上下文'}
+                  </button>
+                </>
+              ) : null}
+              {i !== index - 1 && turn.after ? (
+                <button type="button" onClick={() => actions.onRevertTo(i)} disabled={busy}>
+                  回到此步
+                </button>
+              ) : null}
+            </div>
+          </div>
+        );
+      })}
+
+      {pending ? (
+        <div className="turn pending">
+          <div className="bubble user">{pending.request}</div>
+          {pending.explanation ? <Markdown>{pending.explanation}</Markdown> : null}
+          {pending.commands.length ? <CommandList commands={pending.commands} /> : null}
+        </div>
+      ) : null}
+      <div ref={endRef} />
+    </div>
+  );
+}
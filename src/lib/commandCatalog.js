@@ -0,0 +1,137 @@
+import { KNOWN_COMMANDS, suggestCommands } from '../../shared/ggbSyntax.mjs';
+import { normalizeCommands, rewriteDiagnostic } from '../../shared/ggbNormalize.mjs';
+
+// 命令目录（/api/commands，取自随附的 GeoGebra 构建）：命令编辑器的补全、悬停说明与“是不是要用”提示都用它。
+// 后端不可用时退回内置的 KNOWN_COMMANDS（只有命令名与参数个数，没有语法说明）。
+
+/**
+ * 把命令列表整理成目录：
+ * { commands, byName: Map<小写命令名, 命令>, zhNames: Map<中文命令名, 英文命令名>, arity: { 命令名: [min, max] } }
+ */
+export function createCatalog(list) {
+  const commands = list.map((cmd) => ({
+    name: cmd.name,
+    zhName: cmd.zhName || null,
+    syntax: cmd.syntax || [],
+    syntax3D: cmd.syntax3D || [],
+    zhSyntax: cmd.zhSyntax || [],
+    arity: [cmd.arity[0], cmd.arity[1] ?? Infinity]
+  }));
+  return {
+    commands,
+    byName: new Map(commands.map((cmd) => [cmd.name.toLowerCase(), cmd])),
+    zhNames: new Map(commands.filter((cmd) => cmd.zhName).map((cmd) => [cmd.zhName, cmd.name])),
+    arity: Object.fromEntries(commands.map((cmd) => [cmd.name, cmd.arity]))
+  };
+}
+
+export function fallbackCatalog() {
+  return createCatalog(Object.entries(KNOWN_COMMANDS).map(([name, arity]) => ({ name, arity })));
+}
+
+export async function fetchCommandCatalog(apiBase) {
+  const res = await fetch(`${apiBase}/api/commands`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !Array.isArray(data?.commands)) throw new Error(data?.error || `命令目录不可用（HTTP ${res.status}）`);
+  return createCatalog(data.commands);
+}
+
+/**
+ * 补全候选：先按前缀匹配英文名，再按包含关系匹配英文名或中文名，最多 limit 个。
+ */
+export function completeCommands(catalog, prefix, limit = 8) {
+  const p = String(prefix || '').toLowerCase();
+  if (!p) return [];
+  const starts = [];
+  const contains = [];
+  for (const cmd of catalog.commands) {
+    const lower = cmd.name.toLowerCase();
+    if (lower.startsWith(p)) starts.push(cmd);
+    else if (p.length >= 2 && (lower.includes(p) || cmd.zhName?.includes(prefix))) contains.push(cmd);
+  }
+  starts.sort((a, b) => a.name.length - b.name.length);
+  return [...starts, ...contains].slice(0, limit);
+}
+
+/**
+ * 规范化手动输入的命令（与服务端同一套规则，见 shared/ggbNormalize.mjs）：
+ * 返回 { commands, diagnostics }，diagnostics 与服务端的改写诊断同形。
+ * knownNames 为画布上已有的对象名，与中文命令名同名时不改写。
+ */
+export function normalizeInput(catalog, lines, knownNames = []) {
+  const { commands, rewrites } = normalizeCommands(lines, { localizedNames: catalog.zhNames, knownNames });
+  return { commands, diagnostics: rewrites.map((r) => rewriteDiagnostic(r.line, r.original, r)) };
+}
+
+export function similarCommands(catalog, name) {
+  return suggestCommands(name, catalog.commands.map((cmd) => cmd.name));
+}
+
+// "[ <Point>, <Radius Number> ]" → ['<Point>', '<Radius Number>']
+function placeholders(line) {
+  const inner = String(line || '').replace(/^\[\s*/, '').replace(/\s*\]$/, '');
+  return inner ? inner.split(/\s*,\s*/) : [];
+}
+
+// 参数很多（如 Slider 的 9 个参数大多可选）时只保留必需的几个
+function requiredArgs(cmd, args) {
+  return args.length > 4 ? args.slice(0, Math.max(cmd.arity[0], 1)) : args;
+}
+
+// 示例优先用具体的语法（不含列表参数、不含省略号），如 Polygon(A, B, 3) 而不是 Polygon({...})
+function exampleSyntax(cmd) {
+  return cmd.syntax.find((line) => !/List|\.\.\.|…/.test(line)) || cmd.syntax[0];
+}
+
+/**
+ * 补全时插入的文本：命令名 + 第一种语法的参数占位符，如 Circle(<Point>, <Radius Number>)。
+ * 没有语法说明时只插入空括号。
+ */
+export function completionText(cmd) {
+  return `${cmd.name}(${requiredArgs(cmd, placeholders(cmd.syntax[0])).join(', ')})`;
+}
+
+// 示例里各类参数的取值：按占位符里的关键词匹配；点与一般对象依次取 A、B、C…
+const SAMPLES = [
+  [/list/i, '{1, 2, 3}'],
+  [/point|vertex|focus|midpoint|center|object/i, null],
+  [/vector|direction/i, 'v'],
+  [/segment/i, 's'],
+  [/line|ray/i, 'g'],
+  [/conic|circle|ellipse|parabola|hyperbola/i, 'c'],
+  [/function|f\(x\)/i, 'f'],
+  [/polygon/i, 'poly1'],
+  [/curve/i, 'a'],
+  [/boolean|true|false|condition/i, 'true'],
+  [/angle/i, '30°'],
+  [/text/i, '"文本"'],
+  [/min|start/i, '0'],
+  [/max|end/i, '10'],
+  [/increment|step/i, '0.1'],
+  [/number|radius|length|value|degree|index|order|vertices|speed|width|factor|ratio/i, '3']
+];
+
+/**
+ * 根据语法拼一个示例调用，如 Circle(A, 3)。
+ */
+export function exampleFor(cmd) {
+  let letter = 0;
+  const values = requiredArgs(cmd, placeholders(exampleSyntax(cmd))).map((arg) => {
+    if (arg === '...' || arg === '…') return '…';
+    const hit = SAMPLES.find(([re]) => re.test(arg));
+    if (!hit || hit[1] === null) return String.fromCharCode(65 + (letter++ % 26));
+    return hit[1];
+  });
+  return `${cmd.name}(${values.join(', ')})`;
+}
+
+/**
+ * 悬停说明（多行纯文本）：命令名与中文名、各种语法、示例。
+ */
+export function commandDoc(cmd) {
+  const title = cmd.zhName ? `${cmd.name}（${cmd.zhName}）` : cmd.name;
+  const syntax = [...cmd.syntax, ...cmd.syntax3D.filter((line) => !cmd.syntax.includes(line))];
+  if (!syntax.length) return title;
+  const usage = syntax.map((line) => `${cmd.name}(${placeholders(line).join(', ')})`);
+  return [title, ...usage, `示例：${exampleFor(cmd)}`].join('\n');
+}
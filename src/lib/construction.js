@@ -0,0 +1,50 @@
+function call(api, name, ...args) {
+  try {
+    const fn = api?.[name];
+    if (typeof fn === 'function') return fn.apply(api, args);
+  } catch {
+    // ignore
+  }
+  return undefined;
+}
+
+// getViewProperties 返回 JSON 字符串：左下角坐标 xMin/yMin、像素尺寸 width/height 与每像素单位 invXscale/invYscale
+function readViewBounds(api) {
+  try {
+    const props = JSON.parse(call(api, 'getViewProperties', 1) || 'null');
+    if (!props) return null;
+    const xmin = Number(props.xMin);
+    const ymin = Number(props.yMin);
+    const xmax = xmin + Number(props.width) * Number(props.invXscale);
+    const ymax = ymin + Number(props.height) * Number(props.invYscale);
+    return [xmin, xmax, ymin, ymax].every(Number.isFinite) ? { xmin, xmax, ymin, ymax } : null;
+  } catch {
+    return null;
+  }
+}
+
+/** 画布上所有对象的名字，API 不可用时为空数组 */
+export function objectNames(api) {
+  const names = call(api, 'getAllObjectNames');
+  return Array.isArray(names) ? names : [];
+}
+
+/**
+ * 采集画布上的真实状态，随请求发给后端：
+ * { objects: [{ name, type, command, value, visible }], view: { xmin, xmax, ymin, ymax } | null }
+ * command 为空表示自由对象（如直接给坐标的点）。API 不可用时返回 null。
+ */
+export function captureConstruction(api) {
+  const names = call(api, 'getAllObjectNames');
+  if (!Array.isArray(names)) return null;
+
+  const objects = names.map((name) => ({
+    name,
+    type: call(api, 'getObjectType', name) || '',
+    command: call(api, 'getCommandString', name, false) || '',
+    value: call(api, 'getValueString', name, false) || '',
+    visible: call(api, 'getVisible', name) !== false
+  }));
+
+  return { objects, view: readViewBounds(api) };
+}
@@ -0,0 +1,92 @@
+import { createValidator } from '../../shared/ggbSyntax.mjs';
+import { objectNames } from './construction.js';
+
+// 逐条执行命令并生成执行报告：{ command, ok, labels, error }
+// - labels：evalCommandGetLabels 返回的、这条命令新建/重定义的对象名
+// - error：GeoGebra 自己的报错文本（关闭错误弹窗后通过客户端监听器收到），拿不到时给出本地推断的原因
+
+const captures = new WeakMap();
+
+// 这类脚本命令执行成功也不产生对象，evalCommandGetLabels 返回 null 不代表失败
+const NO_OUTPUT_COMMANDS =
+  /^(?:Set[A-Z]\w*|Show\w*|Hide\w*|StartAnimation|StopAnimation|Zoom(?:In|Out)|Pan|CenterView|Delete|Rename|UpdateConstruction|Execute|PlaySound|Repeat|ReadText|SelectObjects|Turtle\w*)$/;
+
+function commandName(command) {
+  const m = String(command).match(/^\s*(?:[\p{L}][\p{L}\p{Nd}_']*\s*(?::=|=|:)\s*)?([\p{L}][\p{L}\p{Nd}]*)\s*[([]/u);
+  return m ? m[1] : '';
+}
+
+function eventMessage(evt) {
+  const raw = evt?.argument ?? evt?.error ?? evt?.message ?? '';
+  return (typeof raw === 'string' ? raw : JSON.stringify(raw)).trim();
+}
+
+/**
+ * 关闭 GeoGebra 的错误弹窗，并注册客户端监听器收集 error 事件。每个 applet 只需调用一次。
+ */
+export function attachErrorCapture(api) {
+  if (!api || captures.has(api)) return;
+  const state = { errors: [] };
+  captures.set(api, state);
+  try {
+    api.setErrorDialogsActive?.(false);
+  } catch {
+    // ignore
+  }
+  try {
+    api.registerClientListener?.((evt) => {
+      if (evt?.type === 'error') state.errors.push(eventMessage(evt) || '未知错误');
+    });
+  } catch {
+    // 旧版本不支持客户端监听器时只能依靠返回值判断
+  }
+}
+
+// GeoGebra 没给出报错文本时，用本地语法检查猜一个原因；
+// 命令表与执行前校验用的相同（命令目录），画布上已有的对象视为已定义
+function fallbackReason(api, command, commands) {
+  try {
+    const validator = createValidator({ commands, knownNames: objectNames(api) });
+    const error = validator.check(command).diagnostics.find((d) => d.level === 'error');
+    if (error) return `语法检查：${error.message}`;
+  } catch {
+    // ignore
+  }
+  return 'GeoGebra 未能执行该命令（没有返回错误信息）';
+}
+
+/**
+ * 执行一条命令并返回执行报告；不会抛出异常。
+ * options.commands 为命令目录的参数个数表（catalog.arity），用于推断失败原因；不传时用内置命令表。
+ */
+export function runCommand(api, command, { commands } = {}) {
+  const state = captures.get(api);
+  if (state) state.errors = [];
+
+  let raw = null;
+  let thrown = '';
+  try {
+    if (typeof api.evalCommandGetLabels === 'function') {
+      raw = api.evalCommandGetLabels(command);
+    } else {
+      raw = api.evalCommand(command) ? '' : null;
+    }
+  } catch (e) {
+    thrown = e?.message || String(e);
+  }
+
+  const reported = state ? state.errors.splice(0) : [];
+  const labels =
+    typeof raw === 'string'
+      ? raw
+          .split(',')
+          .map((s) => s.trim())
+          .filter(Boolean)
+      : [];
+
+  let error = thrown || reported.join('；');
+  if (!error && raw == null && !NO_OUTPUT_COMMANDS.test(commandName(command))) {
+    error = fallbackReason(api, command, commands);
+  }
+  return { command, ok: !error, labels, error };
+}
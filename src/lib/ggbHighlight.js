@@ -0,0 +1,59 @@
+import { KNOWN_COMMANDS, createValidator, definedNames, tokenize } from '../../shared/ggbSyntax.mjs';
+
+const DEFAULT_COMMAND_NAMES = new Set(Object.keys(KNOWN_COMMANDS).map((name) => name.toLowerCase()));
+
+const PUNCT = new Set(['lparen', 'rparen', 'lbracket', 'rbracket', 'lbrace', 'rbrace', 'comma', 'semicolon']);
+
+/**
+ * 把一行命令切成带类别的片段，用于语法高亮：[{ text, kind }]
+ * kind: command（已知命令）| unknown（大写开头但不在命令表里的调用）| call（其他函数调用）
+ *       | name | number | string | op | punct | null（空白或无法解析）
+ * commandNames 为小写命令名集合，默认用内置命令表。词法错误的行整体按普通文本返回。
+ */
+export function highlightSegments(line, commandNames = DEFAULT_COMMAND_NAMES) {
+  const src = String(line ?? '');
+  let tokens;
+  try {
+    tokens = tokenize(src);
+  } catch {
+    return [{ text: src, kind: null }];
+  }
+
+  const segments = [];
+  let pos = 0;
+  tokens.forEach((t, i) => {
+    if (t.type === 'eof') return;
+    if (t.start > pos) segments.push({ text: src.slice(pos, t.start), kind: null });
+
+    let kind = null;
+    if (t.type === 'ident') {
+      const next = tokens[i + 1];
+      const isCall = next && (next.type === 'lparen' || next.type === 'lbracket');
+      if (!isCall) kind = 'name';
+      else if (commandNames.has(t.value.toLowerCase())) kind = 'command';
+      else kind = /^[A-Z]/.test(t.value) ? 'unknown' : 'call';
+    } else if (t.type === 'number' || t.type === 'string' || t.type === 'op') {
+      kind = t.type;
+    } else if (PUNCT.has(t.type)) {
+      kind = 'punct';
+    }
+
+    segments.push({ text: src.slice(t.start, t.end), kind });
+    pos = t.end;
+  });
+  if (pos < src.length) segments.push({ text: src.slice(pos), kind: null });
+  return segments;
+}
+
+/**
+ * 逐行语法检查，只返回 error 级别的第一条信息（没有错误为 null）。
+ * 画布上已有的对象名由调用方通过 knownNames 传入；这里再补上这些命令自己定义的对象。
+ * commands 为命令参数个数表，默认用内置命令表。
+ */
+export function lineErrors(lines, knownNames = [], commands = KNOWN_COMMANDS) {
+  const validator = createValidator({ commands, knownNames: [...knownNames, ...definedNames(lines)] });
+  return lines.map((line) => {
+    const error = validator.check(line).diagnostics.find((d) => d.level === 'error');
+    return error ? error.message : null;
+  });
+}
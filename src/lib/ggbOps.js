@@ -0,0 +1,60 @@
+import { runCommand } from './ggbExec.js';
+
+// 执行服务端校验过的编辑操作（协议见 server/operations.js），直接调用对应的 ggbApplet 接口。
+// 返回与 runCommand 同形的执行报告：{ command: 修改摘要, ok, labels, error }
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+const STYLE_SETTERS = {
+  lineThickness: 'setLineThickness',
+  pointSize: 'setPointSize',
+  lineStyle: 'setLineStyle',
+  filling: 'setFilling'
+};
+
+function apply(api, op, options) {
+  switch (op.op) {
+    case 'delete':
+      api.deleteObject(op.name);
+      return api.exists(op.name) ? `${op.name} 未能删除` : '';
+    case 'redefine': {
+      const report = runCommand(api, op.commands[0], options);
+      return report.error;
+    }
+    case 'setStyle':
+      if (op.color) api.setColor(op.name, ...hexToRgb(op.color));
+      for (const [key, setter] of Object.entries(STYLE_SETTERS)) {
+        if (op[key] !== undefined) api[setter](op.name, op[key]);
+      }
+      return '';
+    case 'setVisible':
+      api.setVisible(op.name, op.visible);
+      return '';
+    case 'setValue':
+      api.setValue(op.name, op.value);
+      return '';
+    default:
+      return `未知的操作：${op.op}`;
+  }
+}
+
+/**
+ * 执行一个编辑操作并返回执行报告；不会抛出异常。对象已不存在（例如被用户删掉）时报错而不执行。
+ * options 同 runCommand。
+ */
+export function applyOperation(api, op, options) {
+  let error = '';
+  if (!api.exists(op.name)) {
+    error = `画布上没有对象 ${op.name}`;
+  } else {
+    try {
+      error = apply(api, op, options);
+    } catch (e) {
+      error = e?.message || String(e);
+    }
+  }
+  return { command: op.summary, ok: !error, labels: [], error };
+}
@@ -0,0 +1,39 @@
+/**
+ * 读取 NDJSON 流式响应（每行一个 JSON 事件），逐个回调 onEvent。
+ * onEvent 抛出的异常会中止读取并向上抛出。
+ */
+export async function readNdjson(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    let evt;
+    try {
+      evt = JSON.parse(trimmed);
+    } catch {
+      return;
+    }
+    onEvent(evt);
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let idx;
+      while ((idx = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 1);
+        flush(line);
+      }
+    }
+    buffer += decoder.decode();
+    flush(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,80 @@
+// 会话持久化：每个会话（回合记录 + 画布 base64）存为 IndexedDB 中的一条记录。
+const DB_NAME = 'geogebra-visual';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('当前浏览器不支持 IndexedDB，无法保存会话'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error('打开 IndexedDB 失败'));
+  });
+  // 打开失败时允许下次重试
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error || new Error('IndexedDB 操作失败'));
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB 事务被中止'));
+  });
+}
+
+export function createSessionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 列出会话摘要（不含回合内容与画布），按最近更新时间倒序：
+ * [{ id, title, createdAt, updatedAt, turnCount }]
+ */
+export async function listSessions() {
+  const all = (await run('readonly', (store) => store.getAll())) || [];
+  return all
+    .map(({ id, title, createdAt, updatedAt, turns }) => ({
+      id,
+      title,
+      createdAt,
+      updatedAt,
+      turnCount: Array.isArray(turns) ? turns.length : 0
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 读取完整会话：{ id, title, createdAt, updatedAt, turns, index, construction }，不存在时返回 null。
+ * construction 是 getBase64 得到的 .ggb 内容。
+ */
+export async function loadSession(id) {
+  return (await run('readonly', (store) => store.get(id))) || null;
+}
+
+export async function saveSession(session) {
+  await run('readwrite', (store) => store.put(session));
+}
+
+export async function deleteSession(id) {
+  await run('readwrite', (store) => store.delete(id));
+}
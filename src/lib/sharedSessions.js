@@ -0,0 +1,68 @@
+import { activeCommands } from './turns.js';
+
+// 服务端会话（分享链接）的请求封装；apiBase 与 App 中的 API_BASE 相同。
+
+async function request(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error || `会话服务错误（HTTP ${res.status}）`);
+  return data;
+}
+
+function postJson(url, body, token) {
+  return request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+}
+
+// 只上传展示所需的字段；快照、上下文消息等留在本地
+export function toSharedTurn(turn) {
+  return {
+    request: turn.request,
+    explanation: turn.explanation || '',
+    commands: activeCommands(turn),
+    steps: turn.steps || []
+  };
+}
+
+/**
+ * 新建分享会话，返回 { session, editToken }：session.id 用于分享链接（只读），
+ * editToken 只有创建者持有，之后追加回合时带上。
+ */
+export async function createSharedSession(apiBase, { title, turns, construction }) {
+  const data = await postJson(`${apiBase}/api/sessions`, { title, turns: turns.map(toSharedTurn), construction });
+  return { session: data.session, editToken: data.editToken };
+}
+
+export async function appendSharedTurn(apiBase, id, token, { turn, construction }) {
+  const data = await postJson(
+    `${apiBase}/api/sessions/${encodeURIComponent(id)}/turns`,
+    { turn: toSharedTurn(turn), construction },
+    token
+  );
+  return data.session;
+}
+
+/** 读取分享会话：{ id, title, turns: [{ request, explanation, commands, steps }], construction }，construction 为 XML */
+export async function fetchSharedSession(apiBase, id) {
+  const data = await request(`${apiBase}/api/sessions/${encodeURIComponent(id)}`);
+  return data.session;
+}
+
+export function shareLinkFor(id) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('session', id);
+  return url.toString();
+}
+
+export function sharedIdFromLocation() {
+  try {
+    return new URLSearchParams(window.location.search).get('session') || '';
+  } catch {
+    return '';
+  }
+}
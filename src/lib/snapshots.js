@@ -0,0 +1,47 @@
+/**
+ * 画布快照：优先用 getXML/setXML（同步、体积小），不支持时退回 getBase64/setBase64（.ggb 文件内容）。
+ * 返回 { format: 'xml' | 'base64', data } 或 null。
+ */
+export function takeSnapshot(api) {
+  try {
+    const xml = api?.getXML?.();
+    if (typeof xml === 'string' && xml) return { format: 'xml', data: xml };
+    const b64 = api?.getBase64?.();
+    if (typeof b64 === 'string' && b64) return { format: 'base64', data: b64 };
+  } catch {
+    // ignore
+  }
+  return null;
+}
+
+/**
+ * 恢复快照；API 不支持对应格式时抛出异常，由调用方提示用户。
+ */
+export function restoreSnapshot(api, snapshot) {
+  if (!api || !snapshot) throw new Error('没有可恢复的快照');
+  if (snapshot.format === 'xml' && typeof api.setXML === 'function') {
+    api.setXML(snapshot.data);
+    return;
+  }
+  if (snapshot.format === 'base64' && typeof api.setBase64 === 'function') {
+    api.setBase64(snapshot.data);
+    return;
+  }
+  throw new Error('当前 GeoGebra 版本不支持恢复快照');
+}
+
+export function sameSnapshot(a, b) {
+  return Boolean(a && b && a.format === b.format && a.data === b.data);
+}
+
+/**
+ * 整个构造的 .ggb（base64），用于会话持久化；不支持时返回 null。
+ */
+export function captureBase64(api) {
+  try {
+    const b64 = api?.getBase64?.();
+    return typeof b64 === 'string' && b64 ? b64 : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,26 @@
+function setRepainting(api, active) {
+  try {
+    api?.setRepaintingActive?.(active);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * 暂停重绘执行一批操作，结束后（包括抛异常时）恢复重绘。
+ * 批量执行命令、回滚快照时使用，避免画布逐条闪烁。
+ * fn 返回 Promise 时（如读取流式响应）在它结束或被中止后才恢复。
+ */
+export function withRepaintSuspended(api, fn) {
+  setRepainting(api, false);
+  let result;
+  try {
+    result = fn();
+  } catch (e) {
+    setRepainting(api, true);
+    throw e;
+  }
+  if (typeof result?.then === 'function') return result.finally(() => setRepainting(api, true));
+  setRepainting(api, true);
+  return result;
+}
@@ -0,0 +1,56 @@
+import { renameIdentifiers } from '../../shared/ggbSyntax.mjs';
+
+// 回合里的命令可以在对话记录中手动编辑：commands 保留全部行，disabledLines 记被停用行的下标。
+
+/** 启用行的下标（按顺序） */
+export function activeIndices(turn) {
+  const off = new Set(turn.disabledLines || []);
+  return turn.commands.map((_, i) => i).filter((i) => !off.has(i));
+}
+
+/** 实际生效的命令（去掉停用的行），重新执行、复制、分享都用它 */
+export function activeCommands(turn) {
+  return activeIndices(turn).map((i) => turn.commands[i]);
+}
+
+/**
+ * 手动编辑后重建这一轮的上下文消息：在助手解释后注明修改后的命令，
+ * 让后续请求知道画布上的对象是按修改后的命令画出来的，而不是模型原来的输出。
+ */
+export function editedMessages(turn, commands) {
+  if (!turn.messages?.length) return turn.messages || [];
+  const note = commands.length
+    ? `（用户手动修改了本轮命令，修改后为：\n${commands.join('\n')}）`
+    : '（用户手动停用了本轮的全部命令）';
+  const assistant = [turn.explanation, note].filter(Boolean).join('\n\n');
+  return [...turn.messages.filter((m) => m.role !== 'assistant'), { role: 'assistant', content: assistant }];
+}
+
+/**
+ * 发给后端的上下文消息：助手消息附带本轮实际生效的命令（commands 字段）。
+ * 服务端压缩较早的回合时据此整理出定义过的对象，保留原文的回合仍只发解释。
+ */
+export function contextMessages(turn) {
+  const messages = turn.messages || [];
+  const commands = activeCommands(turn);
+  if (!messages.length || !commands.length) return messages;
+  const last = messages.map((m) => m.role).lastIndexOf('assistant');
+  if (last < 0) return [...messages, { role: 'assistant', content: '', commands }];
+  return messages.map((m, i) => (i === last ? { ...m, commands } : m));
+}
+
+/**
+ * 用户确认要修改画布上原有的对象：把服务端为避免重名改掉的名字（collision.renamedTo）改回原名，
+ * 返回新的回合（待在原地重放）。collision 来自 /api/translate 的 collisions，kind 为 confirm。
+ */
+export function confirmRedefinition(turn, collision) {
+  const commands = turn.commands.map((cmd) => renameIdentifiers(cmd, { [collision.renamedTo]: collision.name }));
+  const next = {
+    ...turn,
+    commands,
+    steps: [],
+    failedIndex: -1,
+    collisions: (turn.collisions || []).filter((c) => c.name !== collision.name)
+  };
+  return { ...next, messages: editedMessages(turn, activeCommands(next)) };
+}
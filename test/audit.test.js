@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { recordRequest, redact } = require('../server/audit');
+
+// 每个用例写到独立的临时日志文件
+function withAuditFile(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    const file = path.join(dir, 'requests.jsonl');
+    const saved = { ...process.env };
+    Object.assign(process.env, { AUDIT_LOG: 'on', AUDIT_LOG_FILE: file });
+    delete process.env.AUDIT_LOG_REDACT;
+    try {
+      await fn(() => fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l)));
+    } finally {
+      process.env = saved;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('长小数不会被当成卡号或身份证号', () => {
+  assert.equal(redact('a = 0.3333333333333333'), 'a = 0.3333333333333333');
+  assert.equal(redact('P = (1.4142135623730951, 2)'), 'P = (1.4142135623730951, 2)');
+  assert.equal(redact('卡号 6222 0212 3456 7890 123'), '卡号 [卡号]');
+  assert.equal(redact('电话 13812345678'), '电话 [手机号]');
+});
+
+test(
+  '默认只脱敏用户原话，命令与模型输出原样记录',
+  withAuditFile(async (read) => {
+    const commands = ['a = 0.3333333333333333', 'P = (1.4142135623730951, 2)'];
+    await recordRequest({
+      endpoint: 'translate',
+      prompt: '我的手机号 13812345678，画点 P',
+      startedAt: Date.now(),
+      result: { raw: `\`\`\`geogebra\n${commands.join('\n')}\n\`\`\`` },
+      response: {
+        commands,
+        diagnostics: [{ line: 2, command: 'b = 0.1234567890123456789', rejected: true, message: '示例' }]
+      }
+    });
+    const [record] = read();
+    assert.equal(record.prompt, '我的手机号 [手机号]，画点 P');
+    assert.deepEqual(record.commands, commands);
+    assert.ok(record.raw.includes('1.4142135623730951'));
+    assert.equal(record.dropped[0].command, 'b = 0.1234567890123456789');
+  })
+);
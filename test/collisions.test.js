@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('../server/shared');
+const { resolveCollisions } = require('../server/collisions');
+
+async function kindOf(userText, command = 'A = (0, 0)') {
+  await loadShared();
+  const { collisions } = resolveCollisions([command], { existingNames: ['A', 'B', 'C'], userText });
+  return collisions[0]?.kind;
+}
+
+test('句子别处的“变”不算修改已有对象', async () => {
+  assert.notEqual(await kindOf('画三角形ABC，变化过程用动画'), 'modify');
+  assert.equal(await kindOf('画点A，变化过程用动画'), 'confirm');
+});
+
+test('修改的说法紧挨着名字时保留原名', async () => {
+  assert.equal(await kindOf('把A移到原点'), 'modify');
+  assert.equal(await kindOf('将点A的坐标改为(0,0)'), 'modify');
+  assert.equal(await kindOf('move A to the origin'), 'modify');
+});
+
+test('引用自身的新定义视为修改', async () => {
+  assert.equal(await kindOf('画个点', 'A = A + (1, 0)'), 'modify');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('../server/shared');
+const { createCommandPolicy } = require('../server/policy');
+
+async function check(line) {
+  const { syntax } = await loadShared();
+  const validator = syntax.createValidator({ policy: createCommandPolicy() });
+  return validator.check(line);
+}
+
+test('常量表达式算出的元素个数超限时拦截', async () => {
+  for (const line of ['Sequence(k, k, 1, 10^6)', 'Sequence(k, k, 1, 1000*1000)', 'Sequence(k, k, 0, 10000, 0.001)', 'Sequence(20001)']) {
+    const { ok, diagnostics } = await check(line);
+    assert.equal(ok, false, line);
+    assert.equal(diagnostics[0].kind, 'policy');
+  }
+});
+
+test('元素个数在上限内的常量范围放行', async () => {
+  for (const line of ['Sequence(k, k, 20000, 20010)', 'Sequence((k, k^2), k, -5, 5, 0.5)', 'Sequence(100)']) {
+    assert.deepEqual((await check(line)).diagnostics, [], line);
+  }
+});
+
+test('滑块控制的范围放行，只给出警告', async () => {
+  const { ok, diagnostics } = await check('Sequence((k, k^2), k, 1, n)');
+  assert.equal(ok, true);
+  assert.equal(diagnostics[0].level, 'warning');
+});
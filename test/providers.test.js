@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listProviders } = require('../server/providers');
+
+function withEnv(vars, fn) {
+  const saved = { ...process.env };
+  for (const [k, v] of Object.entries(vars)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  try {
+    return fn();
+  } finally {
+    process.env = saved;
+  }
+}
+
+test('没有设置 MOCK_LLM_MODE 时不列出模拟提供方', () => {
+  withEnv({ MOCK_LLM_MODE: undefined, NODE_ENV: undefined, LLM_PROVIDER: undefined }, () => {
+    const names = listProviders().map((p) => p.name);
+    assert.ok(!names.includes('mock'));
+  });
+});
+
+test('LLM_PROVIDER=mock 但没有开启模拟提供方时，默认提供方仍是 deepseek', () => {
+  withEnv({ MOCK_LLM_MODE: undefined, LLM_PROVIDER: 'mock' }, () => {
+    assert.equal(listProviders().find((p) => p.default)?.name, 'deepseek');
+  });
+});
+
+test('开启模拟提供方后它可选，但不会自己成为默认', () => {
+  withEnv({ MOCK_LLM_MODE: 'script', LLM_PROVIDER: undefined }, () => {
+    const providers = listProviders();
+    assert.ok(providers.some((p) => p.name === 'mock'));
+    assert.equal(providers.find((p) => p.default)?.name, 'deepseek');
+  });
+});